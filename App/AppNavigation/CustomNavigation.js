@@ -1,11 +1,28 @@
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, useNavigation } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
+import { StyleSheet, Text, TouchableOpacity } from 'react-native';
+import DataUsage from '../UiViews/DataUsage';
 import VideoDetails from '../UiViews/VideoDetails';
 import VideoList from '../UiViews/VideoList';
 import { useAppLanguage } from './../Hooks/useAppLagnuage';
 
 const Stack = createStackNavigator();
 
+// Opens the data usage summary from the video list header
+const DataUsageHeaderButton = () => {
+  const navigation = useNavigation();
+  const { i18n } = useAppLanguage();
+
+  return (
+    <TouchableOpacity
+      style={styles.headerButton}
+      onPress={() => navigation.navigate('DataUsage')}
+    >
+      <Text style={styles.headerButtonText}>{i18n('data_usage')}</Text>
+    </TouchableOpacity>
+  );
+};
+
 const AppNavigation = () => {
   const { i18n } = useAppLanguage();
 
@@ -13,7 +30,7 @@ const AppNavigation = () => {
     return {
       headerShadowVisible: false,
       headerTitleAlign: 'center',
-      title: i18n('video_list_title'),
+      title,
       headerStyle: {
         backgroundColor: '#4D870E',
         borderRadius: 10,
@@ -32,9 +49,18 @@ const AppNavigation = () => {
         <Stack.Screen
           name="AudioListView"
           component={VideoList}
-          options={({ navigation }) =>
-            navigationOption(navigation, 'Video List')
-          }
+          options={({ navigation }) => ({
+            ...navigationOption(navigation, i18n('video_list_title')),
+            headerRight: DataUsageHeaderButton,
+          })}
+        />
+        <Stack.Screen
+          name="DataUsage"
+          component={DataUsage}
+          options={({ navigation }) => ({
+            ...navigationOption(navigation, i18n('data_usage')),
+            headerTintColor: '#FFFFFF',
+          })}
         />
         <Stack.Screen
           name="VideoDetails"
@@ -48,4 +74,14 @@ const AppNavigation = () => {
   );
 };
 
+const styles = StyleSheet.create({
+  headerButton: {
+    paddingHorizontal: 12,
+  },
+  headerButtonText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+  },
+});
+
 export default AppNavigation;
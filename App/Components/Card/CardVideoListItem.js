@@ -1,17 +1,28 @@
 import { useNavigation } from '@react-navigation/native';
-import { useState } from 'react';
+import { memo, useState } from 'react';
 import { Alert, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
 import Collapsible from 'react-native-collapsible';
 import { useDispatch, useSelector } from 'react-redux';
 import { ArrowIconDownWhite, PlayButtonIcon } from '../../AppAssets/SvgLogos';
 import { H4, TextPrimary } from '../../AppTheme';
-import { retryVideoDownloadThunk } from '../../Features/Videos/VideosSlice';
+import {
+  changeVideoQualityThunk,
+  enqueueVideoDownloadThunk,
+  moveQueuedVideoThunk,
+  pauseDownloadQueueThunk,
+  removeQueuedVideoThunk,
+  resumeDownloadQueueThunk,
+  retryVideoDownloadThunk,
+  selectDownloadProgress,
+  selectDownloadStats,
+} from '../../Features/Videos/VideosSlice';
 import useAppLanguage from '../../Hooks/useAppLagnuage';
 import { UtilityFunctions } from '../../UtilityFunctions/UtilityFunctions';
+import { getRenditions } from '../../Utils/Renditions';
 import ButtonSquare from '../Button/ButtonSquare';
 import { Chip, ChipWarning } from '../Chip/Chip';
 
-export default function CardVideoListItem({ cardItem }) {
+function CardVideoListItem({ cardItem }) {
   const dispatch = useDispatch();
   const navigation = useNavigation();
   const { i18n } = useAppLanguage();
@@ -19,11 +30,48 @@ export default function CardVideoListItem({ cardItem }) {
   // State for expand/collapse
   const [collapsed, setCollapsed] = useState(true);
 
-  // Get current download from Redux to check if this video is currently downloading
-  const currentDownload = useSelector(
-    state => state.videosStore?.currentDownload,
+  // Check in Redux whether this video is one of the active downloads
+  const isCurrentlyDownloading = useSelector(
+    state =>
+      state.videosStore?.activeDownloads?.includes(cardItem?.id) === true,
   );
 
+  // Live progress from the per-ID store - only this card re-renders on a tick
+  const liveProgress = useSelector(state =>
+    selectDownloadProgress(state, cardItem?.id),
+  );
+
+  // "12.4 MB of 80 MB · 350 KB/s · 3 min left" while downloading
+  const downloadStats = useSelector(state =>
+    selectDownloadStats(state, cardItem?.id),
+  );
+
+  // Position in the DownloadManager queue (-1 = not queued)
+  const queuePosition = useSelector(
+    state => state.videosStore?.downloadQueue?.indexOf(cardItem?.id) ?? -1,
+  );
+  const isQueued = queuePosition > -1;
+
+  // Queue held back by a policy - offline, Wi-Fi only, data budget, the
+  // schedule or the storage quota
+  const downloadPauseReason = useSelector(state =>
+    state.videosStore?.isDownloadQueuePaused === true
+      ? state.videosStore?.downloadPauseReason
+      : null,
+  );
+  const waitingText =
+    downloadPauseReason === 'OFFLINE'
+      ? i18n('waiting_for_connection') || 'Waiting for connection'
+      : downloadPauseReason === 'WIFI_REQUIRED'
+      ? i18n('waiting_for_wifi') || 'Waiting for Wi-Fi'
+      : downloadPauseReason === 'DATA_BUDGET'
+      ? i18n('waiting_for_data_budget') || 'Cellular data budget reached'
+      : downloadPauseReason === 'OUTSIDE_SCHEDULE'
+      ? i18n('waiting_for_schedule') || 'Waiting for download window'
+      : downloadPauseReason === 'STORAGE_QUOTA'
+      ? i18n('waiting_for_storage_quota') || 'Storage limit reached'
+      : null;
+
   const {
     id = null,
     name = '',
@@ -31,19 +79,31 @@ export default function CardVideoListItem({ cardItem }) {
     file_duration = 0,
     description = '',
     status = 'NEW',
-    downloadProgress = 0,
+    downloadProgress: savedProgress = 0,
+    retryCount = 0,
+    maxRetries = null,
     filepath = '',
     video_url = '', // Fallback for legacy support
+    rendition = null, // Downloaded quality, if the video has renditions
   } = cardItem || {};
 
+  const downloadProgress = liveProgress ?? savedProgress;
+
   // Validate video data
   if (id === null || id === undefined || !name) {
     console.warn('[CardVideoListItem] Invalid card item:', cardItem);
     return null;
   }
 
-  // Check if this video is currently being downloaded
-  const isCurrentlyDownloading = currentDownload === id;
+  // "Retrying 2/3" while an automatic retry is pending
+  const retryText =
+    retryCount > 0 && maxRetries
+      ? `${
+          i18n('retrying') || 'Retrying'
+        } ${UtilityFunctions.getNumbersFromString(
+          retryCount,
+        )}/${UtilityFunctions.getNumbersFromString(maxRetries)}`
+      : null;
 
   // Handle navigation to video details page
   const handleVideoPress = () => {
@@ -75,7 +135,7 @@ export default function CardVideoListItem({ cardItem }) {
     }
 
     // Check if video has download path (filepath from API or video_url as fallback)
-    if (!filepath && !video_url) {
+    if (!filepath && !video_url && getRenditions(cardItem).length === 0) {
       Alert.alert(
         i18n('error') || 'Error',
         i18n('video_path_missing') ||
@@ -105,6 +165,113 @@ export default function CardVideoListItem({ cardItem }) {
     );
   };
 
+  // Handle manual download of a NEW video
+  const handleDownload = () => {
+    if (status !== 'NEW') {
+      console.warn(
+        '[CardVideoListItem] Cannot download - video status is not NEW:',
+        status,
+      );
+      return;
+    }
+
+    if (!filepath && !video_url && getRenditions(cardItem).length === 0) {
+      Alert.alert(
+        i18n('error') || 'Error',
+        i18n('video_path_missing') ||
+          'Video file path is missing. Cannot retry download.',
+        [{ text: i18n('ok') || 'OK' }],
+      );
+      return;
+    }
+
+    const enqueue = toFront => {
+      console.log(
+        `[CardVideoListItem] Queueing download for video ${id}${
+          toFront ? ' (next)' : ''
+        }`,
+      );
+      dispatch(enqueueVideoDownloadThunk({ video: cardItem, toFront }));
+    };
+
+    Alert.alert(i18n('download') || 'Download', name, [
+      {
+        text: i18n('cancel') || 'Cancel',
+        style: 'cancel',
+      },
+      {
+        text: i18n('add_to_queue') || 'Add to queue',
+        onPress: () => enqueue(false),
+      },
+      {
+        text: i18n('download_now') || 'Download now',
+        onPress: () => enqueue(true),
+      },
+    ]);
+  };
+
+  // Handle reordering or removing a queued video
+  const handleQueuedPress = () => {
+    Alert.alert(i18n('queued') || 'Queued', name, [
+      {
+        text: i18n('cancel') || 'Cancel',
+        style: 'cancel',
+      },
+      {
+        text: i18n('remove_from_queue') || 'Remove from queue',
+        style: 'destructive',
+        onPress: () => dispatch(removeQueuedVideoThunk(id)),
+      },
+      {
+        text: i18n('download_next') || 'Download next',
+        onPress: () =>
+          dispatch(moveQueuedVideoThunk({ videoId: id, position: 'top' })),
+      },
+    ]);
+  };
+
+  // Handle upgrading, downgrading or switching a download to audio only
+  const handleChangeQuality = () => {
+    const options = getRenditions(cardItem)
+      .filter(option => option.quality !== rendition)
+      .map(option => ({
+        text: i18n(`quality_${option.quality}`) || option.quality,
+        onPress: () =>
+          dispatch(
+            changeVideoQualityThunk({
+              video: cardItem,
+              quality: option.quality,
+            }),
+          ),
+      }));
+
+    Alert.alert(
+      i18n('change_quality') || 'Change quality',
+      i18n('change_quality_message') || 'The downloaded file will be replaced.',
+      [{ text: i18n('cancel') || 'Cancel', style: 'cancel' }, ...options],
+    );
+  };
+
+  // Handle pause of the active download
+  const handlePauseDownload = () => {
+    console.log('[CardVideoListItem] Pausing download for video:', id);
+    dispatch(pauseDownloadQueueThunk());
+  };
+
+  // Handle resume of a paused download
+  const handleResumeDownload = () => {
+    if (status !== 'PAUSED') {
+      console.warn(
+        '[CardVideoListItem] Cannot resume - video status is not PAUSED:',
+        status,
+      );
+      return;
+    }
+
+    console.log('[CardVideoListItem] Resuming download for video:', id);
+    dispatch(resumeDownloadQueueThunk());
+  };
+
   // Render expanded description
   const renderCollapsedContent = () => {
     if (!description) return null;
@@ -145,15 +312,93 @@ export default function CardVideoListItem({ cardItem }) {
   const renderVideoDownloadStatus = () => {
     switch (status) {
       case 'NEW':
-        return <ChipWarning text={i18n('new') || 'New'} />;
+        if (isQueued) {
+          return (
+            <TouchableOpacity onPress={handleQueuedPress}>
+              <Chip
+                text={
+                  waitingText ||
+                  `${
+                    i18n('queued') || 'Queued'
+                  } #${UtilityFunctions.getNumbersFromString(
+                    queuePosition + 1,
+                  )}`
+                }
+                style={
+                  waitingText ? styles.waitingChip : styles.downloadingChip
+                }
+              />
+            </TouchableOpacity>
+          );
+        }
+        return (
+          <>
+            <ChipWarning text={i18n('new') || 'New'} />
+            <TouchableOpacity
+              onPress={handleDownload}
+              style={[styles.retryButton, styles.downloadButton]}
+            >
+              <Text style={styles.retryText}>
+                {i18n('download') || 'Download'}
+              </Text>
+            </TouchableOpacity>
+          </>
+        );
 
       case 'DOWNLOADING':
         const progressText = isCurrentlyDownloading
-          ? `${Math.round(downloadProgress || 0)}%`
+          ? retryText || `${Math.round(downloadProgress || 0)}%`
           : i18n('queued') || 'Queued';
         return <Chip text={progressText} style={styles.downloadingChip} />;
 
+      case 'PAUSED':
+        if (waitingText) {
+          return (
+            <Chip
+              text={`${waitingText} ${UtilityFunctions.getNumbersFromString(
+                Math.round(downloadProgress || 0),
+              )}%`}
+              style={styles.waitingChip}
+            />
+          );
+        }
+        return (
+          <TouchableOpacity
+            onPress={handleResumeDownload}
+            style={[styles.retryButton, styles.pausedButton]}
+          >
+            <Text style={styles.retryText}>
+              {`${
+                i18n('paused') || 'Paused'
+              } ${UtilityFunctions.getNumbersFromString(
+                Math.round(downloadProgress || 0),
+              )}% · ${i18n('resume') || 'Resume'}`}
+            </Text>
+          </TouchableOpacity>
+        );
+
       case 'DOWNLOADED':
+        if (isQueued) {
+          return (
+            <Chip
+              text={waitingText || i18n('queued') || 'Queued'}
+              style={waitingText ? styles.waitingChip : styles.downloadingChip}
+            />
+          );
+        }
+        if (getRenditions(cardItem).length > 1) {
+          // Tap to download another rendition
+          return (
+            <TouchableOpacity onPress={handleChangeQuality}>
+              <Chip
+                text={`${i18n('downloaded') || 'Downloaded'}${
+                  rendition ? ` · ${i18n(`quality_${rendition}`)}` : ''
+                }`}
+                style={styles.downloadedChip}
+              />
+            </TouchableOpacity>
+          );
+        }
         return (
           <Chip
             text={i18n('downloaded') || 'Downloaded'}
@@ -226,16 +471,27 @@ export default function CardVideoListItem({ cardItem }) {
     return (
       <View style={styles.overlayContainer}>
         <Text style={styles.overlayText}>
-          {i18n('downloading') || 'Downloading'}...
+          {retryText || `${i18n('downloading') || 'Downloading'}...`}
         </Text>
         <Text style={styles.overlayProgress}>
-          {UtilityFunctions.getFontSizeWithScale(progress)}%
+          {UtilityFunctions.getNumbersFromString(progress)}%
         </Text>
+        {downloadStats && (
+          <Text style={styles.overlayStats}>
+            {UtilityFunctions.formatTransferStats(downloadStats)}
+          </Text>
+        )}
         {progress > 0 && (
           <View style={styles.progressBarContainer}>
             <View style={[styles.progressBar, { width: `${progress}%` }]} />
           </View>
         )}
+        <TouchableOpacity
+          onPress={handlePauseDownload}
+          style={styles.overlayButton}
+        >
+          <Text style={styles.retryText}>{i18n('pause') || 'Pause'}</Text>
+        </TouchableOpacity>
       </View>
     );
   };
@@ -248,6 +504,9 @@ export default function CardVideoListItem({ cardItem }) {
   );
 }
 
+// Memoized - a progress tick re-renders only the card whose video it is for
+export default memo(CardVideoListItem);
+
 const styles = StyleSheet.create({
   itemContainer: {
     marginBottom: 12,
@@ -298,6 +557,9 @@ const styles = StyleSheet.create({
   downloadedChip: {
     backgroundColor: '#51CF66',
   },
+  waitingChip: {
+    backgroundColor: '#FAB005',
+  },
   retryButton: {
     // backgroundColor: '#FF6B6B',
     paddingHorizontal: 12,
@@ -305,6 +567,12 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     marginHorizontal: 4,
   },
+  pausedButton: {
+    backgroundColor: '#FAB005',
+  },
+  downloadButton: {
+    backgroundColor: '#4DABF7',
+  },
   retryText: {
     color: '#FFFFFF',
     fontSize: 12,
@@ -334,6 +602,12 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 12,
   },
+  overlayStats: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    marginTop: -8,
+    marginBottom: 12,
+  },
   progressBarContainer: {
     width: '80%',
     height: 6,
@@ -346,4 +620,12 @@ const styles = StyleSheet.create({
     backgroundColor: '#4DABF7',
     borderRadius: 3,
   },
+  overlayButton: {
+    marginTop: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#FFFFFF',
+  },
 });
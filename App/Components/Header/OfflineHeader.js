@@ -1,15 +1,38 @@
 import React from 'react';
 import { StyleSheet, Text, View } from 'react-native';
 import { ThemeColors } from '../../AppTheme';
+import { useAppLanguage } from '../../Hooks/useAppLagnuage';
+import { UtilityFunctions } from '../../UtilityFunctions/UtilityFunctions';
+
+export default function OfflineHeader({
+  downloadedCount = 0,
+  videoCount = 0, // Videos in the saved catalog
+  syncedAt = null, // When the saved catalog was fetched (ms)
+}) {
+  const { i18n } = useAppLanguage();
 
-export default function OfflineHeader({ downloadedCount = 0 }) {
   return (
     <View style={styles.offlineHeader}>
       <Text style={styles.offlineText}>Offline Mode</Text>
       <Text style={styles.offlineSubText}>
-        Showing {downloadedCount} downloaded video
-        {downloadedCount !== 1 ? 's' : ''}
+        {videoCount > 0
+          ? `Showing ${videoCount} video${
+              videoCount !== 1 ? 's' : ''
+            }, ${downloadedCount} downloaded`
+          : `Showing ${downloadedCount} downloaded video${
+              downloadedCount !== 1 ? 's' : ''
+            }`}
       </Text>
+      {syncedAt ? (
+        <Text style={styles.offlineSubText}>
+          {(i18n('catalog_saved_ago') || 'List saved {time} ago').replace(
+            '{time}',
+            UtilityFunctions.formatDuration(
+              Math.max(0, (Date.now() - syncedAt) / 1000),
+            ),
+          )}
+        </Text>
+      ) : null}
     </View>
   );
 }
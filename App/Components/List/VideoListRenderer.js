@@ -1,5 +1,12 @@
 import React, { useCallback, useMemo } from 'react';
-import { FlatList, RefreshControl, StyleSheet, Text, View } from 'react-native';
+import {
+  ActivityIndicator,
+  FlatList,
+  RefreshControl,
+  StyleSheet,
+  Text,
+  View,
+} from 'react-native';
 import { ThemeColors } from '../../AppTheme';
 import CardVideoListItem from '../Card/CardVideoListItem';
 
@@ -8,17 +15,14 @@ export default function VideoListRenderer({
   isOnline = true,
   onRefresh,
   isRefreshing = false,
+  onEndReached, // Called near the end of the list to load the next page
+  isLoadingMore = false,
 }) {
-  // Memoize the filtered data to prevent unnecessary re-renders
+  // Memoize the data to prevent unnecessary re-renders. Offline the saved
+  // catalog is shown too - videos can be queued for when the connection is back
   const dataToRender = useMemo(() => {
-    if (!Array.isArray(videos)) {
-      return [];
-    }
-
-    return isOnline
-      ? videos
-      : videos.filter(v => v && v.status === 'DOWNLOADED');
-  }, [videos, isOnline]);
+    return Array.isArray(videos) ? videos : [];
+  }, [videos]);
 
   // Memoize the render function to prevent re-creation on each render
   const renderVideoItem = useCallback(({ item }) => {
@@ -39,18 +43,28 @@ export default function VideoListRenderer({
     return Math.random().toString();
   }, []);
 
+  // Spinner below the list while the next page loads
+  const renderFooter = useCallback(
+    () =>
+      isLoadingMore ? (
+        <ActivityIndicator
+          style={styles.footerLoader}
+          color={ThemeColors.colorPrimary || '#007AFF'}
+        />
+      ) : null,
+    [isLoadingMore],
+  );
+
   // Handle empty state
   if (dataToRender.length === 0) {
     return (
       <View style={styles.emptyContainer}>
         <Text style={styles.emptyText}>
-          {isOnline
-            ? 'No videos available'
-            : 'No downloaded videos available offline'}
+          {isOnline ? 'No videos available' : 'No videos available offline'}
         </Text>
         {!isOnline && (
           <Text style={styles.emptySubText}>
-            Connect to internet to download videos
+            Connect to internet to load the video list
           </Text>
         )}
       </View>
@@ -74,6 +88,9 @@ export default function VideoListRenderer({
           titleColor={ThemeColors.colorGray}
         />
       }
+      onEndReached={onEndReached}
+      onEndReachedThreshold={0.5}
+      ListFooterComponent={renderFooter}
       // Performance optimizations
       removeClippedSubviews={true}
       maxToRenderPerBatch={10}
@@ -89,6 +106,9 @@ const styles = StyleSheet.create({
     padding: 16,
     paddingBottom: 32,
   },
+  footerLoader: {
+    paddingVertical: 16,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
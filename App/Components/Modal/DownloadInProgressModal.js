@@ -13,6 +13,7 @@ import { useDispatch, useSelector } from 'react-redux';
 import { ThemeColors } from '../../AppTheme';
 import { hideDownloadInProgressModal } from '../../Features/Modal/modalSlice';
 import useAppLanguage from '../../Hooks/useAppLagnuage';
+import { UtilityFunctions } from '../../UtilityFunctions/UtilityFunctions';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
@@ -25,6 +26,58 @@ const DownloadInProgressModal = () => {
   );
   const { visible: isVisible } = modalState;
 
+  // Live transfer numbers for each active download and the whole queue
+  const activeDownloads = useSelector(
+    state => state.videosStore.activeDownloads,
+  );
+  const videosWithStatus = useSelector(
+    state => state.videosStore.videosWithStatus,
+  );
+  const downloadStatsById = useSelector(
+    state => state.videosStore.downloadStatsById,
+  );
+  const queueTransferStats = useSelector(
+    state => state.videosStore.queueTransferStats,
+  );
+
+  const activeTransfers = React.useMemo(
+    () =>
+      (activeDownloads || []).map(videoId => ({
+        videoId,
+        name:
+          (videosWithStatus || []).find(video => video.id === videoId)?.name ||
+          `#${videoId}`,
+        statsText: UtilityFunctions.formatTransferStats(
+          downloadStatsById?.[videoId],
+        ),
+      })),
+    [activeDownloads, videosWithStatus, downloadStatsById],
+  );
+
+  const getQueueStatsText = () => {
+    if (!queueTransferStats || !queueTransferStats.remainingBytes) {
+      return '';
+    }
+
+    const parts = [
+      UtilityFunctions.formatBytes(queueTransferStats.remainingBytes),
+    ];
+    if (queueTransferStats.bytesPerSecond > 0) {
+      parts.push(
+        UtilityFunctions.formatSpeed(queueTransferStats.bytesPerSecond),
+      );
+    }
+    if (queueTransferStats.etaSeconds !== null) {
+      parts.push(
+        i18n('time_left').replace(
+          '{time}',
+          UtilityFunctions.formatDuration(queueTransferStats.etaSeconds),
+        ),
+      );
+    }
+    return `${i18n('all_downloads')}: ${parts.join(' · ')}`;
+  };
+
   const handleDismiss = React.useCallback(() => {
     console.log('[DownloadInProgressModal] Dismiss pressed');
     dispatch(hideDownloadInProgressModal());
@@ -50,6 +103,8 @@ const DownloadInProgressModal = () => {
     return null;
   }
 
+  const queueStatsText = getQueueStatsText();
+
   return (
     <>
       <StatusBar
@@ -80,6 +135,23 @@ const DownloadInProgressModal = () => {
                 {i18n('download_in_progress_message') ||
                   'Please wait for the current download to complete before starting another.'}
               </Text>
+
+              {activeTransfers.map(transfer => (
+                <View key={transfer.videoId} style={styles.transferRow}>
+                  <Text style={styles.transferName} numberOfLines={1}>
+                    {transfer.name}
+                  </Text>
+                  {!!transfer.statsText && (
+                    <Text style={styles.transferStats}>
+                      {transfer.statsText}
+                    </Text>
+                  )}
+                </View>
+              ))}
+
+              {!!queueStatsText && (
+                <Text style={styles.queueStats}>{queueStatsText}</Text>
+              )}
             </View>
 
             <View style={styles.modalActions}>
@@ -149,6 +221,23 @@ const styles = StyleSheet.create({
     color: ThemeColors.textSecondary,
     textAlign: 'center',
   },
+  transferRow: {
+    marginTop: 12,
+  },
+  transferName: {
+    color: ThemeColors.text,
+  },
+  transferStats: {
+    fontSize: 12,
+    color: ThemeColors.textSecondary,
+    marginTop: 2,
+  },
+  queueStats: {
+    fontSize: 12,
+    color: ThemeColors.text,
+    textAlign: 'center',
+    marginTop: 16,
+  },
   modalActions: {
     paddingHorizontal: 24,
     paddingVertical: 20,
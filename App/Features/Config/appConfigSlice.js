@@ -1,5 +1,7 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { createAsyncThunk, createSlice } from '@reduxjs/toolkit';
+import { isValidWindow } from '../../Utils/DownloadSchedule';
+import { VIDEO_QUALITIES } from '../../Utils/Renditions';
 
 const APP_CONFIG_KEY = 'APP_CONFIG';
 
@@ -7,22 +9,32 @@ const initialState = {
   // Download settings
   autoDownloadEnabled: true,
   downloadOnWifiOnly: true,
-  maxConcurrentDownloads: 1, // Always 1 for sequential downloads
+  cellularDataBudgetMB: 0, // Monthly cellular download budget in MB (0 = unlimited)
+  maxConcurrentDownloads: 1, // Parallel downloads (1 = one by one)
+  bandwidthLimitWifiKBps: 0, // Download cap on Wi-Fi in KB/s (0 = unlimited)
+  bandwidthLimitCellularKBps: 0, // Download cap on cellular in KB/s (0 = unlimited)
+  downloadScheduleEnabled: false, // Only auto-download inside downloadWindows
+  downloadWindows: [{ start: '00:00', end: '06:00' }], // Local time, HH:MM
+  cdnBaseUrls: [], // Extra download hosts, tried before the API host
 
   // Storage settings
   storageLocation: null, // Will be set by FileSystemService
-  maxStorageUsageGB: 5,
+  maxStorageUsageGB: 5, // Library quota - downloads pause when it is reached
+  evictOldestWhenFull: false, // Remove the oldest downloads to make room
 
   // App settings
   preferredLanguage: 'bn', // Bengali by default
-  videoQuality: 'medium', // low, medium, high
+  videoQuality: 'medium', // audio (audio only), low, medium, high
 
   // Playback settings
   autoplay: false,
   showSubtitles: true,
 
   // Network settings
-  downloadTimeout: 300000, // 5 minutes in milliseconds
+  downloadTimeout: 300000, // Give up on an attempt with no data after 5 minutes
+  downloadStallTimeout: 30000, // Cancel a download after 30s without data
+  downloadMaxDuration: 3600000, // Stop an attempt after 1 hour and resume it
+  progressUpdateInterval: 500, // Min ms between progress updates per video
   retryAttempts: 3,
 
   // UI settings
@@ -126,6 +138,122 @@ const appConfigSlice = createSlice({
       }
     },
 
+    // Update the monthly cellular data budget (MB, 0 = unlimited)
+    setCellularDataBudget: (state, action) => {
+      const budgetMB = action.payload;
+      if (typeof budgetMB === 'number' && budgetMB >= 0) {
+        state.cellularDataBudgetMB = Math.min(
+          1024 * 1024,
+          Math.floor(budgetMB),
+        ); // Max 1 TB
+        console.log(
+          `[AppConfigSlice] Cellular data budget set to: ${state.cellularDataBudgetMB} MB`,
+        );
+      } else {
+        console.warn(
+          '[AppConfigSlice] Invalid cellular data budget:',
+          budgetMB,
+        );
+      }
+    },
+
+    // Update number of parallel downloads
+    setMaxConcurrentDownloads: (state, action) => {
+      const maxDownloads = action.payload;
+      if (typeof maxDownloads === 'number' && maxDownloads >= 1) {
+        state.maxConcurrentDownloads = Math.max(
+          1,
+          Math.min(4, Math.floor(maxDownloads)),
+        ); // Clamp between 1-4
+        console.log(
+          `[AppConfigSlice] Max concurrent downloads set to: ${state.maxConcurrentDownloads}`,
+        );
+      } else {
+        console.warn(
+          '[AppConfigSlice] Invalid max concurrent downloads:',
+          maxDownloads,
+        );
+      }
+    },
+
+    // Update Wi-Fi bandwidth cap (KB/s, 0 = unlimited)
+    setBandwidthLimitWifi: (state, action) => {
+      const limit = action.payload;
+      if (typeof limit === 'number' && limit >= 0) {
+        state.bandwidthLimitWifiKBps = Math.min(102400, Math.floor(limit)); // Max 100 MB/s
+        console.log(
+          `[AppConfigSlice] Wi-Fi bandwidth limit set to: ${state.bandwidthLimitWifiKBps} KB/s`,
+        );
+      } else {
+        console.warn('[AppConfigSlice] Invalid Wi-Fi bandwidth limit:', limit);
+      }
+    },
+
+    // Update cellular bandwidth cap (KB/s, 0 = unlimited)
+    setBandwidthLimitCellular: (state, action) => {
+      const limit = action.payload;
+      if (typeof limit === 'number' && limit >= 0) {
+        state.bandwidthLimitCellularKBps = Math.min(102400, Math.floor(limit)); // Max 100 MB/s
+        console.log(
+          `[AppConfigSlice] Cellular bandwidth limit set to: ${state.bandwidthLimitCellularKBps} KB/s`,
+        );
+      } else {
+        console.warn(
+          '[AppConfigSlice] Invalid cellular bandwidth limit:',
+          limit,
+        );
+      }
+    },
+
+    // Enable/disable the download schedule
+    setDownloadScheduleEnabled: (state, action) => {
+      const enabled = action.payload;
+      if (typeof enabled === 'boolean') {
+        state.downloadScheduleEnabled = enabled;
+        console.log(`[AppConfigSlice] Download schedule enabled: ${enabled}`);
+      } else {
+        console.warn(
+          '[AppConfigSlice] Invalid download schedule value:',
+          enabled,
+        );
+      }
+    },
+
+    // Update download windows - [{start: 'HH:MM', end: 'HH:MM'}]
+    setDownloadWindows: (state, action) => {
+      const windows = action.payload;
+      if (
+        Array.isArray(windows) &&
+        windows.length > 0 &&
+        windows.every(isValidWindow)
+      ) {
+        state.downloadWindows = windows.map(({ start, end }) => ({
+          start,
+          end,
+        }));
+        console.log(
+          '[AppConfigSlice] Download windows set to:',
+          state.downloadWindows,
+        );
+      } else {
+        console.warn('[AppConfigSlice] Invalid download windows:', windows);
+      }
+    },
+
+    // Update CDN base URLs - ['https://cdn.example.com/', ...]
+    setCdnBaseUrls: (state, action) => {
+      const urls = action.payload;
+      if (
+        Array.isArray(urls) &&
+        urls.every(url => typeof url === 'string' && /^https?:\/\//i.test(url))
+      ) {
+        state.cdnBaseUrls = urls.map(url => url.trim());
+        console.log('[AppConfigSlice] CDN base URLs set to:', urls);
+      } else {
+        console.warn('[AppConfigSlice] Invalid CDN base URLs:', urls);
+      }
+    },
+
     // Update storage location
     setStorageLocation: (state, action) => {
       const location = action.payload;
@@ -150,6 +278,17 @@ const appConfigSlice = createSlice({
       }
     },
 
+    // Enable/disable removing the oldest downloads when the quota is reached
+    setEvictOldestWhenFull: (state, action) => {
+      const enabled = action.payload;
+      if (typeof enabled === 'boolean') {
+        state.evictOldestWhenFull = enabled;
+        console.log(`[AppConfigSlice] Evict oldest when full: ${enabled}`);
+      } else {
+        console.warn('[AppConfigSlice] Invalid eviction value:', enabled);
+      }
+    },
+
     // Update preferred language
     setPreferredLanguage: (state, action) => {
       const language = action.payload;
@@ -164,10 +303,7 @@ const appConfigSlice = createSlice({
     // Update video quality
     setVideoQuality: (state, action) => {
       const quality = action.payload;
-      if (
-        typeof quality === 'string' &&
-        ['low', 'medium', 'high'].includes(quality)
-      ) {
+      if (typeof quality === 'string' && VIDEO_QUALITIES.includes(quality)) {
         state.videoQuality = quality;
         console.log(`[AppConfigSlice] Video quality set to: ${quality}`);
       } else {
@@ -213,6 +349,51 @@ const appConfigSlice = createSlice({
       }
     },
 
+    // Update stall window (max time without receiving data)
+    setDownloadStallTimeout: (state, action) => {
+      const timeout = action.payload;
+      if (typeof timeout === 'number' && timeout > 0) {
+        state.downloadStallTimeout = Math.max(10000, Math.min(300000, timeout)); // Clamp between 10s-5min
+        console.log(
+          `[AppConfigSlice] Download stall timeout set to: ${state.downloadStallTimeout}ms`,
+        );
+      } else {
+        console.warn('[AppConfigSlice] Invalid stall timeout value:', timeout);
+      }
+    },
+
+    // Update the total time cap for one download attempt
+    setDownloadMaxDuration: (state, action) => {
+      const duration = action.payload;
+      if (typeof duration === 'number' && duration > 0) {
+        state.downloadMaxDuration = Math.max(
+          300000,
+          Math.min(21600000, duration),
+        ); // Clamp between 5min-6h
+        console.log(
+          `[AppConfigSlice] Download max duration set to: ${state.downloadMaxDuration}ms`,
+        );
+      } else {
+        console.warn('[AppConfigSlice] Invalid max duration value:', duration);
+      }
+    },
+
+    // Update progress update interval
+    setProgressUpdateInterval: (state, action) => {
+      const interval = action.payload;
+      if (typeof interval === 'number' && interval > 0) {
+        state.progressUpdateInterval = Math.max(100, Math.min(5000, interval)); // Clamp between 100ms-5s
+        console.log(
+          `[AppConfigSlice] Progress update interval set to: ${state.progressUpdateInterval}ms`,
+        );
+      } else {
+        console.warn(
+          '[AppConfigSlice] Invalid progress update interval:',
+          interval,
+        );
+      }
+    },
+
     // Update retry attempts
     setRetryAttempts: (state, action) => {
       const attempts = action.payload;
@@ -367,13 +548,24 @@ const appConfigSlice = createSlice({
 export const {
   setAutoDownloadEnabled,
   setDownloadOnWifiOnly,
+  setCellularDataBudget,
+  setMaxConcurrentDownloads,
+  setBandwidthLimitWifi,
+  setBandwidthLimitCellular,
+  setDownloadScheduleEnabled,
+  setDownloadWindows,
+  setCdnBaseUrls,
   setStorageLocation,
   setMaxStorageUsageGB,
+  setEvictOldestWhenFull,
   setPreferredLanguage,
   setVideoQuality,
   setAutoplay,
   setShowSubtitles,
   setDownloadTimeout,
+  setDownloadStallTimeout,
+  setDownloadMaxDuration,
+  setProgressUpdateInterval,
   setRetryAttempts,
   setDarkMode,
   updateAppConfig,
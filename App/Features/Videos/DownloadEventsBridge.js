@@ -0,0 +1,193 @@
+import DataUsageService from '../../Service/DataUsageService';
+import DownloadManager from '../../Service/DownloadManager';
+import ToastService from '../../Service/ToastService';
+import { UtilityFunctions } from '../../UtilityFunctions/UtilityFunctions';
+import { selectStorageModal, showStorageModal } from '../Modal/modalSlice';
+import {
+  addActiveDownload,
+  completeDownload,
+  loadLocalVideosThunk,
+  markVideosEvicted,
+  removeActiveDownload,
+  setDownloadQueueState,
+  updateDownloadProgress,
+  updateDownloadRetry,
+  updateVideoStatus,
+} from './VideosSlice';
+
+const PROGRESS_TOAST_INTERVAL_MS = 5000; // Min time between progress toasts
+
+let unsubscribers = null; // Set once the bridge is registered
+let lastPauseReason = null; // To warn once when the data budget runs out
+let progressToastShownAt = 0; // One progress toast at a time for all videos
+
+/**
+ * Connect DownloadManager events to Redux. Registered once at store setup, so
+ * thunks and hooks never replace each other's listeners.
+ * @param {Object} store - Redux store
+ * @returns {Function} Unregister function
+ */
+export const registerDownloadEventsBridge = store => {
+  if (unsubscribers) {
+    console.warn('[DownloadEventsBridge] Already registered');
+    return unregisterDownloadEventsBridge;
+  }
+
+  const { dispatch } = store;
+  const downloadManager = DownloadManager.getInstance();
+
+  unsubscribers = [
+    downloadManager.on('progress', ({ videoId, progress, stats, queue }) => {
+      if (typeof videoId !== 'number' || typeof progress !== 'number') {
+        return;
+      }
+      dispatch(updateDownloadProgress({ videoId, progress, stats, queue }));
+
+      // Refresh the toast before the last one hides, so it stays up with
+      // current numbers while downloads run
+      const now = Date.now();
+      if (
+        progress < 100 &&
+        stats &&
+        now - progressToastShownAt >= PROGRESS_TOAST_INTERVAL_MS
+      ) {
+        progressToastShownAt = now;
+        const video = (
+          store.getState().videosStore?.videosWithStatus || []
+        ).find(item => item.id === videoId);
+        ToastService.showDownloadProgress(
+          video?.name || `#${videoId}`,
+          progress,
+          { stats, duration: PROGRESS_TOAST_INTERVAL_MS + 1000 },
+        );
+      }
+    }),
+
+    downloadManager.on('status', ({ videoId, status, localFilePath }) => {
+      if (typeof videoId !== 'number' || !status) {
+        return;
+      }
+
+      if (status === 'DOWNLOADED' && localFilePath) {
+        console.log(
+          `[DownloadEventsBridge] Download completed for video ${videoId} with file path: ${localFilePath}`,
+        );
+        dispatch(completeDownload({ videoId, status, localFilePath }));
+      } else {
+        dispatch(updateVideoStatus({ videoId, status }));
+      }
+
+      if (status === 'DOWNLOADING') {
+        dispatch(addActiveDownload(videoId));
+      } else if (['DOWNLOADED', 'FAILED', 'PAUSED'].includes(status)) {
+        dispatch(removeActiveDownload(videoId));
+
+        // Pick up the metadata DownloadManager saved (path, verifiedAt, ...)
+        // once per finished download - no polling while downloads run
+        dispatch(loadLocalVideosThunk());
+      }
+    }),
+
+    downloadManager.on(
+      'queueChanged',
+      ({ isPaused, pauseReason, queuedVideoIds }) => {
+        dispatch(
+          setDownloadQueueState({ isPaused, pauseReason, queuedVideoIds }),
+        );
+
+        const currentReason = isPaused ? pauseReason : null;
+        if (
+          currentReason === 'DATA_BUDGET' &&
+          lastPauseReason !== 'DATA_BUDGET'
+        ) {
+          const { cellularDataBudgetMB } = store.getState().appConfig;
+          ToastService.showDataBudgetReached(
+            UtilityFunctions.getTranslation('data_budget_reached'),
+            UtilityFunctions.getTranslation('data_budget_reached_message')
+              .replace(
+                '{used}',
+                UtilityFunctions.formatBytes(
+                  DataUsageService.getCellularBytesThisMonth(),
+                ),
+              )
+              .replace(
+                '{budget}',
+                UtilityFunctions.formatBytes(
+                  cellularDataBudgetMB * 1024 * 1024,
+                ),
+              ),
+          );
+        }
+        lastPauseReason = currentReason;
+      },
+    ),
+
+    downloadManager.on('retry', ({ videoId, ...retryState }) => {
+      if (typeof videoId === 'number') {
+        dispatch(updateDownloadRetry({ videoId, ...retryState }));
+      }
+    }),
+
+    downloadManager.on('error', ({ videoId, error }) => {
+      console.warn(
+        `[DownloadEventsBridge] Download failed for video ${videoId}: ${error}`,
+      );
+
+      const video = (store.getState().videosStore?.videosWithStatus || []).find(
+        item => item.id === videoId,
+      );
+      ToastService.showDownloadFailed(video?.name || `#${videoId}`, error);
+    }),
+
+    downloadManager.on(
+      'storageInsufficient',
+      ({ videoIds, requiredKB, availableKB, skipped }) => {
+        console.warn(
+          `[DownloadEventsBridge] Not enough space for videos ${videoIds.join(
+            ', ',
+          )} (${skipped ? 'skipped' : 'pre-flight'})`,
+        );
+
+        // One modal at a time - the queue keeps skipping what does not fit
+        if (!selectStorageModal(store.getState()).visible) {
+          dispatch(
+            showStorageModal({
+              availableSpace: availableKB,
+              requiredSpace: requiredKB,
+              canProceed: true,
+            }),
+          );
+        }
+      },
+    ),
+
+    downloadManager.on('evicted', ({ videoIds, freedBytes }) => {
+      dispatch(markVideosEvicted(videoIds));
+
+      ToastService.showStorageEvicted(
+        UtilityFunctions.getTranslation('storage_evicted'),
+        UtilityFunctions.getTranslation('storage_evicted_message')
+          .replace(
+            '{count}',
+            UtilityFunctions.getNumbersFromString(videoIds.length),
+          )
+          .replace('{size}', UtilityFunctions.formatBytes(freedBytes)),
+      );
+    }),
+  ];
+
+  console.log('[DownloadEventsBridge] Registered download event listeners');
+  return unregisterDownloadEventsBridge;
+};
+
+/**
+ * Remove the Redux listeners (e.g. in tests or on hot reload)
+ */
+export const unregisterDownloadEventsBridge = () => {
+  if (unsubscribers) {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    unsubscribers = null;
+    lastPauseReason = null;
+    progressToastShownAt = 0;
+  }
+};
@@ -1,24 +1,146 @@
 import BaseUrlInstance from '../../Service/BaseUrlInstance';
 
-const getVideos = async () => {
+// https://api.redfynix.com/api/v1/media-files/list
+const VIDEOS_LIST_PATH = 'api/v1/media-files/list';
+
+// Videos per page of the catalog
+const CATALOG_PAGE_SIZE = 50;
+
+/**
+ * Get the video catalog, incrementally when a previous response is known.
+ *
+ * With validators the request is conditional (If-None-Match /
+ * If-Modified-Since) - 304 means the saved catalog is still current. With a
+ * `since` cursor the server may answer with only the changes:
+ *   {delta: true, added: [...], updated: [...], removed: [id, ...], cursor}
+ * A full response is the first page of the list, `{data: [...], cursor?}`
+ * plus paging fields (see getNextPage) - also sent when the cursor has
+ * expired.
+ *
+ * @param {Object} validators - {etag, lastModified, cursor} of the saved catalog
+ * @returns {Promise<Object>} {notModified, data, delta, etag, lastModified, cursor, nextPage}
+ */
+const getVideos = async (validators = {}) => {
   try {
-    // https://api.redfynix.com/api/v1/media-files/list
-    const response = await BaseUrlInstance.get('api/v1/media-files/list');
+    const { etag, lastModified, cursor } = validators;
 
-    return response.data;
-  } catch (error) {
-    if (error.isNetworkError) {
-      const networkError = new Error(
-        'No internet connection. Please check your network settings.',
-      );
-      networkError.isNetworkError = true;
-      networkError.code = 'NETWORK_ERROR';
-      throw networkError;
+    const headers = {};
+    if (etag) {
+      headers['If-None-Match'] = etag;
+    }
+    if (lastModified) {
+      headers['If-Modified-Since'] = lastModified;
+    }
+
+    const response = await BaseUrlInstance.get(VIDEOS_LIST_PATH, {
+      headers,
+      params: cursor
+        ? { since: cursor }
+        : { page: 1, limit: CATALOG_PAGE_SIZE },
+      validateStatus: status =>
+        (status >= 200 && status < 300) || status === 304,
+    });
+
+    if (response.status === 304) {
+      return {
+        notModified: true,
+        data: null,
+        delta: null,
+        etag: response.headers?.etag || etag || null,
+        lastModified: lastModified || null,
+        cursor: cursor || null,
+        nextPage: null,
+      };
     }
 
-    // For other errors, re-throw as is
-    throw error;
+    const body = response.data || {};
+    const result = {
+      notModified: false,
+      data: null,
+      delta: null,
+      etag: response.headers?.etag || null,
+      lastModified: response.headers?.['last-modified'] || null,
+      cursor: body.cursor || cursor || null,
+      nextPage: null,
+    };
+
+    if (body.delta === true) {
+      result.delta = {
+        added: Array.isArray(body.added) ? body.added : [],
+        updated: Array.isArray(body.updated) ? body.updated : [],
+        removed: Array.isArray(body.removed) ? body.removed : [],
+      };
+    } else {
+      result.data = Array.isArray(body.data) ? body.data : [];
+      // A full list restarts the delta chain from the server's new cursor
+      result.cursor = body.cursor || null;
+      result.nextPage = getNextPage(body);
+    }
+
+    return result;
+  } catch (error) {
+    throw toApiError(error);
   }
 };
 
-export { getVideos };
+/**
+ * Get a further page of the catalog
+ * @param {Object} nextPage - {page} or {cursor} from the previous page
+ * @returns {Promise<Object>} {data, nextPage} - nextPage is null on the last page
+ */
+const getVideosPage = async nextPage => {
+  try {
+    const response = await BaseUrlInstance.get(VIDEOS_LIST_PATH, {
+      params: { ...nextPage, limit: CATALOG_PAGE_SIZE },
+    });
+
+    const body = response.data || {};
+    return {
+      data: Array.isArray(body.data) ? body.data : [],
+      nextPage: getNextPage(body),
+    };
+  } catch (error) {
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Read the paging fields of a list response - a cursor (`next_cursor`) or
+ * page numbers (`current_page` / `last_page`, or `next_page_url`). A response
+ * without paging fields is the whole list.
+ * @private
+ */
+const getNextPage = body => {
+  if (body.next_cursor) {
+    return { cursor: body.next_cursor };
+  }
+
+  const currentPage = parseInt(body.current_page, 10);
+  if (!currentPage) {
+    return null;
+  }
+
+  const lastPage = parseInt(body.last_page, 10);
+  const hasMore = lastPage ? currentPage < lastPage : !!body.next_page_url;
+  return hasMore ? { page: currentPage + 1 } : null;
+};
+
+/**
+ * Turn an axios network failure into the app's network error
+ * @private
+ */
+const toApiError = error => {
+  if (error.isNetworkError) {
+    const networkError = new Error(
+      'No internet connection. Please check your network settings.',
+    );
+    networkError.isNetworkError = true;
+    networkError.code = 'NETWORK_ERROR';
+    return networkError;
+  }
+
+  // For other errors, re-throw as is
+  return error;
+};
+
+export { getVideos, getVideosPage };
@@ -2,14 +2,29 @@ import { createAsyncThunk, createSlice } from '@reduxjs/toolkit';
 import DownloadManager from '../../Service/DownloadManager';
 import LocalStorageService from '../../Service/LocalStorageService';
 import ServerSyncService from '../../Service/ServerSyncService';
-import { getVideos } from './VideosAPI';
+import VerificationService from '../../Service/VerificationService';
+import { getVideos, getVideosPage } from './VideosAPI';
 
 const initialState = {
   videos: [], // Raw API videos
   localVideos: {}, // Map of downloaded videos {videoId: videoData}
   videosWithStatus: [], // Merged videos with status
-  currentDownload: null, // Currently downloading video ID
-  downloadQueue: [], // Queue of video IDs to download
+  activeDownloads: [], // IDs of videos downloading right now (in start order)
+  downloadProgressById: {}, // Live progress {videoId: 0-100} - kept out of videosWithStatus so ticks only re-render one card
+  downloadStatsById: {}, // Live {videoId: {bytesWritten, totalBytes, bytesPerSecond, etaSeconds}}
+  queueTransferStats: null, // {remainingBytes, bytesPerSecond, etaSeconds} for all remaining downloads
+  downloadQueue: [], // Mirror of the DownloadManager queue - video IDs in download order
+  isDownloadQueuePaused: false, // Queue paused via pauseQueue
+  downloadPauseReason: null, // Why the queue is paused (e.g. 'USER')
+  catalogRemovedVideoIds: null, // Removed by the last catalog delta (null = full list)
+  catalogNextPage: null, // Next catalog page to load ({page} or {cursor}), null = all loaded
+  isLoadingMoreVideos: false, // fetchNextVideosPageThunk running
+  catalogSnapshot: null, // Every catalog video while pages are unloaded (fetchCatalogSnapshotThunk)
+  isLoadingCatalogSnapshot: false, // fetchCatalogSnapshotThunk running
+  isCatalogCached: false, // videos are the saved catalog, not yet refreshed this session
+  catalogSyncedAt: null, // When the shown catalog was fetched (ms)
+  isVerifyingLibrary: false, // verifyLibraryThunk running
+  lastLibraryVerification: null, // {checked, valid, invalid, verifiedAt}
   isLoading: false,
   isError: false,
   errorMessage: '',
@@ -19,11 +34,192 @@ const initialState = {
   isSearching: false, // Loading state for search
 };
 
+// Fetch the catalog incrementally - a 304 or a delta updates the saved
+// catalog instead of downloading the whole list again
 export const fetchVideosThunk = createAsyncThunk(
   'Videos/fetchVideos',
   async () => {
-    const response = await getVideos();
-    return response;
+    const savedCatalog = await LocalStorageService.getCatalog();
+    let response = await getVideos(savedCatalog || {});
+
+    let videos;
+    let removedVideoIds = null; // null = full list, diff it in serverSync
+    let nextPage = response.nextPage;
+    if (response.notModified && savedCatalog) {
+      console.log('[VideosSlice] Catalog not modified');
+      videos = savedCatalog.videos;
+      removedVideoIds = [];
+      nextPage = savedCatalog.nextPage || null;
+    } else if (response.delta && savedCatalog) {
+      const applied = ServerSyncService.applyCatalogDelta(
+        savedCatalog.videos,
+        response.delta,
+      );
+      videos = applied.videos;
+      removedVideoIds = applied.removedVideoIds;
+      nextPage = savedCatalog.nextPage || null;
+    } else if (response.data) {
+      videos = response.data;
+    } else {
+      // 304 or delta without a saved catalog - start over with a full list
+      console.warn('[VideosSlice] No saved catalog, fetching full list');
+      response = await getVideos();
+      videos = response.data || [];
+      nextPage = response.nextPage;
+    }
+
+    await LocalStorageService.saveCatalog({
+      videos,
+      etag: response.etag,
+      lastModified: response.lastModified,
+      cursor: response.cursor,
+      nextPage,
+    });
+
+    return { data: videos, removedVideoIds, nextPage, syncedAt: Date.now() };
+  },
+);
+
+// Show the saved catalog at startup (stale-while-revalidate) - the list is
+// there before the network answers, and offline the whole catalog can be
+// browsed. fetchVideosThunk replaces it once the server responds.
+export const loadCachedCatalogThunk = createAsyncThunk(
+  'Videos/loadCachedCatalog',
+  async (_, { rejectWithValue }) => {
+    try {
+      const savedCatalog = await LocalStorageService.getCatalog();
+      if (!savedCatalog) {
+        console.log('[VideosSlice] No saved catalog');
+        return null;
+      }
+
+      console.log(
+        `[VideosSlice] Loaded saved catalog with ${savedCatalog.videos.length} videos`,
+      );
+      return {
+        data: savedCatalog.videos,
+        nextPage: savedCatalog.nextPage || null,
+        syncedAt: savedCatalog.syncedAt || null,
+      };
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to load saved catalog');
+    }
+  },
+);
+
+// Whether the catalog was refreshed or reset since a page request started -
+// its page then belongs to the old list
+const isCatalogReplaced = (videosState, syncedAt, requestedPage) =>
+  videosState.isLoading ||
+  videosState.catalogSyncedAt !== syncedAt ||
+  JSON.stringify(videosState.catalogNextPage) !== JSON.stringify(requestedPage);
+
+// Load the next page of the catalog (infinite scroll) and add it to the
+// loaded videos
+export const fetchNextVideosPageThunk = createAsyncThunk(
+  'Videos/fetchNextVideosPage',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const { catalogNextPage, catalogSyncedAt } = getState().videosStore;
+
+      console.log('[VideosSlice] Loading catalog page:', catalogNextPage);
+      const page = await getVideosPage(catalogNextPage);
+
+      const videosState = getState().videosStore;
+      if (isCatalogReplaced(videosState, catalogSyncedAt, catalogNextPage)) {
+        console.log('[VideosSlice] Catalog refreshed, dropping loaded page');
+        return { stale: true };
+      }
+
+      // Pages can overlap when the list changes between requests
+      const loadedIds = new Set(videosState.videos.map(video => video.id));
+      const mergedVideos = [
+        ...videosState.videos,
+        ...page.data.filter(video => !loadedIds.has(video.id)),
+      ];
+
+      const savedCatalog = await LocalStorageService.getCatalog();
+      await LocalStorageService.saveCatalog({
+        ...savedCatalog,
+        videos: mergedVideos,
+        nextPage: page.nextPage,
+      });
+
+      return {
+        data: mergedVideos,
+        nextPage: page.nextPage,
+        requestedPage: catalogNextPage,
+        syncedAt: catalogSyncedAt,
+      };
+    } catch (error) {
+      console.error('[VideosSlice] Error loading catalog page:', error);
+      return rejectWithValue(error.message || 'Failed to load more videos');
+    }
+  },
+  {
+    // One page at a time, and never while the catalog is being refreshed
+    condition: (_, { getState }) => {
+      const { catalogNextPage, isLoadingMoreVideos, isLoading } =
+        getState().videosStore;
+      return !!catalogNextPage && !isLoadingMoreVideos && !isLoading;
+    },
+  },
+);
+
+// Walk the catalog pages that are not loaded yet, in the background. Server
+// sync needs every video to find the ones the server removed, and
+// auto-download queues videos on pages the user has not scrolled to.
+export const fetchCatalogSnapshotThunk = createAsyncThunk(
+  'Videos/fetchCatalogSnapshot',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const { videos, catalogNextPage, catalogSyncedAt } =
+        getState().videosStore;
+
+      const snapshot = [...videos];
+      const seenIds = new Set(videos.map(video => video.id));
+      let nextPage = catalogNextPage;
+      while (nextPage) {
+        const page = await getVideosPage(nextPage);
+        page.data.forEach(video => {
+          if (!seenIds.has(video.id)) {
+            seenIds.add(video.id);
+            snapshot.push(video);
+          }
+        });
+        // An empty page ends the walk even if the server offers another
+        nextPage = page.data.length > 0 ? page.nextPage : null;
+      }
+
+      console.log(
+        `[VideosSlice] Catalog snapshot has ${snapshot.length} videos`,
+      );
+      return { data: snapshot, syncedAt: catalogSyncedAt };
+    } catch (error) {
+      console.error('[VideosSlice] Error loading catalog snapshot:', error);
+      return rejectWithValue(
+        error.message || 'Failed to load the catalog snapshot',
+      );
+    }
+  },
+  {
+    // Only for a refreshed catalog that still has unloaded pages
+    condition: (_, { getState }) => {
+      const {
+        catalogNextPage,
+        catalogSnapshot,
+        isLoadingCatalogSnapshot,
+        isCatalogCached,
+        isLoading,
+      } = getState().videosStore;
+      return (
+        !!catalogNextPage &&
+        !catalogSnapshot &&
+        !isLoadingCatalogSnapshot &&
+        !isCatalogCached &&
+        !isLoading
+      );
+    },
   },
 );
 
@@ -46,7 +242,7 @@ export const loadLocalVideosThunk = createAsyncThunk(
 // Start auto download process for all NEW videos
 export const startAutoDownloadThunk = createAsyncThunk(
   'Videos/startAutoDownload',
-  async (videosWithStatus, { dispatch, rejectWithValue, getState }) => {
+  async (videosWithStatus, { getState, rejectWithValue }) => {
     try {
       console.log('[VideosSlice] Starting auto download process');
 
@@ -59,6 +255,7 @@ export const startAutoDownloadThunk = createAsyncThunk(
         .filter(
           video =>
             video.status === 'NEW' &&
+            !video.evictedAt && // Removed for the storage quota - manual only
             video.id !== undefined &&
             video.id !== null,
         )
@@ -75,38 +272,7 @@ export const startAutoDownloadThunk = createAsyncThunk(
 
       // Get DownloadManager instance
       const downloadManager = DownloadManager.getInstance();
-
-      // Setup callbacks for download progress and status updates
-      const onProgress = (videoId, progress) => {
-        if (typeof videoId === 'number' && typeof progress === 'number') {
-          dispatch(updateDownloadProgress({ videoId, progress }));
-        }
-      };
-
-      const onStatusChange = (videoId, status, localFilePath = null) => {
-        if (typeof videoId === 'number' && status) {
-          // Handle download completion with localFilePath
-          if (status === 'DOWNLOADED' && localFilePath) {
-            console.log(
-              `[VideosSlice] Download completed for video ${videoId} with file path: ${localFilePath}`,
-            );
-            dispatch(completeDownload({ videoId, status, localFilePath }));
-          } else {
-            dispatch(updateVideoStatus({ videoId, status }));
-          }
-
-          // Handle download start/completion status changes
-          if (status === 'DOWNLOADING') {
-            dispatch(setCurrentDownload(videoId));
-          } else if (status === 'DOWNLOADED' || status === 'FAILED') {
-            dispatch(setCurrentDownload(null));
-          }
-        }
-      };
-
-      // Set callbacks on the download manager
-      downloadManager.setProgressCallback(onProgress);
-      downloadManager.setStatusCallback(onStatusChange);
+      downloadManager.configure(getState().appConfig);
 
       // Start auto-download with sequential processing
       const downloadResult = await downloadManager.startAutoDownload(newVideos);
@@ -139,7 +305,7 @@ export const startAutoDownloadThunk = createAsyncThunk(
 // Retry download for a specific failed video
 export const retryVideoDownloadThunk = createAsyncThunk(
   'Videos/retryVideoDownload',
-  async (videoData, { dispatch, rejectWithValue }) => {
+  async (videoData, { dispatch, getState, rejectWithValue }) => {
     try {
       console.log(`[VideosSlice] Retrying download for video ${videoData.id}`);
 
@@ -147,7 +313,7 @@ export const retryVideoDownloadThunk = createAsyncThunk(
       if (
         !videoData ||
         typeof videoData.id !== 'number' ||
-        (!videoData.filepath && !videoData.video_url)
+        !DownloadManager.getInstance().hasDownloadSource(videoData)
       ) {
         throw new Error('Invalid video data provided for retry');
       }
@@ -159,66 +325,24 @@ export const retryVideoDownloadThunk = createAsyncThunk(
 
       // Get DownloadManager instance
       const downloadManager = DownloadManager.getInstance();
+      downloadManager.configure(getState().appConfig);
 
-      // Setup callbacks
-      const onProgress = (videoId, progress) => {
-        if (typeof videoId === 'number' && typeof progress === 'number') {
-          dispatch(updateDownloadProgress({ videoId, progress }));
-        }
-      };
-
-      const onStatusChange = (videoId, status) => {
-        if (typeof videoId === 'number' && status) {
-          dispatch(updateVideoStatus({ videoId, status }));
-
-          // Handle status changes
-          if (status === 'DOWNLOADING') {
-            dispatch(setCurrentDownload(videoId));
-          } else if (status === 'DOWNLOADED' || status === 'FAILED') {
-            dispatch(setCurrentDownload(null));
-          }
-        }
-      };
-
-      // Set callbacks on the download manager
-      downloadManager.setProgressCallback(onProgress);
-      downloadManager.setStatusCallback(onStatusChange);
-
-      // Set as current download and reset progress
-      dispatch(setCurrentDownload(videoData.id));
+      // Reset progress - status, progress and retry updates arrive through
+      // the download events bridge
       dispatch(updateDownloadProgress({ videoId: videoData.id, progress: 0 }));
-      dispatch(
-        updateVideoStatus({ videoId: videoData.id, status: 'DOWNLOADING' }),
-      );
-
-      // Start single video download
-      const downloadResult = await downloadManager.downloadVideo(videoData);
-
-      // Handle the boolean result
-      const success = downloadResult === true;
-      const status = success ? 'DOWNLOADED' : 'FAILED';
-
-      // Complete the download (this will also clear current download via status callback)
-      dispatch(
-        completeDownload({
-          videoId: videoData.id,
-          status,
-          localFilePath: null, // File path will be set by the download process
-        }),
-      );
 
-      console.log(
-        `[VideosSlice] Retry download completed for video ${videoData.id}:`,
-        downloadResult,
-      );
+      // Queued next - the download policies, storage check and worker limit
+      // apply as for any other download
+      const queued = await downloadManager.retryDownload(videoData);
+      if (!queued) {
+        throw new Error('Failed to queue video for retry');
+      }
 
+      console.log(`[VideosSlice] Video ${videoData.id} queued for retry`);
       return {
         videoId: videoData.id,
-        success: success,
-        message: success
-          ? `Video ${videoData.id} downloaded successfully`
-          : `Video ${videoData.id} download failed`,
-        localFilePath: null, // Will be handled by the download process
+        queued: true,
+        message: `Video ${videoData.id} queued for retry`,
       };
     } catch (error) {
       console.error(
@@ -226,9 +350,9 @@ export const retryVideoDownloadThunk = createAsyncThunk(
         error,
       );
 
-      // Clear current download on error
+      // Clear active download on error
       if (videoData?.id) {
-        dispatch(setCurrentDownload(null));
+        dispatch(removeActiveDownload(videoData.id));
         dispatch(
           updateVideoStatus({ videoId: videoData.id, status: 'FAILED' }),
         );
@@ -239,6 +363,206 @@ export const retryVideoDownloadThunk = createAsyncThunk(
   },
 );
 
+// Restore the download queue saved before the app was closed
+export const restoreDownloadQueueThunk = createAsyncThunk(
+  'Videos/restoreDownloadQueue',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      console.log('[VideosSlice] Restoring saved download queue');
+
+      const downloadManager = DownloadManager.getInstance();
+      downloadManager.configure(getState().appConfig);
+
+      return await downloadManager.restoreQueue();
+    } catch (error) {
+      console.error('[VideosSlice] Error restoring download queue:', error);
+      return rejectWithValue(error.message || 'Restore download queue failed');
+    }
+  },
+);
+
+// Queue a single video picked by the user (manual download)
+export const enqueueVideoDownloadThunk = createAsyncThunk(
+  'Videos/enqueueVideoDownload',
+  async ({ video, toFront = false }, { getState, rejectWithValue }) => {
+    try {
+      if (!video || typeof video.id !== 'number') {
+        throw new Error('Invalid video data provided for download');
+      }
+
+      console.log(
+        `[VideosSlice] Queueing video ${video.id} for download${
+          toFront ? ' (next)' : ''
+        }`,
+      );
+
+      const downloadManager = DownloadManager.getInstance();
+      downloadManager.configure(getState().appConfig);
+
+      const queued = await downloadManager.enqueue(video, { toFront });
+      if (!queued) {
+        throw new Error('Failed to queue video for download');
+      }
+
+      return { videoId: video.id, queued: true };
+    } catch (error) {
+      console.error('[VideosSlice] Error queueing video download:', error);
+      return rejectWithValue(error.message || 'Queue video download failed');
+    }
+  },
+);
+
+// Download another rendition of a video (upgrade, downgrade or audio only)
+export const changeVideoQualityThunk = createAsyncThunk(
+  'Videos/changeVideoQuality',
+  async ({ video, quality }, { getState, rejectWithValue }) => {
+    try {
+      if (!video || typeof video.id !== 'number') {
+        throw new Error('Invalid video data provided for quality change');
+      }
+
+      console.log(
+        `[VideosSlice] Changing video ${video.id} to ${quality} quality`,
+      );
+
+      const downloadManager = DownloadManager.getInstance();
+      downloadManager.configure(getState().appConfig);
+
+      const queued = await downloadManager.changeVideoQuality(video, quality);
+      if (!queued) {
+        throw new Error('Failed to queue video for quality change');
+      }
+
+      return { videoId: video.id, quality };
+    } catch (error) {
+      console.error('[VideosSlice] Error changing video quality:', error);
+      return rejectWithValue(error.message || 'Change video quality failed');
+    }
+  },
+);
+
+// Reorder the download queue - position is 'top', 'up', 'down' or an index
+export const moveQueuedVideoThunk = createAsyncThunk(
+  'Videos/moveQueuedVideo',
+  async ({ videoId, position }, { rejectWithValue }) => {
+    try {
+      console.log(
+        `[VideosSlice] Moving queued video ${videoId} to position ${position}`,
+      );
+
+      const downloadManager = DownloadManager.getInstance();
+
+      let moved;
+      if (position === 'top') {
+        moved = downloadManager.moveToTop(videoId);
+      } else if (position === 'up') {
+        moved = downloadManager.moveUp(videoId);
+      } else if (position === 'down') {
+        moved = downloadManager.moveDown(videoId);
+      } else {
+        moved = downloadManager.moveInQueue(videoId, position);
+      }
+
+      if (!moved) {
+        throw new Error(`Video ${videoId} is not in the download queue`);
+      }
+
+      return { videoId, position };
+    } catch (error) {
+      console.error('[VideosSlice] Error moving queued video:', error);
+      return rejectWithValue(error.message || 'Move queued video failed');
+    }
+  },
+);
+
+// Take a waiting video out of the download queue
+export const removeQueuedVideoThunk = createAsyncThunk(
+  'Videos/removeQueuedVideo',
+  async (videoId, { rejectWithValue }) => {
+    try {
+      console.log(`[VideosSlice] Removing video ${videoId} from the queue`);
+
+      const downloadManager = DownloadManager.getInstance();
+
+      if (!downloadManager.removeFromQueue(videoId)) {
+        throw new Error(`Video ${videoId} is not in the download queue`);
+      }
+
+      return { videoId };
+    } catch (error) {
+      console.error('[VideosSlice] Error removing queued video:', error);
+      return rejectWithValue(error.message || 'Remove queued video failed');
+    }
+  },
+);
+
+// Pause the download queue, keeping partial bytes and remaining queue
+export const pauseDownloadQueueThunk = createAsyncThunk(
+  'Videos/pauseDownloadQueue',
+  async (_, { rejectWithValue }) => {
+    try {
+      console.log('[VideosSlice] Pausing download queue');
+
+      const downloadManager = DownloadManager.getInstance();
+
+      const paused = await downloadManager.pauseQueue('USER');
+      if (!paused) {
+        throw new Error('Failed to pause download queue');
+      }
+
+      return { isPaused: true };
+    } catch (error) {
+      console.error('[VideosSlice] Error pausing download queue:', error);
+      return rejectWithValue(error.message || 'Pause download queue failed');
+    }
+  },
+);
+
+// Push changed download settings (e.g. downloadOnWifiOnly) to DownloadManager
+export const applyDownloadSettingsThunk = createAsyncThunk(
+  'Videos/applyDownloadSettings',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const downloadManager = DownloadManager.getInstance();
+      downloadManager.configure(getState().appConfig);
+
+      // Resumes a policy pause if, e.g., a download window has opened
+      await downloadManager.applyDownloadPolicy();
+
+      return { applied: true };
+    } catch (error) {
+      console.error('[VideosSlice] Error applying download settings:', error);
+      return rejectWithValue(error.message || 'Apply download settings failed');
+    }
+  },
+);
+
+// Resume a paused download queue
+export const resumeDownloadQueueThunk = createAsyncThunk(
+  'Videos/resumeDownloadQueue',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      console.log('[VideosSlice] Resuming download queue');
+
+      const downloadManager = DownloadManager.getInstance();
+      downloadManager.configure(getState().appConfig);
+
+      // PAUSED videos may not be queued any more (e.g. after an app restart)
+      const { videosWithStatus } = getState().videosStore;
+      const pausedVideos = (videosWithStatus || [])
+        .filter(video => video.status === 'PAUSED')
+        .sort((a, b) => a.id - b.id);
+
+      const resumed = await downloadManager.resumeQueue(pausedVideos);
+
+      return { resumed };
+    } catch (error) {
+      console.error('[VideosSlice] Error resuming download queue:', error);
+      return rejectWithValue(error.message || 'Resume download queue failed');
+    }
+  },
+);
+
 // Server synchronization thunk - checks server videos against local storage
 export const serverSyncThunk = createAsyncThunk(
   'Videos/serverSync',
@@ -264,6 +588,8 @@ export const serverSyncThunk = createAsyncThunk(
         {
           autoCleanup: options.autoCleanup !== false, // Default to true
           dryRun: options.dryRun || false, // Default to false
+          removedVideoIds: options.removedVideoIds, // From a catalog delta
+          isCatalogComplete: options.isCatalogComplete !== false, // Default to true
         },
       );
 
@@ -295,6 +621,35 @@ export const serverSyncThunk = createAsyncThunk(
   },
 );
 
+// Verify every downloaded file on demand - corrupt files are quarantined and
+// their videos marked FAILED so they can be downloaded again
+export const verifyLibraryThunk = createAsyncThunk(
+  'Videos/verifyLibrary',
+  async (_, { dispatch, rejectWithValue }) => {
+    try {
+      console.log('[VideosSlice] Verifying downloaded library');
+
+      // Files still being written are checked when their download finishes
+      const activeVideoIds = DownloadManager.getInstance()
+        .getActiveDownloads()
+        .map(video => video.id);
+
+      const report = await VerificationService.verifyLibrary({
+        skipVideoIds: activeVideoIds,
+      });
+
+      if (report.invalid.length > 0) {
+        dispatch(loadLocalVideosThunk());
+      }
+
+      return { ...report, verifiedAt: Date.now() };
+    } catch (error) {
+      console.error('[VideosSlice] Error verifying library:', error);
+      return rejectWithValue(error.message || 'Library verification failed');
+    }
+  },
+);
+
 // Search videos thunk
 export const searchVideosThunk = createAsyncThunk(
   'Videos/searchVideos',
@@ -373,17 +728,48 @@ const videoSlice = createSlice({
       }
     },
 
-    // Track current download
-    setCurrentDownload: (state, action) => {
+    // Track a download that has started
+    addActiveDownload: (state, action) => {
       const videoId = action.payload;
-      if (videoId === null || typeof videoId === 'number') {
-        state.currentDownload = videoId;
-        console.log(`[VideosSlice] Set current download: ${videoId}`);
-      } else {
-        console.warn('[VideosSlice] Invalid current download ID:', videoId);
+      if (typeof videoId !== 'number') {
+        console.warn('[VideosSlice] Invalid active download ID:', videoId);
+        return;
+      }
+
+      if (!state.activeDownloads.includes(videoId)) {
+        state.activeDownloads.push(videoId);
+        console.log(`[VideosSlice] Added active download: ${videoId}`);
       }
     },
 
+    // Stop tracking a download that has finished, failed or paused
+    removeActiveDownload: (state, action) => {
+      const videoId = action.payload;
+      state.activeDownloads = state.activeDownloads.filter(
+        activeId => activeId !== videoId,
+      );
+      if (state.activeDownloads.length === 0) {
+        state.queueTransferStats = null;
+      }
+    },
+
+    // Track download queue pause state
+    setDownloadQueueState: (state, action) => {
+      const {
+        isPaused = false,
+        pauseReason = null,
+        queuedVideoIds,
+      } = action.payload || {};
+      state.isDownloadQueuePaused = isPaused === true;
+      state.downloadPauseReason = isPaused ? pauseReason : null;
+      if (Array.isArray(queuedVideoIds)) {
+        state.downloadQueue = queuedVideoIds;
+      }
+      console.log(
+        `[VideosSlice] Download queue ${isPaused ? 'paused' : 'active'}`,
+      );
+    },
+
     // Update video status
     updateVideoStatus: (state, action) => {
       const { videoId, status } = action.payload;
@@ -407,36 +793,106 @@ const videoSlice = createSlice({
         state.videosWithStatus[videoIndex].status = status;
       }
 
+      // PAUSED keeps its live progress ("Paused 40%"), finished videos drop it
+      if (status === 'DOWNLOADED' || status === 'FAILED') {
+        delete state.downloadProgressById[videoId];
+      }
+      if (status !== 'DOWNLOADING') {
+        delete state.downloadStatsById[videoId];
+      }
+
       console.log(`[VideosSlice] Updated video ${videoId} status to ${status}`);
     },
 
+    // Downloaded videos removed to stay within the storage quota
+    markVideosEvicted: (state, action) => {
+      const videoIds = action.payload;
+
+      if (!Array.isArray(videoIds)) {
+        console.warn('[VideosSlice] Invalid evicted videos:', videoIds);
+        return;
+      }
+
+      const evictedAt = Date.now();
+      videoIds.forEach(videoId => {
+        const evicted = {
+          status: 'NEW',
+          localFilePath: null,
+          downloadProgress: 0,
+          evictedAt,
+        };
+
+        if (state.localVideos[videoId]) {
+          Object.assign(state.localVideos[videoId], evicted);
+        }
+
+        const videoIndex = state.videosWithStatus.findIndex(
+          v => v.id === videoId,
+        );
+        if (videoIndex !== -1) {
+          Object.assign(state.videosWithStatus[videoIndex], evicted);
+        }
+      });
+
+      console.log(
+        `[VideosSlice] Marked videos evicted: ${videoIds.join(', ')}`,
+      );
+    },
+
     // Update download progress
     updateDownloadProgress: (state, action) => {
-      const { videoId, progress } = action.payload;
+      const { videoId, progress, stats, queue } = action.payload;
 
       if (typeof videoId !== 'number' || typeof progress !== 'number') {
         console.warn('[VideosSlice] Invalid progress update:', action.payload);
         return;
       }
 
-      // Clamp progress between 0 and 100
-      const clampedProgress = Math.max(0, Math.min(100, progress));
+      // Clamp progress between 0 and 100 - only the per-ID map changes, so
+      // the list and the other cards do not re-render on every tick
+      state.downloadProgressById[videoId] = Math.max(
+        0,
+        Math.min(100, progress),
+      );
+
+      // Speed/ETA, when the update comes from DownloadManager
+      if (stats) {
+        state.downloadStatsById[videoId] = stats;
+      }
+      if (queue) {
+        state.queueTransferStats = queue;
+      }
+    },
+
+    // Update automatic retry state ("retrying 2/3"); a count of 0 resets it
+    // when a new download attempt starts
+    updateDownloadRetry: (state, action) => {
+      const { videoId, retryCount, maxRetries, lastError } = action.payload;
+
+      if (typeof videoId !== 'number' || typeof retryCount !== 'number') {
+        console.warn('[VideosSlice] Invalid retry update:', action.payload);
+        return;
+      }
 
-      // Update in local videos
       if (state.localVideos[videoId]) {
-        state.localVideos[videoId].downloadProgress = clampedProgress;
+        state.localVideos[videoId].retryCount = retryCount;
+        state.localVideos[videoId].maxRetries = maxRetries;
+        state.localVideos[videoId].lastError = lastError;
       }
 
-      // Update in videos with status
       const videoIndex = state.videosWithStatus.findIndex(
         v => v.id === videoId,
       );
       if (videoIndex !== -1) {
-        state.videosWithStatus[videoIndex].downloadProgress = clampedProgress;
+        state.videosWithStatus[videoIndex].retryCount = retryCount;
+        state.videosWithStatus[videoIndex].maxRetries = maxRetries;
+        state.videosWithStatus[videoIndex].lastError = lastError;
       }
 
       console.log(
-        `[VideosSlice] Updated video ${videoId} progress to ${clampedProgress}%`,
+        retryCount > 0
+          ? `[VideosSlice] Video ${videoId} retrying ${retryCount}/${maxRetries}`
+          : `[VideosSlice] Reset retry state for video ${videoId}`,
       );
     },
 
@@ -517,11 +973,21 @@ const videoSlice = createSlice({
         if (localFilePath && status === 'DOWNLOADED') {
           state.videosWithStatus[videoIndex].localFilePath = localFilePath;
         }
+
+        if (status === 'DOWNLOADED') {
+          state.videosWithStatus[videoIndex].retryCount = 0;
+          state.videosWithStatus[videoIndex].lastError = null;
+        }
       }
 
-      // Clear current download if this was it
-      if (state.currentDownload === videoId) {
-        state.currentDownload = null;
+      // No longer an active download
+      state.activeDownloads = state.activeDownloads.filter(
+        activeId => activeId !== videoId,
+      );
+      delete state.downloadProgressById[videoId];
+      delete state.downloadStatsById[videoId];
+      if (state.activeDownloads.length === 0) {
+        state.queueTransferStats = null;
       }
 
       // Remove from queue
@@ -573,8 +1039,17 @@ const videoSlice = createSlice({
       state.videos = [];
       state.localVideos = {};
       state.videosWithStatus = [];
-      state.currentDownload = null;
+      state.activeDownloads = [];
+      state.downloadProgressById = {};
+      state.downloadStatsById = {};
+      state.queueTransferStats = null;
       state.downloadQueue = [];
+      state.isDownloadQueuePaused = false;
+      state.downloadPauseReason = null;
+      state.catalogNextPage = null;
+      state.catalogSnapshot = null;
+      state.isCatalogCached = false;
+      state.catalogSyncedAt = null;
       state.isLoading = false;
       state.isError = false;
       state.errorMessage = '';
@@ -589,6 +1064,10 @@ const videoSlice = createSlice({
     resetApiVideosOnly: state => {
       state.videos = [];
       state.videosWithStatus = [];
+      state.catalogNextPage = null;
+      state.catalogSnapshot = null;
+      state.isCatalogCached = false;
+      state.catalogSyncedAt = null;
       state.isLoading = false;
       state.isError = false;
       state.errorMessage = '';
@@ -619,13 +1098,65 @@ const videoSlice = createSlice({
         } else {
           state.videos = [];
         }
+        state.catalogRemovedVideoIds = action.payload?.removedVideoIds ?? null;
+        state.catalogNextPage = action.payload?.nextPage || null;
+        state.catalogSyncedAt = action.payload?.syncedAt || null;
+        state.catalogSnapshot = null;
+        state.isCatalogCached = false;
       })
       .addCase(fetchVideosThunk.rejected, (state, action) => {
+        // A saved catalog stays on screen - the error only replaces an empty list
         state.isLoading = false;
         state.isError = true;
         state.errorMessage = action.error.message || 'Failed to fetch videos';
       })
 
+      // Saved catalog thunk
+      .addCase(loadCachedCatalogThunk.fulfilled, (state, action) => {
+        // Never replace a catalog the server already answered with
+        if (!action.payload || state.videos.length > 0) {
+          return;
+        }
+        state.videos = action.payload.data;
+        state.catalogNextPage = action.payload.nextPage;
+        state.catalogSyncedAt = action.payload.syncedAt;
+        state.catalogSnapshot = null;
+        state.isCatalogCached = true;
+      })
+
+      // Next catalog page thunk
+      .addCase(fetchNextVideosPageThunk.pending, state => {
+        state.isLoadingMoreVideos = true;
+      })
+      .addCase(fetchNextVideosPageThunk.fulfilled, (state, action) => {
+        state.isLoadingMoreVideos = false;
+        const { stale, syncedAt, requestedPage } = action.payload;
+        if (stale || isCatalogReplaced(state, syncedAt, requestedPage)) {
+          return;
+        }
+        state.videos = action.payload.data;
+        state.catalogNextPage = action.payload.nextPage;
+      })
+      .addCase(fetchNextVideosPageThunk.rejected, state => {
+        // Keep catalogNextPage - scrolling to the end again retries
+        state.isLoadingMoreVideos = false;
+      })
+
+      // Catalog snapshot thunk
+      .addCase(fetchCatalogSnapshotThunk.pending, state => {
+        state.isLoadingCatalogSnapshot = true;
+      })
+      .addCase(fetchCatalogSnapshotThunk.fulfilled, (state, action) => {
+        state.isLoadingCatalogSnapshot = false;
+        // Dropped if the catalog was refreshed while the pages loaded
+        if (state.catalogSyncedAt === action.payload.syncedAt) {
+          state.catalogSnapshot = action.payload.data;
+        }
+      })
+      .addCase(fetchCatalogSnapshotThunk.rejected, state => {
+        state.isLoadingCatalogSnapshot = false;
+      })
+
       .addCase(loadLocalVideosThunk.pending, state => {})
       .addCase(loadLocalVideosThunk.fulfilled, (state, action) => {
         if (action.payload && typeof action.payload === 'object') {
@@ -656,8 +1187,8 @@ const videoSlice = createSlice({
           '[VideosSlice] Auto download process failed:',
           action.payload,
         );
-        // Clear any stuck current download
-        state.currentDownload = null;
+        // Clear any stuck active downloads
+        state.activeDownloads = [];
       })
 
       // Retry video download thunk
@@ -666,8 +1197,8 @@ const videoSlice = createSlice({
         // Current download and status are set in the thunk itself
       })
       .addCase(retryVideoDownloadThunk.fulfilled, (state, action) => {
-        console.log('[VideosSlice] Retry download completed:', action.payload);
-        // Download completion is handled by the thunk itself
+        console.log('[VideosSlice] Retry download queued:', action.payload);
+        // Status and progress arrive through the download events bridge
       })
       .addCase(retryVideoDownloadThunk.rejected, (state, action) => {
         console.error('[VideosSlice] Retry download failed:', action.payload);
@@ -730,6 +1261,25 @@ const videoSlice = createSlice({
         // Main app functionality should continue working
       })
 
+      // Verify library thunk
+      .addCase(verifyLibraryThunk.pending, state => {
+        state.isVerifyingLibrary = true;
+      })
+      .addCase(verifyLibraryThunk.fulfilled, (state, action) => {
+        state.isVerifyingLibrary = false;
+        state.lastLibraryVerification = action.payload;
+        console.log(
+          `[VideosSlice] Library verified: ${action.payload.valid}/${action.payload.checked} valid`,
+        );
+      })
+      .addCase(verifyLibraryThunk.rejected, (state, action) => {
+        state.isVerifyingLibrary = false;
+        console.error(
+          '[VideosSlice] Library verification failed:',
+          action.payload,
+        );
+      })
+
       // Search videos thunk
       .addCase(searchVideosThunk.pending, (state, action) => {
         state.isSearching = true;
@@ -754,9 +1304,13 @@ const videoSlice = createSlice({
 export const {
   setLocalVideos,
   setVideosWithStatus,
-  setCurrentDownload,
+  addActiveDownload,
+  removeActiveDownload,
+  setDownloadQueueState,
   updateVideoStatus,
+  markVideosEvicted,
   updateDownloadProgress,
+  updateDownloadRetry,
   addToDownloadQueue,
   removeFromDownloadQueue,
   completeDownload,
@@ -768,5 +1322,13 @@ export const {
   setSearchResults,
 } = videoSlice.actions;
 
+// Selectors
+export const selectDownloadProgress = (state, videoId) =>
+  state.videosStore?.downloadProgressById?.[videoId];
+export const selectDownloadStats = (state, videoId) =>
+  state.videosStore?.downloadStatsById?.[videoId];
+export const selectQueueTransferStats = state =>
+  state.videosStore?.queueTransferStats;
+
 // Export reducer
 export default videoSlice.reducer;
@@ -1,11 +1,4 @@
-import { useEffect } from 'react';
 import { Alert } from 'react-native';
-import { useDispatch } from 'react-redux';
-import {
-  setCurrentDownload,
-  updateDownloadProgress,
-  updateVideoStatus,
-} from '../Features/Videos/VideosSlice';
 import DownloadManager from '../Service/DownloadManager';
 import { useAppLanguage } from './useAppLagnuage';
 
@@ -13,7 +6,8 @@ import { useAppLanguage } from './useAppLagnuage';
  * useDownloadManager - React hook for DownloadManager integration
  *
  * CRITICAL RESPONSIBILITIES:
- * - Initialize DownloadManager callbacks with Redux dispatch
+ * - Redux updates come from the download events bridge (registered once at
+ *   store setup), so this hook never replaces anyone's listeners
  * - Provide safe wrapper functions for download operations
  * - Handle errors gracefully with user-friendly messages
  * - Prevent multiple simultaneous downloads
@@ -23,77 +17,8 @@ import { useAppLanguage } from './useAppLagnuage';
  */
 
 export const useDownloadManager = () => {
-  const dispatch = useDispatch();
   const { i18n } = useAppLanguage();
 
-  // Initialize DownloadManager callbacks on mount
-  useEffect(() => {
-    console.log('[useDownloadManager] Initializing DownloadManager callbacks');
-
-    const downloadManager = DownloadManager.getInstance();
-
-    // Set progress callback - updates Redux state for real-time UI updates
-    downloadManager.setProgressCallback((videoId, progress) => {
-      try {
-        if (typeof videoId === 'number' && typeof progress === 'number') {
-          console.log(
-            `[useDownloadManager] Progress update: Video ${videoId} - ${progress}%`,
-          );
-          dispatch(updateDownloadProgress({ videoId, progress }));
-        } else {
-          console.warn(
-            '[useDownloadManager] Invalid progress callback parameters:',
-            { videoId, progress },
-          );
-        }
-      } catch (error) {
-        console.error(
-          '[useDownloadManager] Error in progress callback:',
-          error,
-        );
-      }
-    });
-
-    // Set status callback - updates Redux state for status changes
-    downloadManager.setStatusCallback((videoId, status) => {
-      try {
-        if (typeof videoId === 'number' && typeof status === 'string') {
-          console.log(
-            `[useDownloadManager] Status update: Video ${videoId} -> ${status}`,
-          );
-
-          // Update video status in Redux
-          dispatch(updateVideoStatus({ videoId, status }));
-
-          // Update current download tracking
-          if (status === 'DOWNLOADING') {
-            dispatch(setCurrentDownload(videoId));
-          } else if (status === 'DOWNLOADED' || status === 'FAILED') {
-            dispatch(setCurrentDownload(null));
-          }
-        } else {
-          console.warn(
-            '[useDownloadManager] Invalid status callback parameters:',
-            { videoId, status },
-          );
-        }
-      } catch (error) {
-        console.error('[useDownloadManager] Error in status callback:', error);
-      }
-    });
-
-    console.log(
-      '[useDownloadManager] DownloadManager callbacks initialized successfully',
-    );
-
-    // Cleanup function (though callbacks persist for singleton lifecycle)
-    return () => {
-      console.log(
-        '[useDownloadManager] Component unmounting - callbacks remain active for singleton',
-      );
-    };
-  }, [dispatch]); // Only re-run if dispatch changes (shouldn't happen)
-
   /**
    * Start sequential downloads for new videos
    * @param {Array} newVideos - Array of NEW video objects
@@ -227,19 +152,8 @@ export const useDownloadManager = () => {
         return false;
       }
 
-      // Check if another download is active
+      // Queued next - waits for running downloads and the download policies
       const downloadManager = DownloadManager.getInstance();
-      if (downloadManager.isDownloadActive()) {
-        console.warn(
-          `[useDownloadManager] Cannot retry video ${videoId} - another download is active`,
-        );
-        Alert.alert(
-          i18n('download_in_progress'),
-          i18n('download_in_progress_message'),
-          [{ text: i18n('ok') }],
-        );
-        return false;
-      }
 
       console.log(
         `[useDownloadManager] Retrying download for video ${videoId}: ${videoData.name}`,
@@ -258,9 +172,7 @@ export const useDownloadManager = () => {
         return false;
       }
 
-      console.log(
-        `[useDownloadManager] Retry started successfully for video ${videoId}`,
-      );
+      console.log(`[useDownloadManager] Retry queued for video ${videoId}`);
       return true;
     } catch (error) {
       console.error('[useDownloadManager] Error retrying download:', error);
@@ -272,12 +184,17 @@ export const useDownloadManager = () => {
   };
 
   /**
-   * Cancel current download
+   * Cancel one video's download, or all downloads when no ID is given
+   * @param {number|null} videoId - Video to cancel (null = everything)
    * @returns {Promise<boolean>} Success status
    */
-  const cancelDownload = async () => {
+  const cancelDownload = async (videoId = null) => {
     try {
-      console.log('[useDownloadManager] Cancelling current download');
+      console.log(
+        `[useDownloadManager] Cancelling ${
+          videoId === null ? 'all downloads' : `download for video ${videoId}`
+        }`,
+      );
 
       const downloadManager = DownloadManager.getInstance();
 
@@ -286,7 +203,10 @@ export const useDownloadManager = () => {
         return true;
       }
 
-      const success = await downloadManager.cancelCurrentDownload();
+      const success =
+        videoId === null
+          ? await downloadManager.cancelCurrentDownload()
+          : await downloadManager.cancelDownload(videoId);
 
       if (success) {
         console.log('[useDownloadManager] Download cancelled successfully');
@@ -308,35 +228,96 @@ export const useDownloadManager = () => {
   };
 
   /**
-   * Get current download information
-   * @returns {Object|null} Current download info or null
+   * Queue a single video, also while other downloads are running
+   * @param {Object} video - Video object to download
+   * @param {boolean} toFront - Download next instead of last
+   * @returns {Promise<boolean>} Success status
    */
-  const getCurrentDownloadInfo = () => {
+  const enqueueDownload = async (video, toFront = false) => {
     try {
+      console.log(
+        `[useDownloadManager] Queueing download for video ${video?.id}`,
+      );
+
       const downloadManager = DownloadManager.getInstance();
-      const currentDownload = downloadManager.getCurrentDownload();
+      const success = await downloadManager.enqueue(video, { toFront });
 
-      if (currentDownload) {
-        console.log(
-          `[useDownloadManager] Current download: Video ${currentDownload.id}`,
-        );
-        return {
-          video: currentDownload,
-          isActive: true,
-        };
-      } else {
-        return {
-          video: null,
-          isActive: false,
-        };
+      if (!success) {
+        Alert.alert(i18n('error'), i18n('download_failed'), [
+          { text: i18n('ok') },
+        ]);
       }
+
+      return success;
+    } catch (error) {
+      console.error('[useDownloadManager] Error queueing download:', error);
+      Alert.alert(i18n('error'), error.message || i18n('download_failed'), [
+        { text: i18n('ok') },
+      ]);
+      return false;
+    }
+  };
+
+  /**
+   * Pause the download queue, keeping partial bytes and queue position
+   * @returns {Promise<boolean>} Success status
+   */
+  const pauseDownloads = async () => {
+    try {
+      console.log('[useDownloadManager] Pausing downloads');
+
+      const downloadManager = DownloadManager.getInstance();
+      return await downloadManager.pauseQueue('USER');
+    } catch (error) {
+      console.error('[useDownloadManager] Error pausing downloads:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Resume a paused download queue
+   * @returns {Promise<boolean>} Success status
+   */
+  const resumeDownloads = async () => {
+    try {
+      console.log('[useDownloadManager] Resuming downloads');
+
+      const downloadManager = DownloadManager.getInstance();
+      return await downloadManager.resumeQueue();
+    } catch (error) {
+      console.error('[useDownloadManager] Error resuming downloads:', error);
+      Alert.alert(i18n('error'), error.message || i18n('download_failed'), [
+        { text: i18n('ok') },
+      ]);
+      return false;
+    }
+  };
+
+  /**
+   * Get the downloads running right now
+   * @returns {Object} {videos, isActive}
+   */
+  const getActiveDownloadsInfo = () => {
+    try {
+      const downloadManager = DownloadManager.getInstance();
+      const activeDownloads = downloadManager.getActiveDownloads();
+
+      console.log(
+        `[useDownloadManager] Active downloads: ${
+          activeDownloads.map(video => video.id).join(', ') || 'none'
+        }`,
+      );
+      return {
+        videos: activeDownloads,
+        isActive: activeDownloads.length > 0,
+      };
     } catch (error) {
       console.error(
-        '[useDownloadManager] Error getting current download info:',
+        '[useDownloadManager] Error getting active downloads info:',
         error,
       );
       return {
-        video: null,
+        videos: [],
         isActive: false,
       };
     }
@@ -382,10 +363,13 @@ export const useDownloadManager = () => {
     // Download operations
     startSequentialDownloads,
     retryDownload,
+    enqueueDownload,
     cancelDownload,
+    pauseDownloads,
+    resumeDownloads,
 
     // Status queries
-    getCurrentDownloadInfo,
+    getActiveDownloadsInfo,
     isDownloadActive,
     getQueueLength,
   };
@@ -2,6 +2,7 @@ import { configureStore } from '@reduxjs/toolkit';
 import appConfigSlice from '../Features/Config/appConfigSlice';
 import themeAndLanguageSlice from '../Features/Config/themeAndLanguageUpdateSlice';
 import modalSlice from '../Features/Modal/modalSlice';
+import { registerDownloadEventsBridge } from '../Features/Videos/DownloadEventsBridge';
 import videoReducer from '../Features/Videos/VideosSlice';
 
 const AppStore = configureStore({
@@ -13,4 +14,7 @@ const AppStore = configureStore({
   },
 });
 
+// DownloadManager events → Redux, registered once for the whole app
+registerDownloadEventsBridge(AppStore);
+
 export default AppStore;
@@ -0,0 +1,254 @@
+import LocalStorageService from './LocalStorageService';
+
+// Connection types (from NetInfo) that are counted as Wi-Fi
+const WIFI_CONNECTION_TYPES = ['wifi', 'ethernet'];
+
+const USAGE_SETTINGS = {
+  SAVE_DELAY_MS: 5000, // Batch ledger writes while downloads run
+  MAX_MONTHS: 12, // Months kept in the ledger
+};
+
+/**
+ * DataUsageService - Monthly ledger of downloaded bytes
+ *
+ * Bytes are counted per calendar month (device local time), per connection
+ * type and per video. DownloadManager records every byte it receives and
+ * compares the month's cellular total against the cellular data budget.
+ *
+ * LEDGER:
+ * {
+ *   months: {
+ *     '2026-10': {
+ *       wifi: number, cellular: number, other: number,
+ *       videos: { [videoId]: {name, wifi, cellular, other} }
+ *     }
+ *   }
+ * }
+ */
+class DataUsageService {
+  constructor() {
+    this.logPrefix = '[DataUsageService]';
+    this.ledger = { months: {} };
+    this.isLoaded = false;
+    this.loadPromise = null; // Shared by concurrent load() calls
+    this.saveTimer = null; // Pending batched write
+  }
+
+  /**
+   * Read the ledger from storage (once per app session)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        const savedLedger = await LocalStorageService.getDataUsage();
+        if (savedLedger && savedLedger.months) {
+          // Keep bytes recorded before the ledger was read
+          Object.keys(savedLedger.months).forEach(monthKey => {
+            const month = this.ledger.months[monthKey];
+            this.ledger.months[monthKey] = month
+              ? this._mergeMonths(savedLedger.months[monthKey], month)
+              : savedLedger.months[monthKey];
+          });
+        }
+        this.isLoaded = true;
+      })();
+    }
+
+    await this.loadPromise;
+  }
+
+  /**
+   * Add downloaded bytes to the current month
+   * @param {Object} entry - {videoId, name, bytes, connectionType}
+   * @returns {string} Bucket the bytes were counted in ('wifi', 'cellular', 'other')
+   */
+  recordBytes({ videoId, name, bytes, connectionType }) {
+    const bucket = this.getBucket(connectionType);
+    if (!(bytes > 0)) {
+      return bucket;
+    }
+
+    const month = this._getMonth(this.getMonthKey());
+    month[bucket] += bytes;
+
+    if (videoId !== undefined && videoId !== null) {
+      const video = month.videos[videoId] || {
+        name: name || `#${videoId}`,
+        wifi: 0,
+        cellular: 0,
+        other: 0,
+      };
+      video[bucket] += bytes;
+      if (name) {
+        video.name = name;
+      }
+      month.videos[videoId] = video;
+    }
+
+    this._scheduleSave();
+    return bucket;
+  }
+
+  /**
+   * Bytes downloaded on cellular this month
+   * @returns {number} Bytes
+   */
+  getCellularBytesThisMonth() {
+    const month = this.ledger.months[this.getMonthKey()];
+    return month ? month.cellular : 0;
+  }
+
+  /**
+   * Usage per month, newest first, with videos sorted by total bytes
+   * @returns {Promise<Array<Object>>} [{month, wifi, cellular, other, total, videos: [{videoId, name, wifi, cellular, other, total}]}]
+   */
+  async getSummary() {
+    await this.load();
+
+    return Object.keys(this.ledger.months)
+      .sort()
+      .reverse()
+      .map(monthKey => {
+        const month = this.ledger.months[monthKey];
+        const videos = Object.keys(month.videos)
+          .map(videoId => {
+            const video = month.videos[videoId];
+            return {
+              videoId: parseInt(videoId, 10),
+              ...video,
+              total: video.wifi + video.cellular + video.other,
+            };
+          })
+          .sort((a, b) => b.total - a.total);
+
+        return {
+          month: monthKey,
+          wifi: month.wifi,
+          cellular: month.cellular,
+          other: month.other,
+          total: month.wifi + month.cellular + month.other,
+          videos,
+        };
+      });
+  }
+
+  /**
+   * Write pending usage now (e.g. when the app goes to the background)
+   * @returns {Promise<boolean>} Success status
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    await this.load();
+    this._pruneMonths();
+    return LocalStorageService.saveDataUsage(this.ledger);
+  }
+
+  /**
+   * Ledger bucket for a NetInfo connection type
+   * @param {string} connectionType - e.g. 'wifi', 'cellular'
+   * @returns {string} 'wifi', 'cellular' or 'other'
+   */
+  getBucket(connectionType) {
+    if (WIFI_CONNECTION_TYPES.includes(connectionType)) {
+      return 'wifi';
+    }
+    return connectionType === 'cellular' ? 'cellular' : 'other';
+  }
+
+  /**
+   * Ledger key of a month, e.g. '2026-10'
+   * @param {Date} date - Date in the month (default now)
+   * @returns {string} Month key
+   */
+  getMonthKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return `${date.getFullYear()}-${month}`;
+  }
+
+  /**
+   * Get (or create) a month in the ledger
+   * @private
+   */
+  _getMonth(monthKey) {
+    if (!this.ledger.months[monthKey]) {
+      this.ledger.months[monthKey] = {
+        wifi: 0,
+        cellular: 0,
+        other: 0,
+        videos: {},
+      };
+    }
+    return this.ledger.months[monthKey];
+  }
+
+  /**
+   * Add up two records of the same month
+   * @private
+   */
+  _mergeMonths(first, second) {
+    const merged = {
+      wifi: first.wifi + second.wifi,
+      cellular: first.cellular + second.cellular,
+      other: first.other + second.other,
+      videos: { ...first.videos },
+    };
+
+    Object.keys(second.videos).forEach(videoId => {
+      const video = second.videos[videoId];
+      const existing = merged.videos[videoId];
+      merged.videos[videoId] = existing
+        ? {
+            name: video.name || existing.name,
+            wifi: existing.wifi + video.wifi,
+            cellular: existing.cellular + video.cellular,
+            other: existing.other + video.other,
+          }
+        : video;
+    });
+    return merged;
+  }
+
+  /**
+   * Drop months beyond MAX_MONTHS
+   * @private
+   */
+  _pruneMonths() {
+    Object.keys(this.ledger.months)
+      .sort()
+      .reverse()
+      .slice(USAGE_SETTINGS.MAX_MONTHS)
+      .forEach(monthKey => {
+        delete this.ledger.months[monthKey];
+      });
+  }
+
+  /**
+   * Save the ledger shortly, batching the many small progress updates
+   * @private
+   */
+  _scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush().catch(error => {
+        console.error(`${this.logPrefix} Error saving data usage:`, error);
+      });
+    }, USAGE_SETTINGS.SAVE_DELAY_MS);
+  }
+}
+
+// Export singleton instance
+const dataUsageService = new DataUsageService();
+export default dataUsageService;
@@ -0,0 +1,200 @@
+import LocalStorageService from './LocalStorageService';
+
+// Primary API host - files are served from `${host}${video.filepath}`
+const DEFAULT_HOST = 'https://api.redfynix.com/';
+
+// Legacy endpoint used when a video has neither filepath nor video_url
+const LEGACY_DOWNLOAD_PATH = 'api/v1/media-files/download/';
+
+// How long a failing host is moved to the back of the candidate list (ms)
+const HOST_COOLDOWN_MS = 10 * 60 * 1000;
+
+const ORIGIN_PATTERN = /^(https?:\/\/[^/?#]+)/i;
+
+/**
+ * DownloadHostService - Candidate download URLs per video and host health
+ *
+ * CANDIDATES (in this order, duplicates removed):
+ * 1. Server-provided `mirrors` - full URLs (or {url}) for the same file
+ * 2. `filepath` on every host: configured CDN bases, then the API host
+ * 3. Legacy `video_url`
+ * 4. Legacy download endpoint on the API host (only if nothing else)
+ *
+ * HOST HEALTH:
+ * The last host that completed a download is preferred for the next one.
+ * A host that failed with a connection error or 5xx is tried last until its
+ * cooldown has passed, so an outage of one host does not hold up the rest of
+ * the library. Health is persisted and survives app restarts.
+ */
+class DownloadHostService {
+  constructor() {
+    this.logPrefix = '[DownloadHostService]';
+    this.preferredHost = null; // Origin of the last host that worked
+    this.failedHosts = {}; // origin → time of the last failure
+    this.isLoaded = false; // Health read from storage
+  }
+
+  /**
+   * Build the ordered list of URLs to try for a video
+   * @param {Object} video - Video object (filepath, mirrors, video_url)
+   * @param {Array<string>} cdnBaseUrls - Configured CDN base URLs
+   * @returns {Promise<Array<string>>} Candidate URLs, best first
+   */
+  async getCandidateUrls(video, cdnBaseUrls = []) {
+    await this._loadHealth();
+
+    if (!video) {
+      return [];
+    }
+
+    const urls = [];
+    const addUrl = url => {
+      if (this._isHttpUrl(url) && !urls.includes(url)) {
+        urls.push(url);
+      }
+    };
+
+    (Array.isArray(video.mirrors) ? video.mirrors : []).forEach(mirror =>
+      addUrl(typeof mirror === 'string' ? mirror : mirror && mirror.url),
+    );
+
+    const hosts = this._getHosts(cdnBaseUrls);
+    if (typeof video.filepath === 'string' && video.filepath) {
+      const filepath = video.filepath.replace(/^\/+/, '');
+      hosts.forEach(host => addUrl(`${host}${filepath}`));
+    }
+
+    if (typeof video.video_url === 'string') {
+      addUrl(video.video_url);
+    }
+
+    if (urls.length === 0 && video.id) {
+      addUrl(`${DEFAULT_HOST}${LEGACY_DOWNLOAD_PATH}${video.id}`);
+    }
+
+    return this._sortByHealth(urls);
+  }
+
+  /**
+   * Record that a host served a download successfully
+   * @param {string} url - URL that worked
+   * @returns {Promise<void>}
+   */
+  async markHealthy(url) {
+    const origin = this._getOrigin(url);
+    if (!origin) {
+      return;
+    }
+
+    const changed =
+      this.preferredHost !== origin || this.failedHosts[origin] !== undefined;
+    this.preferredHost = origin;
+    delete this.failedHosts[origin];
+
+    if (changed) {
+      console.log(`${this.logPrefix} Preferring host ${origin}`);
+      await this._saveHealth();
+    }
+  }
+
+  /**
+   * Record that a host failed with a connection error or 5xx
+   * @param {string} url - URL that failed
+   * @returns {Promise<void>}
+   */
+  async markFailed(url) {
+    const origin = this._getOrigin(url);
+    if (!origin) {
+      return;
+    }
+
+    console.warn(`${this.logPrefix} Host ${origin} failed, deprioritizing`);
+    this.failedHosts[origin] = Date.now();
+    if (this.preferredHost === origin) {
+      this.preferredHost = null;
+    }
+    await this._saveHealth();
+  }
+
+  /**
+   * Hosts to combine with `filepath` - CDN bases first, then the API host
+   * @private
+   */
+  _getHosts(cdnBaseUrls) {
+    const hosts = (Array.isArray(cdnBaseUrls) ? cdnBaseUrls : [])
+      .filter(base => this._isHttpUrl(base))
+      .map(base => (base.endsWith('/') ? base : `${base}/`));
+
+    return hosts.includes(DEFAULT_HOST) ? hosts : [...hosts, DEFAULT_HOST];
+  }
+
+  /**
+   * Stable sort - preferred host first, hosts in cooldown last
+   * @private
+   */
+  _sortByHealth(urls) {
+    const now = Date.now();
+    const rank = url => {
+      const origin = this._getOrigin(url);
+      const failedAt = this.failedHosts[origin];
+      if (failedAt && now - failedAt < HOST_COOLDOWN_MS) {
+        return 2;
+      }
+      return origin === this.preferredHost ? 0 : 1;
+    };
+
+    return urls
+      .map((url, index) => ({ url, index, rank: rank(url) }))
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(({ url }) => url);
+  }
+
+  /**
+   * Read persisted host health once
+   * @private
+   */
+  async _loadHealth() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    this.isLoaded = true;
+    const health = await LocalStorageService.getDownloadHostHealth();
+    if (health) {
+      this.preferredHost = health.preferredHost || null;
+      this.failedHosts = health.failedHosts || {};
+    }
+  }
+
+  /**
+   * Persist host health
+   * @private
+   */
+  async _saveHealth() {
+    await LocalStorageService.saveDownloadHostHealth({
+      preferredHost: this.preferredHost,
+      failedHosts: this.failedHosts,
+    });
+  }
+
+  /**
+   * Scheme + host of a URL (RN's URL polyfill does not parse reliably)
+   * @private
+   */
+  _getOrigin(url) {
+    const match = typeof url === 'string' ? url.match(ORIGIN_PATTERN) : null;
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  /**
+   * Check for an absolute http(s) URL
+   * @private
+   */
+  _isHttpUrl(url) {
+    return typeof url === 'string' && ORIGIN_PATTERN.test(url);
+  }
+}
+
+// Export singleton instance
+const downloadHostService = new DownloadHostService();
+export default downloadHostService;
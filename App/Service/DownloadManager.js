@@ -1,20 +1,268 @@
 import RNFS from 'react-native-fs';
+import DataUsageService from './DataUsageService';
+import DownloadHostService from './DownloadHostService';
 import FileSystemService from './FileSystemService';
 import LocalStorageService from './LocalStorageService';
+import NetworkPolicyService from './NetworkPolicyService';
+import StorageEvictionService from './StorageEvictionService';
+import VerificationService from './VerificationService';
+import {
+  getMsUntilNextScheduleChange,
+  isWithinDownloadWindow,
+} from '../Utils/DownloadSchedule';
+import { getMediaTypeFromPath, resolveMediaType } from '../Utils/MediaTypes';
+import {
+  VIDEO_QUALITIES,
+  applyRendition,
+  getRenditions,
+  selectRendition,
+} from '../Utils/Renditions';
+
+// Defaults used until configure() is called with the app config
+const DEFAULT_CONFIG = {
+  retryAttempts: 3, // Automatic retries after the first failed attempt
+  downloadTimeout: 300000, // Max time for an attempt to receive its first bytes (ms)
+  downloadStallTimeout: 30000, // Max time without receiving any bytes (ms)
+  downloadMaxDuration: 3600000, // Max total time for one download job (ms)
+  downloadOnWifiOnly: true, // Pause on cellular, resume on Wi-Fi
+  maxConcurrentDownloads: 1, // Parallel download workers (1 = sequential)
+  bandwidthLimitWifiKBps: 0, // Download cap on Wi-Fi (0 = unlimited)
+  bandwidthLimitCellularKBps: 0, // Download cap on cellular (0 = unlimited)
+  progressUpdateInterval: 500, // Min time between progress events per video (ms)
+  downloadScheduleEnabled: false, // Only download inside downloadWindows
+  downloadWindows: [{ start: '00:00', end: '06:00' }], // Local time windows
+  cdnBaseUrls: [], // Extra hosts serving `filepath`, tried before the API host
+  videoQuality: 'medium', // Rendition to download: audio, low, medium, high
+  cellularDataBudgetMB: 0, // Monthly cellular download budget (0 = unlimited)
+  maxStorageUsageGB: 5, // Library quota - size of the video folder
+  evictOldestWhenFull: false, // Remove the oldest downloads to stay in quota
+};
+
+// Pauses applied by a policy - lifted automatically once the policy allows it
+const POLICY_PAUSE_REASONS = [
+  'OFFLINE',
+  'WIFI_REQUIRED',
+  'DATA_BUDGET',
+  'OUTSIDE_SCHEDULE',
+  'STORAGE_QUOTA',
+];
+
+const RETRY_SETTINGS = {
+  BASE_DELAY_MS: 2000, // Delay before the first retry (doubles each attempt)
+  MAX_DELAY_MS: 60000, // Upper bound for a single backoff delay
+};
+
+const WATCHDOG_INTERVAL_MS = 5000; // How often active jobs are checked for stalls
+
+const STORAGE_CHECK_SETTINGS = {
+  HEAD_TIMEOUT_MS: 10000, // Max time for a HEAD request asking for the file size
+  HEAD_CONCURRENCY: 4, // HEAD requests running at once for a batch check
+  FAILED_LOOKUP_RETRY_MS: 10 * 60 * 1000, // Ask again for a size that could not be read
+};
+
+// Events emitted by DownloadManager - subscribe with on(event, listener)
+const DOWNLOAD_EVENTS = [
+  'progress',
+  'status',
+  'queueChanged',
+  'retry',
+  'error',
+  'storageInsufficient',
+  'evicted',
+];
+
+/**
+ * @typedef {Object} TransferStats
+ * @property {number} bytesWritten - Bytes on disk so far (incl. resumed bytes)
+ * @property {number|null} totalBytes - Full file size, if known
+ * @property {number} bytesPerSecond - Smoothed throughput
+ * @property {number|null} etaSeconds - Time left at the current speed
+ */
+
+/**
+ * @typedef {Object} QueueTransferStats
+ * @property {number} remainingBytes - Left to download for active + queued videos
+ * @property {number} bytesPerSecond - Combined speed of the active downloads
+ * @property {number|null} etaSeconds - Time left for the whole queue
+ */
+
+/**
+ * @typedef {Object} ProgressEvent
+ * @property {number} videoId
+ * @property {number} progress - 0-100
+ * @property {TransferStats} stats - Speed/ETA of this download
+ * @property {QueueTransferStats} queue - Speed/ETA of all remaining downloads
+ */
+
+/**
+ * @typedef {Object} StatusEvent
+ * @property {number} videoId
+ * @property {'DOWNLOADING'|'DOWNLOADED'|'PAUSED'|'FAILED'} status
+ * @property {string|null} localFilePath - Final file path when DOWNLOADED
+ */
+
+/**
+ * @typedef {Object} QueueChangedEvent
+ * @property {boolean} isPaused
+ * @property {string|null} pauseReason - 'USER', 'WIFI_REQUIRED', ...
+ * @property {number} queueLength
+ * @property {Array<number>} queuedVideoIds - Waiting videos in download order
+ */
+
+/**
+ * @typedef {Object} RetryEvent
+ * @property {number} videoId
+ * @property {number} retryCount
+ * @property {number} maxRetries
+ * @property {string} lastError
+ */
+
+/**
+ * @typedef {Object} ErrorEvent
+ * @property {number} videoId
+ * @property {string} error - Why the download gave up
+ * @property {number|null} statusCode - HTTP status, if any
+ * @property {number} retryCount - Retries made before giving up
+ */
+
+/**
+ * @typedef {Object} StorageEvent
+ * @property {Array<number>} videoIds - Videos that do not fit
+ * @property {number} requiredKB - Space needed, incl. the safety margin
+ * @property {number} availableKB - Free space on the device
+ * @property {boolean} skipped - True if the videos were skipped, false for
+ *   the pre-flight warning about a whole batch
+ */
+
+/**
+ * @typedef {Object} EvictedEvent
+ * @property {Array<number>} videoIds - Downloaded videos removed to make room
+ * @property {number} freedBytes
+ */
+
+const SPEED_SETTINGS = {
+  SAMPLE_INTERVAL_MS: 500, // Min time between throughput samples
+  SMOOTHING: 0.3, // Weight of the newest sample (exponential moving average)
+};
+
+const THROTTLE_SETTINGS = {
+  CHUNK_SECONDS: 2, // Each Range request carries ~2s worth of the cap
+  MIN_CHUNK_BYTES: 64 * 1024, // Avoid tiny requests on very low caps
+};
 
 /**
- * DownloadManager - Singleton service for sequential video downloads
+ * DownloadManager - Singleton service for queued video downloads
  *
  * CRITICAL REQUIREMENTS:
- * - Downloads videos ONE BY ONE (sequential, not parallel)
- * - Downloads from TOP TO BOTTOM by video ID (0 → 1 → 2 → 3)
- * - Tracks real-time progress (0-100%)
+ * - Runs up to maxConcurrentDownloads jobs at once (1 = one by one)
+ * - Starts downloads from TOP TO BOTTOM by video ID (0 → 1 → 2 → 3)
+ * - Accepts single videos picked by the user at any time (enqueue), also
+ *   while other downloads are running
+ * - Lets the user reorder the queue (moveInQueue, moveToTop, moveUp,
+ *   moveDown, removeFromQueue); the order is kept as a `queuePriority` on
+ *   each queued video, so it is persisted with the queue
+ * - Tracks real-time progress (0-100%) per video, throttled to one event per
+ *   progressUpdateInterval so low-end devices are not flooded with renders
+ * - Reports smoothed speed, bytes transferred and ETA per video and for the
+ *   whole queue with every progress event
  * - Handles errors and failures gracefully
- * - Integrates with Redux for state updates
- * - Validates storage space before downloading
+ * - Emits progress/status/queue/retry/error events (see on) - Redux listens
+ *   through one bridge registered at store setup
+ * - Checks free space against the real size of each video before
+ *   downloading it (see STORAGE CHECKS)
+ * - Resumes interrupted downloads with HTTP Range requests
+ * - Persists the queue so it survives app restarts (see restoreQueue)
+ * - Retries transient failures (timeouts, 5xx, network loss) with jittered
+ *   exponential backoff; permanent failures (404, 403, ...) fail immediately
+ * - Cancels jobs that stall (no bytes within downloadStallTimeout) or get no
+ *   data within downloadTimeout, so one stuck stream cannot block the rest
+ *   of the queue. A job that keeps receiving bytes runs until
+ *   downloadMaxDuration; the bytes it got are kept and the retry resumes
+ * - Honors downloadOnWifiOnly: checks NetworkPolicyService before each item and
+ *   pauses with 'WIFI_REQUIRED' when the connection drops to cellular
+ * - Holds the queue while offline: pauses with 'OFFLINE' and resumes on
+ *   reconnect, so videos can be queued without a connection
+ * - Honors the download schedule: outside downloadWindows automatic
+ *   downloads wait ('OUTSIDE_SCHEDULE' once only they are left) and resume
+ *   when the next window opens; videos queued by hand (enqueue) still start
+ * - Caps bandwidth per connection type (bandwidthLimitWifiKBps /
+ *   bandwidthLimitCellularKBps) by pacing Range chunks with a token bucket
+ * - Verifies every finished file (size, optional SHA-256) before marking it
+ *   DOWNLOADED; a corrupt file is quarantined and downloaded again
  *
  * STATE FLOW:
  * NEW → DOWNLOADING → DOWNLOADED/FAILED
+ * DOWNLOADING → PAUSED → DOWNLOADING (pauseQueue / resumeQueue)
+ *
+ * QUEUE PRIORITY:
+ * Higher `queuePriority` downloads first. Auto-download queues videos with
+ * priority 0 in ascending ID order. A manual reorder renumbers the whole
+ * queue (first = highest), so videos queued later with priority 0 stay
+ * behind the order the user chose.
+ *
+ * POLICY PAUSES:
+ * Pauses with a reason from POLICY_PAUSE_REASONS (e.g. 'WIFI_REQUIRED') are
+ * lifted automatically once the policy allows downloads again. A 'USER' pause
+ * is only lifted by resumeQueue.
+ *
+ * ATOMIC DOWNLOADS:
+ * Bytes are written to a `.part` file in the staging folder. Only a verified
+ * file is moved to its final `video_N.<ext>` path, so a file in the video
+ * folder is always complete. restoreQueue sweeps stray `.part` files on
+ * startup.
+ *
+ * FILE TYPES:
+ * The extension comes from the API `filetype`/`filepath`, or from the
+ * response Content-Type when the API does not declare one (see MediaTypes).
+ * The final path and MIME type are saved in the video metadata, which is the
+ * only place downloaded files are looked up.
+ *
+ * DATA BUDGET:
+ * Every received byte is recorded in DataUsageService's monthly ledger under
+ * the current connection type. Once this month's cellular bytes reach
+ * `cellularDataBudgetMB`, downloads on cellular pause with 'DATA_BUDGET'
+ * until Wi-Fi is back, the budget is raised or a new month starts.
+ *
+ * RENDITIONS:
+ * Videos with server `renditions` are downloaded in the `videoQuality`
+ * setting (see Renditions), or in the `preferredQuality` of a queued video
+ * (changeVideoQuality). The chosen quality is saved as `rendition` in the
+ * metadata. Changing it replaces the downloaded file.
+ *
+ * RESUME FLOW:
+ * A failed download keeps its partial file plus a sidecar record
+ * (bytes written, ETag/Last-Modified). The next attempt requests only the
+ * missing bytes and appends them; if the server ignores Range, the
+ * validator has changed or Content-Range does not start where the partial
+ * file ends, the download restarts from byte zero.
+ *
+ * HOST FAILOVER:
+ * Each video has a list of candidate URLs (server `mirrors`, configured CDN
+ * bases, the API host - see DownloadHostService). A connection error or 5xx
+ * moves on to the next candidate within the same attempt, resuming the
+ * partial file there (If-Range restarts it if the copy differs). The host
+ * that completes a download is preferred for the following ones.
+ *
+ * STORAGE CHECKS:
+ * A video needs its API `filesize` (or the Content-Length of a HEAD request)
+ * minus the bytes of a resumable partial file, plus what the other active
+ * downloads still have to write, plus FileSystemService's safety margin.
+ * startAutoDownload checks the whole batch in the background without holding
+ * up the queue (HEAD requests run a few at a time; sizes, also unknown ones,
+ * are cached per URL); every item is checked again right before it starts
+ * and skipped (FAILED, with a storage error) if it does not fit. Both emit
+ * 'storageInsufficient' so the UI can show the real numbers.
+ *
+ * STORAGE QUOTA:
+ * The video folder may not grow past `maxStorageUsageGB`. Before each item
+ * the library size, the bytes the active downloads still need and the next
+ * video's size are added up; if that is over the quota, the queue pauses with
+ * 'STORAGE_QUOTA' once the running downloads have finished. With
+ * `evictOldestWhenFull` the queue only pauses if removing old downloads
+ * could not make room; StorageEvictionService removes them when a worker
+ * starts the video, and only as many bytes as it needs - the policy check
+ * itself never deletes anything. A video larger than the whole quota is
+ * skipped instead.
  */
 
 class DownloadManager {
@@ -24,12 +272,28 @@ class DownloadManager {
     }
 
     this.logPrefix = '[DownloadManager]';
-    this.currentDownload = null; // Currently downloading video object
+    this.activeDownloads = new Map(); // videoId → {video, jobId, retryTimer, cancelled}
     this.downloadQueue = []; // Array of video objects to download
     this.isProcessing = false; // Flag to prevent multiple simultaneous processing
-    this.progressCallback = null; // Callback for progress updates
-    this.statusCallback = null; // Callback for status updates
-    this.downloadJob = null; // Current RNFS download job (for cancellation)
+    this.queueWorkers = new Set(); // Running _runQueueWorker promises
+    this.nextWorkerId = 1; // Worker ids for logging
+    this.listeners = {}; // event → Set of listeners (see DOWNLOAD_EVENTS)
+    this.isPaused = false; // Queue paused - remaining items wait for resumeQueue
+    this.pauseReason = null; // Why the queue is paused (e.g. 'USER')
+    this.config = { ...DEFAULT_CONFIG }; // Download settings from app config
+    this.cancelGeneration = 0; // Bumped by cancelCurrentDownload to stop retries
+    this.networkUnsubscribe = null; // NetworkPolicyService listener (once queued)
+    this.scheduleTimer = null; // Fires when the next download window opens/closes
+    this.bandwidthClock = 0; // Token bucket - time the used bandwidth runs out
+    this.progressEmittedAt = new Map(); // videoId → time of the last progress event
+    this.transferStats = new Map(); // videoId → {bytesWritten, totalBytes, bytesPerSecond, sampledAt, sampledBytes}
+    this.connectionType = null; // Last known NetInfo type, for data usage
+    this.contentLengths = new Map(); // url → {size, checkedAt} from a HEAD request
+    this.contentLengthRequests = new Map(); // url → HEAD request in flight
+
+    DOWNLOAD_EVENTS.forEach(event => {
+      this.listeners[event] = new Set();
+    });
 
     console.log(`${this.logPrefix} Initialized singleton instance`);
     DownloadManager.instance = this;
@@ -47,29 +311,85 @@ class DownloadManager {
   }
 
   /**
-   * Set progress callback for Redux integration
-   * @param {Function} callback - Function(videoId, progress)
+   * Subscribe to download events
+   *
+   * - 'progress'     → ProgressEvent
+   * - 'status'       → StatusEvent
+   * - 'queueChanged' → QueueChangedEvent
+   * - 'retry'        → RetryEvent
+   * - 'error'        → ErrorEvent (download gave up)
+   * - 'storageInsufficient' → StorageEvent (not enough free space)
+   * - 'evicted'      → EvictedEvent (downloads removed to stay in quota)
+   *
+   * @param {string} event - One of DOWNLOAD_EVENTS
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Unsubscribe function
    */
-  setProgressCallback(callback) {
-    if (typeof callback === 'function') {
-      this.progressCallback = callback;
-      console.log(`${this.logPrefix} Progress callback set`);
-    } else {
-      console.warn(`${this.logPrefix} Invalid progress callback provided`);
+  on(event, listener) {
+    if (!this.listeners[event] || typeof listener !== 'function') {
+      console.warn(`${this.logPrefix} Invalid listener for event ${event}`);
+      return () => {};
     }
+
+    this.listeners[event].add(listener);
+    return () => {
+      this.listeners[event].delete(listener);
+    };
   }
 
   /**
-   * Set status callback for Redux integration
-   * @param {Function} callback - Function(videoId, status)
+   * Apply download settings from the app config
+   * @param {Object} config - App config (retryAttempts, ...)
    */
-  setStatusCallback(callback) {
-    if (typeof callback === 'function') {
-      this.statusCallback = callback;
-      console.log(`${this.logPrefix} Status callback set`);
-    } else {
-      console.warn(`${this.logPrefix} Invalid status callback provided`);
+  configure(config) {
+    if (!config || typeof config !== 'object') {
+      console.warn(`${this.logPrefix} Invalid config provided`);
+      return;
+    }
+
+    const previousPolicy = JSON.stringify([
+      this.config.downloadOnWifiOnly,
+      this.config.cellularDataBudgetMB,
+      this.config.downloadScheduleEnabled,
+      this.config.downloadWindows,
+      this.config.maxStorageUsageGB,
+      this.config.evictOldestWhenFull,
+    ]);
+
+    Object.keys(DEFAULT_CONFIG).forEach(key => {
+      if (typeof config[key] === typeof DEFAULT_CONFIG[key]) {
+        this.config[key] = config[key];
+      }
+    });
+
+    // Re-check the running queue when the Wi-Fi, budget, schedule or
+    // storage quota settings change
+    const currentPolicy = JSON.stringify([
+      this.config.downloadOnWifiOnly,
+      this.config.cellularDataBudgetMB,
+      this.config.downloadScheduleEnabled,
+      this.config.downloadWindows,
+      this.config.maxStorageUsageGB,
+      this.config.evictOldestWhenFull,
+    ]);
+    if (previousPolicy !== currentPolicy) {
+      if (this.networkUnsubscribe) {
+        this._scheduleWindowCheck();
+      }
+      this._applyDownloadPolicy();
+    }
+  }
+
+  /**
+   * Re-check the download policies now, e.g. when the app returns to the
+   * foreground inside a download window (timers do not run in background)
+   * @returns {Promise<void>}
+   */
+  async applyDownloadPolicy() {
+    if (this.networkUnsubscribe) {
+      this._scheduleWindowCheck();
     }
+    await this._applyDownloadPolicy();
   }
 
   /**
@@ -88,18 +408,17 @@ class DownloadManager {
       }
 
       // Check if already processing
-      if (this.isProcessing || this.currentDownload !== null) {
+      if (this.isProcessing || this.activeDownloads.size > 0) {
         console.warn(
           `${this.logPrefix} Download already in progress, cannot start new download`,
         );
         return false;
       }
 
-      // Validate storage space before starting
-      const hasStorage = await FileSystemService.isStorageSufficient();
-      if (!hasStorage) {
-        console.error(
-          `${this.logPrefix} Insufficient storage space for downloads`,
+      // A paused queue keeps its place until resumeQueue is called
+      if (this.isPaused && !this._isPolicyPause()) {
+        console.warn(
+          `${this.logPrefix} Download queue is paused, cannot start new download`,
         );
         return false;
       }
@@ -116,8 +435,29 @@ class DownloadManager {
         sortedVideos.map(v => v.id),
       );
 
+      // Pre-flight - warn if the whole batch does not fit. Runs in the
+      // background (sizes may need HEAD requests); the videos are queued
+      // right away and each one is checked again before it starts
+      this._checkBatchStorage(sortedVideos).catch(error => {
+        console.error(`${this.logPrefix} Error checking batch storage:`, error);
+      });
+
+      this._watchDownloadPolicy();
+
+      // Waiting on a policy (e.g. Wi-Fi, schedule) - queue the new videos
+      // behind the paused ones and let _applyDownloadPolicy start them later
+      if (this.isPaused) {
+        this.downloadQueue = [
+          ...this.downloadQueue,
+          ...sortedVideos.filter(video => !this.isVideoQueued(video.id)),
+        ];
+        this._notifyQueueState();
+        return true;
+      }
+
       // Add to queue and start processing
       this.downloadQueue = sortedVideos;
+      this._notifyQueueState();
       return await this.processQueue();
     } catch (error) {
       console.error(`${this.logPrefix} Error starting auto-download:`, error);
@@ -127,477 +467,2990 @@ class DownloadManager {
   }
 
   /**
-   * Process download queue sequentially
-   * @returns {Promise<boolean>} Success status
+   * Add a single video to the download queue (manual download). Works while
+   * other downloads are running - a free worker picks it up, or a new one is
+   * started if fewer than maxConcurrentDownloads are busy.
+   * @param {Object} video - Video object to download
+   * @param {Object} options - {toFront: download next instead of last}
+   * @returns {Promise<boolean>} True if the video is queued or already active
    */
-  async processQueue() {
+  async enqueue(video, options = {}) {
     try {
-      if (this.isProcessing) {
-        console.warn(`${this.logPrefix} Queue processing already active`);
+      const { toFront = false } = options;
+
+      if (
+        !video ||
+        video.id === undefined ||
+        video.id === null ||
+        !this.hasDownloadSource(video)
+      ) {
+        console.warn(`${this.logPrefix} Invalid video provided to enqueue`);
         return false;
       }
 
-      this.isProcessing = true;
+      if (this.isVideoActive(video.id)) {
+        console.log(`${this.logPrefix} Video ${video.id} is already active`);
+        return true;
+      }
+
+      const storage = await this._checkVideoStorage(video);
+      if (!storage.fits) {
+        return false;
+      }
+
+      const queuedVideos = this.downloadQueue.filter(
+        queued => queued.id !== video.id,
+      );
+      const queuePriority = toFront
+        ? Math.max(
+            0,
+            ...queuedVideos.map(queued => this._getQueuePriority(queued)),
+          ) + 1
+        : 0;
+      // Picked by the user - downloads outside the download window too
+      const queuedVideo = { ...video, queuePriority, isManual: true };
+      this.downloadQueue = toFront
+        ? [queuedVideo, ...queuedVideos]
+        : [...queuedVideos, queuedVideo];
       console.log(
-        `${this.logPrefix} Starting queue processing with ${this.downloadQueue.length} videos`,
+        `${this.logPrefix} Queued video ${video.id} ${
+          toFront ? 'next' : 'last'
+        } (${this.downloadQueue.length} in queue)`,
       );
 
-      while (this.downloadQueue.length > 0) {
-        // Get next video from queue
-        const video = this.downloadQueue.shift();
+      this._watchDownloadPolicy();
+      this._notifyQueueState();
 
-        if (!video || typeof video.id === 'undefined') {
-          console.warn(`${this.logPrefix} Invalid video in queue, skipping`);
-          continue;
-        }
+      if (this._isPolicyPause()) {
+        // A manual video may start outside the download window
+        this._applyDownloadPolicy();
+        return true;
+      }
 
-        console.log(
-          `${this.logPrefix} Processing video ${video.id}: ${video.name}`,
-        );
+      if (this.isPaused) {
+        // Starts with the rest of the queue on resume
+        return true;
+      }
 
-        // Set current download
-        this.currentDownload = video;
+      if (this.isProcessing) {
+        this._spawnQueueWorkers();
+      } else {
+        // Runs in the background - enqueue returns once the video is queued
+        this.processQueue();
+      }
+      return true;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error enqueuing video:`, error);
+      return false;
+    }
+  }
 
-        // Update status to DOWNLOADING
-        this._updateStatus(video.id, 'DOWNLOADING');
+  /**
+   * Download another rendition of a video - upgrade, downgrade or audio only.
+   * The video is queued next; its current file is replaced when the new
+   * rendition starts downloading.
+   * @param {Object} video - Video object from the API (with renditions)
+   * @param {string} quality - One of VIDEO_QUALITIES
+   * @returns {Promise<boolean>} True if the video is queued
+   */
+  async changeVideoQuality(video, quality) {
+    if (!VIDEO_QUALITIES.includes(quality)) {
+      console.warn(`${this.logPrefix} Invalid video quality: ${quality}`);
+      return false;
+    }
 
-        // Attempt download
-        const success = await this.downloadVideo(video);
+    if (!video || getRenditions(video).length === 0) {
+      console.warn(
+        `${this.logPrefix} Video ${video && video.id} has no renditions`,
+      );
+      return false;
+    }
 
-        if (success) {
-          console.log(
-            `${this.logPrefix} Successfully downloaded video ${video.id}`,
-          );
-          this._updateStatus(video.id, 'DOWNLOADED');
-        } else {
-          console.error(
-            `${this.logPrefix} Failed to download video ${video.id}`,
-          );
-          this._updateStatus(video.id, 'FAILED');
-          // Continue with next video instead of stopping the queue
-        }
+    console.log(
+      `${this.logPrefix} Changing video ${video.id} to ${quality} quality`,
+    );
+    return this.enqueue(
+      { ...video, preferredQuality: quality },
+      { toFront: true },
+    );
+  }
+
+  /**
+   * Check whether a video has anything to download from
+   * @param {Object} video - Video object
+   * @returns {boolean} True if it has a filepath, URL, mirror or rendition
+   */
+  hasDownloadSource(video) {
+    return (
+      !!video &&
+      (!!video.filepath ||
+        !!video.video_url ||
+        (Array.isArray(video.mirrors) && video.mirrors.length > 0) ||
+        getRenditions(video).length > 0)
+    );
+  }
+
+  /**
+   * Process the download queue with a pool of maxConcurrentDownloads workers.
+   * Workers take videos from the front of the queue, so downloads still start
+   * in queue order (ascending video ID).
+   * @returns {Promise<boolean>} Success status
+   */
+  async processQueue() {
+    try {
+      if (this.isProcessing) {
+        console.warn(`${this.logPrefix} Queue processing already active`);
+        return false;
+      }
+
+      this.isProcessing = true;
 
-        // Clear current download
-        this.currentDownload = null;
+      console.log(
+        `${this.logPrefix} Starting queue processing with ${this.downloadQueue.length} videos`,
+      );
 
-        // Small delay between downloads to prevent overwhelming the system
-        await new Promise(resolve => setTimeout(resolve, 500));
+      // enqueue and resumeQueue may add workers while this runs - wait for
+      // all of them. Workers that stopped for a pause can exit after the
+      // queue was resumed; start new ones for the videos they left.
+      this._spawnQueueWorkers();
+      while (this.queueWorkers.size > 0) {
+        await Promise.all([...this.queueWorkers]);
+        if (
+          this.queueWorkers.size === 0 &&
+          !this.isPaused &&
+          this._getNextQueueIndex() !== -1
+        ) {
+          this._spawnQueueWorkers();
+        }
       }
 
-      console.log(`${this.logPrefix} Queue processing completed`);
+      console.log(
+        `${this.logPrefix} Queue processing ${
+          this.isPaused ? 'paused' : 'completed'
+        }`,
+      );
       this.isProcessing = false;
+      this._notifyQueueState();
       return true;
     } catch (error) {
       console.error(`${this.logPrefix} Error processing queue:`, error);
       this.isProcessing = false;
-      this.currentDownload = null;
       return false;
     }
   }
 
   /**
-   * Download a single video
-   * @param {Object} video - Video object to download
-   * @returns {Promise<boolean>} Success status
+   * Start workers until maxConcurrentDownloads are running or every queued
+   * video has one
+   * @private
    */
-  async downloadVideo(video) {
-    try {
-      if (!video || !video.id) {
-        throw new Error('Invalid video object provided');
+  _spawnQueueWorkers() {
+    const workerCount = Math.max(
+      1,
+      Math.min(this.config.maxConcurrentDownloads, this.downloadQueue.length),
+    );
+
+    while (this.queueWorkers.size < workerCount) {
+      const workerId = this.nextWorkerId++;
+      const worker = this._runQueueWorker(workerId).finally(() => {
+        this.queueWorkers.delete(worker);
+      });
+      this.queueWorkers.add(worker);
+      console.log(`${this.logPrefix} Started queue worker ${workerId}`);
+    }
+  }
+
+  /**
+   * Queue worker - downloads videos one at a time until the queue is empty
+   * or paused
+   * @private
+   */
+  async _runQueueWorker(workerId) {
+    while (this.downloadQueue.length > 0 && !this.isPaused) {
+      // Re-check the network and schedule policies before every item
+      const policy = await this._checkDownloadPolicy();
+      if (!policy.allowed) {
+        if (!this.isPaused) {
+          console.log(
+            `${this.logPrefix} Downloads not allowed now on ${policy.connectionType} (${policy.reason}), pausing queue`,
+          );
+          await this._pauseForPolicy(policy.reason);
+        }
+        break;
       }
 
-      console.log(`${this.logPrefix} Starting download for video ${video.id}`);
+      // Another worker may have emptied or paused the queue meanwhile
+      const nextIndex = this._getNextQueueIndex();
+      if (nextIndex === -1 || this.isPaused) {
+        break;
+      }
 
-      // Generate file path
-      const filePath = await FileSystemService.getVideoFilePath(
-        video.id,
-        'mp4',
-      );
+      // Get next video from queue
+      const [video] = this.downloadQueue.splice(nextIndex, 1);
 
-      // Check if file already exists
-      const fileExists = await FileSystemService.checkFileExists(filePath);
-      if (fileExists) {
-        console.log(
-          `${this.logPrefix} Video ${video.id} file already exists, skipping download`,
-        );
+      if (!video || typeof video.id === 'undefined') {
+        console.warn(`${this.logPrefix} Invalid video in queue, skipping`);
+        continue;
+      }
 
-        // Save metadata and mark as downloaded
-        await LocalStorageService.saveVideoMetadata(video.id, {
-          ...video,
-          status: 'DOWNLOADED',
-          localFilePath: filePath,
-          downloadProgress: 100,
-          downloadedAt: Date.now(),
-        });
+      console.log(
+        `${this.logPrefix} Worker ${workerId} processing video ${video.id}: ${video.name}`,
+      );
 
-        return true;
+      // Track as active download - before the storage check, so workers
+      // checking at the same time count this video's bytes
+      this._addActiveDownload(video);
+
+      const storage = await this._checkVideoStorage(video);
+      if (!storage.fits) {
+        // Does not fit - skip it and carry on with smaller videos
+        this.activeDownloads.delete(video.id);
+        await this._skipForStorage(video, storage.error);
+        this._notifyQueueState();
+        continue;
       }
 
-      // Create download URL (assuming API provides download URL)
-      const downloadUrl = this._getVideoDownloadUrl(video);
-      if (!downloadUrl) {
-        throw new Error('No download URL available for video');
+      if (!(await this._admitToStorageQuota(video))) {
+        // Over the quota after all (e.g. eviction freed less than expected) -
+        // keep its place and let the policy pause the queue
+        this.activeDownloads.delete(video.id);
+        this.downloadQueue.unshift(video);
+        this._notifyQueueState();
+        if (this.activeDownloads.size === 0) {
+          await this._pauseForPolicy('STORAGE_QUOTA');
+        }
+        break;
       }
 
-      // Save initial metadata
-      await LocalStorageService.saveVideoMetadata(video.id, {
-        ...video,
-        status: 'DOWNLOADING',
-        localFilePath: filePath,
-        downloadProgress: 0,
-      });
-
-      // Start download with progress tracking
-      const downloadResult = await this._performDownload(
-        video.id,
-        downloadUrl,
-        filePath,
-      );
+      this._notifyQueueState();
 
-      if (downloadResult.success) {
-        // Verify downloaded file
-        const downloadedFileExists = await FileSystemService.checkFileExists(
-          filePath,
-        );
-        if (!downloadedFileExists) {
-          throw new Error('Downloaded file not found after completion');
-        }
+      // Update status to DOWNLOADING
+      this._updateStatus(video.id, 'DOWNLOADING');
 
-        // Update metadata with success
-        await LocalStorageService.saveVideoMetadata(video.id, {
-          ...video,
-          status: 'DOWNLOADED',
-          localFilePath: filePath,
-          downloadProgress: 100,
-          downloadedAt: Date.now(),
-        });
+      // Attempt download
+      const success = await this.downloadVideo(video);
+      const wasCancelled = this._getActiveDownload(video.id)?.cancelled;
+      const wasPaused = this._isPausedJob(video.id);
+      const keptFile = !success && (await this._hasKeptFile(video.id));
+      this.activeDownloads.delete(video.id);
 
+      if (success) {
         console.log(
-          `${this.logPrefix} Successfully downloaded video ${video.id} to ${filePath}`,
+          `${this.logPrefix} Successfully downloaded video ${video.id}`,
         );
-        return true;
+        this._updateStatus(video.id, 'DOWNLOADED');
+      } else if (keptFile) {
+        // Quality change stopped - the previous file is still there
+        console.log(
+          `${this.logPrefix} Video ${video.id} keeps its current file`,
+        );
+        this._updateStatus(video.id, 'DOWNLOADED');
+      } else if (wasPaused && !wasCancelled) {
+        // downloadVideo already put the video back into the queue
+        console.log(`${this.logPrefix} Video ${video.id} paused`);
+        this._updateStatus(video.id, 'PAUSED');
       } else {
-        // Clean up failed download
-        await this._cleanupFailedDownload(video.id, filePath);
-        return false;
+        console.error(
+          `${this.logPrefix} ${
+            wasCancelled ? 'Cancelled' : 'Failed to download'
+          } video ${video.id}`,
+        );
+        this._updateStatus(video.id, 'FAILED');
+        // Continue with next video instead of stopping the queue
       }
-    } catch (error) {
-      console.error(
-        `${this.logPrefix} Error downloading video ${video.id}:`,
-        error,
-      );
 
-      // Clean up on error
-      if (video && video.id) {
-        await this._cleanupFailedDownload(video.id, null);
-      }
+      this._notifyQueueState();
 
-      return false;
+      // Small delay between downloads to prevent overwhelming the system
+      await new Promise(resolve => setTimeout(resolve, 500));
     }
   }
 
   /**
-   * Retry downloading a failed video
-   * @param {Object} video - Video object to retry
+   * Download a single video, retrying transient failures with backoff
+   * @param {Object} video - Video object to download
    * @returns {Promise<boolean>} Success status
    */
-  async retryDownload(video) {
+  async downloadVideo(video) {
+    if (!video || !video.id) {
+      console.error(`${this.logPrefix} Invalid video object provided`);
+      return false;
+    }
+
+    // Direct calls (outside a queue worker) need their own job handle and
+    // report their own status, as a queue worker would
+    const ownsActiveEntry = !this.activeDownloads.has(video.id);
+    if (ownsActiveEntry) {
+      this._addActiveDownload(video);
+      this._updateStatus(video.id, 'DOWNLOADING');
+    }
+
+    let success = false;
     try {
-      if (!video || !video.id) {
-        throw new Error('Invalid video object for retry');
+      success = await this._downloadWithRetries(video);
+      return success;
+    } finally {
+      if (ownsActiveEntry) {
+        const wasCancelled = this._getActiveDownload(video.id)?.cancelled;
+        const wasPaused = this._isPausedJob(video.id);
+        const keptFile = !success && (await this._hasKeptFile(video.id));
+        this.activeDownloads.delete(video.id);
+
+        if (success || keptFile) {
+          await this._updateStatus(video.id, 'DOWNLOADED');
+        } else if (wasPaused && !wasCancelled) {
+          await this._updateStatus(video.id, 'PAUSED');
+        } else {
+          await this._updateStatus(video.id, 'FAILED');
+        }
       }
+    }
+  }
 
-      console.log(`${this.logPrefix} Retrying download for video ${video.id}`);
+  /**
+   * Retry loop around _attemptDownload
+   * @private
+   * @returns {Promise<boolean>} Success status
+   */
+  async _downloadWithRetries(video) {
+    const maxRetries = this.config.retryAttempts;
+    const cancelGeneration = this.cancelGeneration;
+    let retryCount = 0;
 
-      // Check if another download is in progress
-      if (this.currentDownload !== null || this.isProcessing) {
-        console.warn(
-          `${this.logPrefix} Cannot retry - another download in progress`,
+    await this._resetRetryState(video.id, maxRetries);
+
+    while (true) {
+      const result = await this._attemptDownload(video);
+
+      if (result.success) {
+        return true;
+      }
+
+      if (this._isCancelled(video.id, cancelGeneration)) {
+        // Cancelled - the partial file is not kept, nor a paused queue slot
+        this.downloadQueue = this.downloadQueue.filter(
+          queued => queued.id !== video.id,
         );
+        await this._cleanupFailedDownload(video.id, result.partPath);
         return false;
       }
 
-      // Validate storage space
-      const hasStorage = await FileSystemService.isStorageSufficient();
-      if (!hasStorage) {
-        console.error(`${this.logPrefix} Insufficient storage for retry`);
+      if (result.paused) {
+        // Paused - already saved for resume
         return false;
       }
 
-      // Set as current download and process
-      this.currentDownload = video;
-      this._updateStatus(video.id, 'DOWNLOADING');
+      if (!this._isTransientFailure(result) || retryCount >= maxRetries) {
+        console.error(
+          `${this.logPrefix} Giving up on video ${video.id} after ${retryCount} retries: ${result.error}`,
+        );
+        await this._cleanupFailedDownload(video.id, result.partPath, {
+          keepPartial: result.resumable === true,
+        });
+        await LocalStorageService.updateVideoRetryState(video.id, {
+          retryCount,
+          maxRetries,
+          lastError: result.error || 'Download failed',
+        });
+        this._emit('error', {
+          videoId: video.id,
+          error: result.error || 'Download failed',
+          statusCode: result.statusCode || null,
+          retryCount,
+        });
+        return false;
+      }
 
-      const success = await this.downloadVideo(video);
+      retryCount++;
+      const delay = this._getRetryDelay(retryCount);
 
-      if (success) {
-        this._updateStatus(video.id, 'DOWNLOADED');
-      } else {
-        this._updateStatus(video.id, 'FAILED');
-      }
+      console.log(
+        `${this.logPrefix} Retrying video ${video.id} (${retryCount}/${maxRetries}) in ${delay}ms: ${result.error}`,
+      );
 
-      this.currentDownload = null;
-      return success;
-    } catch (error) {
-      console.error(`${this.logPrefix} Error retrying download:`, error);
-      this.currentDownload = null;
+      const retryState = {
+        retryCount,
+        maxRetries,
+        lastError: result.error || 'Download failed',
+      };
+      await LocalStorageService.updateVideoRetryState(video.id, retryState);
+      this._updateRetry(video.id, retryState);
 
-      if (video && video.id) {
-        this._updateStatus(video.id, 'FAILED');
+      await this._waitForRetry(video.id, delay);
+
+      if (this._isCancelled(video.id, cancelGeneration)) {
+        await this._cleanupFailedDownload(video.id, result.partPath);
+        return false;
       }
 
-      return false;
+      if (this._isPausedJob(video.id)) {
+        // Paused during backoff - resume later from the partial file
+        await this._savePausedDownload(video, result.partPath);
+        return false;
+      }
     }
   }
 
   /**
-   * Cancel current download
-   * @returns {Promise<boolean>} Success status
+   * Make a single download attempt. Bytes go to a `.part` file in the staging
+   * folder, which is moved to the final path only after verification.
+   * @private
+   * @returns {Promise<Object>} {success, paused, error, statusCode, resumable, partPath}
    */
-  async cancelCurrentDownload() {
+  async _attemptDownload(requestedVideo) {
+    const video = this._applyQualitySetting(requestedVideo);
+    let partPath = null;
+
+    try {
+      console.log(`${this.logPrefix} Starting download for video ${video.id}`);
+
+      // Generate file paths - the final extension may still change once the
+      // response Content-Type is known
+      const mediaType = resolveMediaType(video);
+      const existingMetadata = await LocalStorageService.getVideoMetadata(
+        video.id,
+      );
+      const existingFilePath =
+        (existingMetadata && existingMetadata.localFilePath) ||
+        (await FileSystemService.getVideoFilePath(
+          video.id,
+          mediaType.extension,
+        ));
+      partPath = await FileSystemService.getPartFilePath(
+        video.id,
+        mediaType.extension,
+      );
+
+      // Only complete files ever reach the final path, but check anyway
+      const fileExists = await FileSystemService.checkFileExists(
+        existingFilePath,
+      );
+      const isQualityChange =
+        !!requestedVideo.preferredQuality &&
+        !!existingMetadata &&
+        existingMetadata.rendition !== video.rendition;
+      // A different rendition was asked for - the current file stays playable
+      // until the new one is verified and in place
+      const keepExistingFile = fileExists && isQualityChange;
+      if (keepExistingFile) {
+        console.log(
+          `${this.logPrefix} Replacing ${
+            existingMetadata.rendition || 'original'
+          } file of video ${video.id} with ${video.rendition || 'original'}`,
+        );
+      } else if (fileExists) {
+        const existingCheck = await VerificationService.verifyVideoFile(
+          video,
+          existingFilePath,
+        );
+
+        if (existingCheck.valid) {
+          console.log(
+            `${this.logPrefix} Video ${video.id} file already exists, skipping download`,
+          );
+
+          // Save metadata and mark as downloaded
+          const existingType =
+            getMediaTypeFromPath(existingFilePath) || mediaType;
+          await LocalStorageService.saveVideoMetadata(video.id, {
+            ...video,
+            status: 'DOWNLOADED',
+            localFilePath: existingFilePath,
+            fileExtension: existingType.extension,
+            mimeType: existingType.mimeType,
+            downloadProgress: 100,
+            downloadedAt: Date.now(),
+            retryCount: 0,
+            lastError: null,
+            verifiedAt: Date.now(),
+            evictedAt: null,
+          });
+          await FileSystemService.deletePartFile(partPath);
+
+          return { success: true, partPath };
+        }
+
+        console.warn(
+          `${this.logPrefix} Existing file for video ${video.id} is invalid (${existingCheck.reason}), downloading again`,
+        );
+        await FileSystemService.quarantineFile(existingFilePath);
+      }
+
+      // Candidate URLs on every known host, healthiest first
+      const downloadUrls = await this._getVideoDownloadUrls(video);
+      if (downloadUrls.length === 0) {
+        return {
+          success: false,
+          permanent: true,
+          error: 'No download URL available for video',
+          partPath,
+        };
+      }
+
+      // Save initial metadata - a quality change keeps the DOWNLOADED record
+      // of the current file until the new one replaces it
+      if (!keepExistingFile) {
+        await LocalStorageService.saveVideoMetadata(video.id, {
+          ...video,
+          retryCount: existingMetadata ? existingMetadata.retryCount : 0,
+          maxRetries: existingMetadata ? existingMetadata.maxRetries : null,
+          lastError: existingMetadata ? existingMetadata.lastError : null,
+          status: 'DOWNLOADING',
+          localFilePath: null,
+          downloadProgress: 0,
+          evictedAt: null,
+        });
+      }
+
+      // Received bytes are counted against the connection in use
+      await DataUsageService.load();
+      const networkState = await NetworkPolicyService.getNetworkState();
+      this.connectionType = networkState.connectionType;
+
+      // Start (or resume) download with progress tracking
+      const downloadResult = await this._performDownloadWithFailover(
+        video.id,
+        downloadUrls,
+        partPath,
+      );
+
+      if (!downloadResult.success && this._isPausedJob(video.id)) {
+        // Stopped by pauseQueue - keep partial bytes and the queue position
+        await this._savePausedDownload(video, partPath);
+        return { success: false, paused: true, partPath };
+      }
+
+      if (!downloadResult.success) {
+        return { ...downloadResult, partPath };
+      }
+
+      // Verify downloaded file
+      const downloadedFileExists = await FileSystemService.checkFileExists(
+        partPath,
+      );
+      if (!downloadedFileExists) {
+        return {
+          success: false,
+          error: 'Downloaded file not found after completion',
+          partPath,
+        };
+      }
+
+      const verification = await VerificationService.verifyVideoFile(
+        video,
+        partPath,
+        downloadResult.expectedBytes,
+      );
+      if (!verification.valid) {
+        // Truncated or corrupt - keep it out of the library and download again
+        console.warn(
+          `${this.logPrefix} Video ${video.id} failed verification: ${verification.reason}`,
+        );
+        await FileSystemService.quarantineFile(partPath);
+        await FileSystemService.deleteResumeInfo(partPath);
+        return {
+          success: false,
+          error: `Integrity check failed: ${verification.reason}`,
+          resumable: false,
+          partPath,
+        };
+      }
+
+      // Verified - move it into the video folder in one step, named after the
+      // declared type or, failing that, the Content-Type that was served
+      const finalType = resolveMediaType(video, downloadResult.contentType);
+      const filePath = await FileSystemService.getVideoFilePath(
+        video.id,
+        finalType.extension,
+      );
+      const committed = await FileSystemService.commitPartFile(
+        partPath,
+        filePath,
+      );
+      if (!committed) {
+        return {
+          success: false,
+          error: 'Could not move downloaded file into place',
+          partPath,
+        };
+      }
+      if (keepExistingFile && existingFilePath !== filePath) {
+        // The new rendition has another extension - drop the old file
+        await FileSystemService.deleteVideoFile(existingFilePath);
+      }
+
+      // Update metadata with success
+      await LocalStorageService.saveVideoMetadata(video.id, {
+        ...video,
+        status: 'DOWNLOADED',
+        localFilePath: filePath,
+        fileExtension: finalType.extension,
+        mimeType: finalType.mimeType,
+        downloadProgress: 100,
+        downloadedAt: Date.now(),
+        retryCount: 0,
+        lastError: null,
+        verifiedAt: Date.now(),
+        evictedAt: null,
+      });
+
+      console.log(
+        `${this.logPrefix} Successfully downloaded video ${video.id} to ${filePath}`,
+      );
+      return { success: true, partPath };
+    } catch (error) {
+      console.error(
+        `${this.logPrefix} Error downloading video ${video.id}:`,
+        error,
+      );
+      return { success: false, error: error.message, partPath };
+    }
+  }
+
+  /**
+   * Retry a failed video. It is queued next, so it goes through the same
+   * policy, storage and concurrency checks as any other queued video.
+   * @param {Object} video - Video object to retry
+   * @returns {Promise<boolean>} True if the video is queued or already active
+   */
+  async retryDownload(video) {
+    if (!video || video.id === undefined || video.id === null) {
+      console.warn(`${this.logPrefix} Invalid video object for retry`);
+      return false;
+    }
+
+    console.log(`${this.logPrefix} Retrying download for video ${video.id}`);
+    return this.enqueue(video, { toFront: true });
+  }
+
+  /**
+   * Cancel all active downloads and clear the queue
+   * @returns {Promise<boolean>} Success status
+   */
+  async cancelCurrentDownload() {
+    try {
+      console.log(`${this.logPrefix} Cancelling all downloads`);
+
+      // Stop retry loops before the aborted jobs report their failure
+      this.cancelGeneration++;
+      this._cancelRetryWait();
+
+      this.activeDownloads.forEach(activeDownload => {
+        this._cancelActiveDownload(activeDownload);
+      });
+
+      // Clear the queue - the workers exit once their cancelled jobs have
+      // stopped, and processQueue clears isProcessing after the last one
+      this.downloadQueue = [];
+      this.isPaused = false;
+      this.pauseReason = null;
+      this._notifyQueueState();
+
+      console.log(`${this.logPrefix} Downloads cancelled successfully`);
+      return true;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error cancelling download:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Cancel one video - stops its job if active or removes it from the queue.
+   * Other downloads keep running.
+   * @param {number} videoId - Video identifier
+   * @returns {Promise<boolean>} Success status
+   */
+  async cancelDownload(videoId) {
+    try {
+      console.log(`${this.logPrefix} Cancelling download for video ${videoId}`);
+
+      const activeDownload = this._getActiveDownload(videoId);
+      if (activeDownload) {
+        this._cancelActiveDownload(activeDownload);
+      } else {
+        this.downloadQueue = this.downloadQueue.filter(
+          video => video.id !== videoId,
+        );
+      }
+
+      this._notifyQueueState();
+      return true;
+    } catch (error) {
+      console.error(
+        `${this.logPrefix} Error cancelling download for video ${videoId}:`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Pause the download queue - stops the active RNFS job but keeps its partial
+   * bytes and the remaining queue so resumeQueue can continue later
+   * @param {string} reason - Why the queue is paused (default 'USER')
+   * @returns {Promise<boolean>} Success status
+   */
+  async pauseQueue(reason = 'USER') {
+    try {
+      console.log(`${this.logPrefix} Pausing download queue (${reason})`);
+
+      this.isPaused = true;
+      this.pauseReason = reason;
+
+      this.activeDownloads.forEach(activeDownload => {
+        // Stays set if the queue is resumed before the job has stopped
+        activeDownload.paused = true;
+        if (activeDownload.jobId !== null) {
+          RNFS.stopDownload(activeDownload.jobId);
+          console.log(
+            `${this.logPrefix} RNFS download job stopped for pause (video ${activeDownload.video.id})`,
+          );
+        }
+      });
+
+      this._cancelRetryWait();
+
+      this._notifyQueueState();
+      return true;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error pausing queue:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Resume a paused download queue
+   * @param {Array} pausedVideos - PAUSED videos to put back at the front of the
+   *   queue if it no longer holds them (e.g. after an app restart)
+   * @returns {Promise<boolean>} Success status
+   */
+  async resumeQueue(pausedVideos = []) {
+    try {
+      console.log(`${this.logPrefix} Resuming download queue`);
+
+      if (Array.isArray(pausedVideos)) {
+        const missingVideos = pausedVideos.filter(
+          video =>
+            video &&
+            typeof video.id !== 'undefined' &&
+            !this.downloadQueue.some(queued => queued.id === video.id) &&
+            !this.activeDownloads.has(video.id),
+        );
+        this.downloadQueue = [...missingVideos, ...this.downloadQueue];
+      }
+
+      this.isPaused = false;
+      this.pauseReason = null;
+      this._watchDownloadPolicy();
+      this._notifyQueueState();
+
+      if (this.downloadQueue.length === 0) {
+        return true;
+      }
+
+      if (this.isProcessing) {
+        // Workers of the paused run may still be winding down - fill the
+        // pool up now instead of waiting for them
+        this._spawnQueueWorkers();
+        return true;
+      }
+
+      return await this.processQueue();
+    } catch (error) {
+      console.error(`${this.logPrefix} Error resuming queue:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Restore the download queue saved before the app was closed. Waiting videos
+   * keep their exact order; videos that were downloading are resumed from their
+   * partial files, or marked FAILED when there is nothing to resume.
+   * Processing restarts in the background unless the queue was paused.
+   * @returns {Promise<Object>} {restored, queueLength, isPaused}
+   */
+  async restoreQueue() {
+    try {
+      if (this.isProcessing || this.activeDownloads.size > 0) {
+        console.log(`${this.logPrefix} Queue already active, skipping restore`);
+        return { restored: false, queueLength: this.downloadQueue.length };
+      }
+
+      const savedQueue = await LocalStorageService.getDownloadQueue();
+      if (!savedQueue) {
+        await this._sweepStagingFiles([]);
+        return { restored: false, queueLength: 0 };
+      }
+
+      console.log(
+        `${this.logPrefix} Restoring download queue with ${savedQueue.queue.length} waiting videos`,
+      );
+
+      const restoredQueue = savedQueue.queue.filter(
+        video => video && typeof video.id !== 'undefined',
+      );
+
+      // Interrupted downloads go back to the front, in their original order
+      const resumableVideos = [];
+      for (const activeVideo of savedQueue.activeVideos) {
+        if (!activeVideo || typeof activeVideo.id === 'undefined') {
+          continue;
+        }
+
+        const canResume = await this._hasResumableDownload(activeVideo);
+        if (canResume) {
+          console.log(
+            `${this.logPrefix} Resuming interrupted download for video ${activeVideo.id}`,
+          );
+          resumableVideos.push(activeVideo);
+        } else {
+          await this._markInterruptedDownloadFailed(activeVideo);
+        }
+      }
+      restoredQueue.unshift(...resumableVideos);
+
+      this.downloadQueue = restoredQueue.filter(
+        (video, index, queue) =>
+          queue.findIndex(queued => queued.id === video.id) === index,
+      );
+      this.isPaused = savedQueue.isPaused === true;
+      this.pauseReason = this.isPaused ? savedQueue.pauseReason : null;
+      await this._sweepStagingFiles(this.downloadQueue.map(video => video.id));
+      this._watchDownloadPolicy();
+      this._notifyQueueState();
+
+      if (!this.isPaused && this.downloadQueue.length > 0) {
+        // Don't block app startup on the whole queue
+        this.processQueue();
+      } else if (this._isPolicyPause()) {
+        // The network may have changed while the app was closed
+        this._applyDownloadPolicy();
+      }
+
+      return {
+        restored: true,
+        queueLength: this.downloadQueue.length,
+        isPaused: this.isPaused,
+      };
+    } catch (error) {
+      console.error(`${this.logPrefix} Error restoring download queue:`, error);
+      return { restored: false, queueLength: 0 };
+    }
+  }
+
+  /**
+   * Check if a video is being downloaded right now
+   * @param {number} videoId - Video identifier
+   * @returns {boolean} True if active
+   */
+  isVideoActive(videoId) {
+    return this.activeDownloads.has(videoId);
+  }
+
+  /**
+   * Check if a video is waiting in the download queue
+   * @param {number} videoId - Video identifier
+   * @returns {boolean} True if queued
+   */
+  isVideoQueued(videoId) {
+    return this.downloadQueue.some(video => video.id === videoId);
+  }
+
+  /**
+   * Check if the download queue is paused
+   * @returns {boolean} True if paused
+   */
+  isQueuePaused() {
+    return this.isPaused;
+  }
+
+  /**
+   * Get the videos being downloaded right now
+   * @returns {Array} Active video objects in start order
+   */
+  getActiveDownloads() {
+    return [...this.activeDownloads.values()].map(
+      activeDownload => activeDownload.video,
+    );
+  }
+
+  /**
+   * Check if download is active
+   * @returns {boolean} True if download is active
+   */
+  isDownloadActive() {
+    return this.activeDownloads.size > 0 || this.isProcessing;
+  }
+
+  /**
+   * Get queue length
+   * @returns {number} Number of videos in queue
+   */
+  getQueueLength() {
+    return this.downloadQueue.length;
+  }
+
+  /**
+   * Get the waiting videos in download order
+   * @returns {Array} [{videoId, name, queuePriority}]
+   */
+  getQueue() {
+    return this.downloadQueue.map(video => ({
+      videoId: video.id,
+      name: video.name,
+      queuePriority: this._getQueuePriority(video),
+    }));
+  }
+
+  /**
+   * Move a queued video to a new position (e.g. after a drag). Active
+   * downloads are not part of the queue and cannot be moved.
+   * @param {number} videoId - Video to move
+   * @param {number} toIndex - New position (clamped to the queue)
+   * @returns {boolean} True if the video was moved
+   */
+  moveInQueue(videoId, toIndex) {
+    const fromIndex = this.downloadQueue.findIndex(
+      video => video.id === videoId,
+    );
+    if (fromIndex === -1 || typeof toIndex !== 'number') {
+      console.warn(`${this.logPrefix} Video ${videoId} is not in the queue`);
+      return false;
+    }
+
+    const targetIndex = Math.max(
+      0,
+      Math.min(this.downloadQueue.length - 1, Math.floor(toIndex)),
+    );
+    const [video] = this.downloadQueue.splice(fromIndex, 1);
+    this.downloadQueue.splice(targetIndex, 0, video);
+    this._renumberQueuePriorities();
+
+    console.log(
+      `${this.logPrefix} Moved video ${videoId} from position ${fromIndex} to ${targetIndex}`,
+    );
+    this._notifyQueueState();
+    return true;
+  }
+
+  /**
+   * Download a queued video next
+   * @param {number} videoId - Video to move
+   * @returns {boolean} True if the video was moved
+   */
+  moveToTop(videoId) {
+    return this.moveInQueue(videoId, 0);
+  }
+
+  /**
+   * Move a queued video one place up
+   * @param {number} videoId - Video to move
+   * @returns {boolean} True if the video was moved
+   */
+  moveUp(videoId) {
+    const index = this.downloadQueue.findIndex(video => video.id === videoId);
+    return this.moveInQueue(videoId, index - 1);
+  }
+
+  /**
+   * Move a queued video one place down
+   * @param {number} videoId - Video to move
+   * @returns {boolean} True if the video was moved
+   */
+  moveDown(videoId) {
+    const index = this.downloadQueue.findIndex(video => video.id === videoId);
+    return this.moveInQueue(videoId, index + 1);
+  }
+
+  /**
+   * Set the priority of a queued video and move it to its place
+   * @param {number} videoId - Video to update
+   * @param {number} queuePriority - Higher downloads first
+   * @returns {boolean} True if the video was updated
+   */
+  setQueuePriority(videoId, queuePriority) {
+    const video = this.downloadQueue.find(queued => queued.id === videoId);
+    if (!video || typeof queuePriority !== 'number') {
+      console.warn(
+        `${this.logPrefix} Cannot set priority for video ${videoId}`,
+      );
+      return false;
+    }
+
+    this.downloadQueue = this.downloadQueue.filter(
+      queued => queued.id !== videoId,
+    );
+    this._insertIntoQueue({ ...video, queuePriority });
+
+    console.log(
+      `${this.logPrefix} Video ${videoId} priority set to ${queuePriority}`,
+    );
+    this._notifyQueueState();
+    return true;
+  }
+
+  /**
+   * Take a waiting video out of the queue. Partial bytes of a paused video
+   * are kept so it can be queued again later.
+   * @param {number} videoId - Video to remove
+   * @returns {boolean} True if the video was queued
+   */
+  removeFromQueue(videoId) {
+    const queueLength = this.downloadQueue.length;
+    this.downloadQueue = this.downloadQueue.filter(
+      video => video.id !== videoId,
+    );
+
+    if (this.downloadQueue.length === queueLength) {
+      console.warn(`${this.logPrefix} Video ${videoId} is not in the queue`);
+      return false;
+    }
+
+    console.log(`${this.logPrefix} Removed video ${videoId} from the queue`);
+    this._notifyQueueState();
+    return true;
+  }
+
+  // Private methods
+
+  /**
+   * Try each candidate URL in turn until one completes. Only connection
+   * errors and 5xx fail over - other failures (404, paused, cancelled) are
+   * returned straight away.
+   * @private
+   * @param {number} videoId - Video identifier
+   * @param {Array<string>} downloadUrls - Candidate URLs, best first
+   * @param {string} filePath - Staging `.part` file to write into
+   */
+  async _performDownloadWithFailover(videoId, downloadUrls, filePath) {
+    let result = null;
+
+    for (let index = 0; index < downloadUrls.length; index++) {
+      const downloadUrl = downloadUrls[index];
+      if (index > 0) {
+        console.log(
+          `${this.logPrefix} Failing over video ${videoId} to ${downloadUrl}`,
+        );
+      }
+      await this._moveResumeInfo(filePath, downloadUrls, downloadUrl);
+
+      result = await this._performDownload(videoId, downloadUrl, filePath);
+
+      if (result.success) {
+        await DownloadHostService.markHealthy(downloadUrl);
+        return result;
+      }
+
+      const activeDownload = this._getActiveDownload(videoId);
+      if (
+        this._isPausedJob(videoId) ||
+        (activeDownload && activeDownload.cancelled)
+      ) {
+        return result;
+      }
+
+      if (!this._isHostFailure(result)) {
+        return result;
+      }
+      await DownloadHostService.markFailed(downloadUrl);
+    }
+
+    return result;
+  }
+
+  /**
+   * Connection errors (no HTTP error status, including a transfer that
+   * dropped after a 200 or 206) and 5xx point at the host, not the file
+   * @private
+   */
+  _isHostFailure(result) {
+    if (!result || result.permanent) {
+      return false;
+    }
+
+    const { statusCode } = result;
+    return (
+      typeof statusCode !== 'number' || statusCode < 400 || statusCode >= 500
+    );
+  }
+
+  /**
+   * Point the resume record at the host about to be tried, so partial bytes
+   * from another mirror of the same video are kept. The host answers If-Range
+   * with the full file if its copy differs.
+   * @private
+   */
+  async _moveResumeInfo(filePath, downloadUrls, downloadUrl) {
+    const resumeInfo = await FileSystemService.readResumeInfo(filePath);
+    if (
+      resumeInfo &&
+      resumeInfo.url !== downloadUrl &&
+      downloadUrls.includes(resumeInfo.url)
+    ) {
+      await FileSystemService.saveResumeInfo(filePath, {
+        ...resumeInfo,
+        url: downloadUrl,
+      });
+    }
+  }
+
+  /**
+   * Perform actual download with progress tracking, resuming from a partial
+   * file when a usable sidecar record exists
+   * @private
+   * @param {number} videoId - Video identifier
+   * @param {string} downloadUrl - Source URL
+   * @param {string} filePath - Staging `.part` file to write into
+   */
+  async _performDownload(videoId, downloadUrl, filePath) {
+    try {
+      const bytesPerSecond = await this._getBandwidthLimit();
+      if (bytesPerSecond > 0) {
+        return await this._performThrottledDownload(
+          videoId,
+          downloadUrl,
+          filePath,
+          bytesPerSecond,
+        );
+      }
+
+      const resumeInfo = await FileSystemService.readResumeInfo(filePath);
+      const partialSize = resumeInfo
+        ? await FileSystemService.getFileSize(filePath)
+        : 0;
+
+      const canResume =
+        resumeInfo &&
+        resumeInfo.url === downloadUrl &&
+        partialSize > 0 &&
+        (resumeInfo.etag || resumeInfo.lastModified);
+
+      if (!canResume) {
+        return await this._performFullDownload(videoId, downloadUrl, filePath);
+      }
+
+      console.log(
+        `${this.logPrefix} Resuming video ${videoId} from byte ${partialSize}`,
+      );
+
+      // Missing bytes go to a separate file and are appended once received
+      const rangeFilePath = `${filePath}.range`;
+      await FileSystemService.deleteVideoFile(rangeFilePath);
+
+      const result = await this._runDownloadJob({
+        videoId,
+        downloadUrl,
+        toFile: rangeFilePath,
+        offset: partialSize,
+        headers: {
+          Range: `bytes=${partialSize}-`,
+          'If-Range': resumeInfo.etag || resumeInfo.lastModified,
+        },
+      });
+
+      if (result.statusCode === 206) {
+        const etag = this._getHeader(result.headers, 'etag');
+        const rangeStart = this._getRangeStart(result.headers);
+        if (
+          (resumeInfo.etag && etag && etag !== resumeInfo.etag) ||
+          rangeStart !== partialSize
+        ) {
+          // Server honoured Range but the file behind it changed, or sent
+          // bytes that do not continue the partial file
+          console.warn(
+            `${this.logPrefix} Range response for video ${videoId} does not match the partial file, restarting download`,
+          );
+          await FileSystemService.deleteVideoFile(rangeFilePath);
+          await this._discardPartialDownload(filePath);
+          return await this._performDownload(videoId, downloadUrl, filePath);
+        }
+
+        await FileSystemService.appendFileContents(rangeFilePath, filePath);
+        await FileSystemService.deleteVideoFile(rangeFilePath);
+      } else if (result.statusCode === 200) {
+        // Server ignored Range (or If-Range failed) and sent the whole file
+        console.log(
+          `${this.logPrefix} Server sent full content for video ${videoId}, replacing partial file`,
+        );
+        await FileSystemService.deleteVideoFile(filePath);
+        await RNFS.moveFile(rangeFilePath, filePath);
+      } else {
+        await FileSystemService.deleteVideoFile(rangeFilePath);
+
+        if (result.statusCode === 416) {
+          // Partial file no longer matches the remote file
+          await this._discardPartialDownload(filePath);
+          return await this._performDownload(videoId, downloadUrl, filePath);
+        }
+      }
+
+      return await this._finishDownloadAttempt(
+        downloadUrl,
+        filePath,
+        result,
+        resumeInfo,
+      );
+    } catch (error) {
+      console.error(
+        `${this.logPrefix} Error performing download for video ${videoId}:`,
+        error,
+      );
+      return { success: false, error: error.message, resumable: false };
+    }
+  }
+
+  /**
+   * Download the whole file in one request, dropping any partial data
+   * @private
+   */
+  async _performFullDownload(videoId, downloadUrl, filePath) {
+    await this._discardPartialDownload(filePath);
+    const result = await this._runDownloadJob({
+      videoId,
+      downloadUrl,
+      toFile: filePath,
+    });
+    return await this._finishDownloadAttempt(
+      downloadUrl,
+      filePath,
+      result,
+      null,
+    );
+  }
+
+  /**
+   * Download in Range chunks paced to a bandwidth cap. Every chunk is appended
+   * to the part file and recorded in the resume sidecar, so pausing or a crash
+   * loses at most one chunk. A server without ETag or Last-Modified gets one
+   * unthrottled request for the whole file, as chunks cannot be validated.
+   * @private
+   * @param {number} bytesPerSecond - Cap shared by all active downloads
+   */
+  async _performThrottledDownload(
+    videoId,
+    downloadUrl,
+    filePath,
+    bytesPerSecond,
+  ) {
+    const rangeFilePath = `${filePath}.range`;
+
+    try {
+      let resumeInfo = await FileSystemService.readResumeInfo(filePath);
+      let offset =
+        resumeInfo && resumeInfo.url === downloadUrl
+          ? await FileSystemService.getFileSize(filePath)
+          : 0;
+      if (!offset) {
+        await this._discardPartialDownload(filePath);
+        resumeInfo = null;
+      }
+
+      console.log(
+        `${
+          this.logPrefix
+        } Throttled download for video ${videoId} at ${Math.round(
+          bytesPerSecond / 1024,
+        )} KB/s from byte ${offset}`,
+      );
+
+      while (true) {
+        const chunkSize = Math.max(
+          THROTTLE_SETTINGS.MIN_CHUNK_BYTES,
+          Math.round(bytesPerSecond * THROTTLE_SETTINGS.CHUNK_SECONDS),
+        );
+        const validator =
+          resumeInfo && (resumeInfo.etag || resumeInfo.lastModified);
+        const headers = { Range: `bytes=${offset}-${offset + chunkSize - 1}` };
+        if (validator) {
+          headers['If-Range'] = validator;
+        }
+
+        await FileSystemService.deleteVideoFile(rangeFilePath);
+        const result = await this._runDownloadJob({
+          videoId,
+          downloadUrl,
+          toFile: rangeFilePath,
+          offset,
+          totalBytes: resumeInfo ? resumeInfo.totalBytes : null,
+          headers,
+        });
+
+        if (result.statusCode === 200) {
+          // Server ignored Range (or the file changed) and sent everything
+          await FileSystemService.deleteVideoFile(filePath);
+          await RNFS.moveFile(rangeFilePath, filePath);
+          return await this._finishDownloadAttempt(
+            downloadUrl,
+            filePath,
+            result,
+            null,
+          );
+        }
+
+        if (!result.success) {
+          await FileSystemService.deleteVideoFile(rangeFilePath);
+
+          if (result.statusCode === 416 && offset > 0) {
+            if (resumeInfo && resumeInfo.totalBytes === offset) {
+              // Every byte was already received
+              return await this._finishDownloadAttempt(
+                downloadUrl,
+                filePath,
+                { ...result, success: true },
+                resumeInfo,
+              );
+            }
+
+            // Partial file no longer matches the remote file
+            await this._discardPartialDownload(filePath);
+            resumeInfo = null;
+            offset = 0;
+            continue;
+          }
+
+          return await this._finishDownloadAttempt(
+            downloadUrl,
+            filePath,
+            result,
+            resumeInfo,
+          );
+        }
+
+        const etag = this._getHeader(result.headers, 'etag');
+        const rangeStart = this._getRangeStart(result.headers);
+        if (rangeStart !== offset && offset === 0) {
+          // The first chunk cannot be placed - take the file in one request
+          console.warn(
+            `${this.logPrefix} Unusable Content-Range for video ${videoId}, downloading without throttling`,
+          );
+          await FileSystemService.deleteVideoFile(rangeFilePath);
+          return await this._performFullDownload(
+            videoId,
+            downloadUrl,
+            filePath,
+          );
+        }
+        if (
+          (resumeInfo && resumeInfo.etag && etag && etag !== resumeInfo.etag) ||
+          rangeStart !== offset
+        ) {
+          console.warn(
+            `${this.logPrefix} Range response for video ${videoId} does not match the partial file, restarting download`,
+          );
+          await FileSystemService.deleteVideoFile(rangeFilePath);
+          await this._discardPartialDownload(filePath);
+          resumeInfo = null;
+          offset = 0;
+          continue;
+        }
+
+        const receivedBytes = await FileSystemService.appendFileContents(
+          rangeFilePath,
+          filePath,
+        );
+        await FileSystemService.deleteVideoFile(rangeFilePath);
+        offset += receivedBytes;
+
+        const nextResumeInfo = {
+          url: downloadUrl,
+          bytesWritten: offset,
+          totalBytes: this._getExpectedLength(result, null) || null,
+          etag: etag || (resumeInfo && resumeInfo.etag) || null,
+          lastModified:
+            this._getHeader(result.headers, 'last-modified') ||
+            (resumeInfo && resumeInfo.lastModified) ||
+            null,
+        };
+
+        const isComplete = nextResumeInfo.totalBytes
+          ? offset >= nextResumeInfo.totalBytes
+          : receivedBytes < chunkSize;
+        if (isComplete) {
+          // Expected length is computed from the bytes before this chunk
+          return await this._finishDownloadAttempt(
+            downloadUrl,
+            filePath,
+            result,
+            resumeInfo,
+          );
+        }
+
+        if (!nextResumeInfo.etag && !nextResumeInfo.lastModified) {
+          // Nothing proves the next chunk comes from the same file - fetch
+          // it whole in one unthrottled request instead of splicing
+          console.warn(
+            `${this.logPrefix} No ETag or Last-Modified for video ${videoId}, downloading without throttling`,
+          );
+          return await this._performFullDownload(
+            videoId,
+            downloadUrl,
+            filePath,
+          );
+        }
+
+        resumeInfo = nextResumeInfo;
+        await FileSystemService.saveResumeInfo(filePath, resumeInfo);
+        await this._waitForBandwidth(receivedBytes, bytesPerSecond);
+
+        const activeDownload = this._getActiveDownload(videoId);
+        if (
+          this._isPausedJob(videoId) ||
+          (activeDownload && activeDownload.cancelled)
+        ) {
+          return { success: false, error: 'Download stopped', resumable: true };
+        }
+
+        // The cap depends on the connection, which may have changed
+        const nextBytesPerSecond = await this._getBandwidthLimit();
+        if (nextBytesPerSecond === 0) {
+          // Cap lifted - continue at full speed from the part file
+          return await this._performDownload(videoId, downloadUrl, filePath);
+        }
+        bytesPerSecond = nextBytesPerSecond;
+      }
+    } catch (error) {
+      console.error(
+        `${this.logPrefix} Error in throttled download for video ${videoId}:`,
+        error,
+      );
+      await FileSystemService.deleteVideoFile(rangeFilePath);
+      return { success: false, error: error.message, resumable: false };
+    }
+  }
+
+  /**
+   * Bandwidth cap for the current connection
+   * @private
+   * @returns {Promise<number>} Bytes per second, 0 = unlimited
+   */
+  async _getBandwidthLimit() {
+    const { isWifi } = await NetworkPolicyService.getNetworkState();
+    const limitKBps = isWifi
+      ? this.config.bandwidthLimitWifiKBps
+      : this.config.bandwidthLimitCellularKBps;
+    return limitKBps > 0 ? limitKBps * 1024 : 0;
+  }
+
+  /**
+   * Token bucket shared by all downloads - reserve the time slot the received
+   * bytes are allowed to take at the cap and wait until it has passed
+   * @private
+   */
+  _waitForBandwidth(bytes, bytesPerSecond) {
+    const now = Date.now();
+    const slotStart = Math.max(now, this.bandwidthClock);
+    this.bandwidthClock = slotStart + (bytes / bytesPerSecond) * 1000;
+
+    const delay = this.bandwidthClock - now;
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, delay)));
+  }
+
+  /**
+   * Run a single RNFS download job, guarded by the stall/timeout watchdog
+   * @private
+   * @returns {Promise<Object>} {success, statusCode, headers, error, timedOut}
+   */
+  _runDownloadJob({
+    videoId,
+    downloadUrl,
+    toFile,
+    offset = 0,
+    totalBytes = null,
+    headers = {},
+  }) {
+    return new Promise(resolve => {
+      let watchdogId = null;
+      try {
+        console.log(
+          `${this.logPrefix} Starting RNFS download for video ${videoId}`,
+        );
+
+        let responseStatusCode = null;
+        let responseHeaders = {};
+        let progressOffset = 0;
+        let progressTotal = totalBytes;
+        let recordedBytes = 0; // Bytes of this job already in the usage ledger
+
+        const { downloadTimeout, downloadStallTimeout, downloadMaxDuration } =
+          this.config;
+        const startedAt = Date.now();
+        let lastActivityAt = startedAt;
+        let hasReceivedBytes = false;
+        let watchdogReason = null;
+
+        const options = {
+          fromUrl: downloadUrl,
+          toFile,
+          headers,
+          background: true,
+          discretionary: true,
+          connectionTimeout: downloadStallTimeout,
+          readTimeout: downloadStallTimeout,
+          progressInterval: this.config.progressUpdateInterval,
+          begin: res => {
+            lastActivityAt = Date.now();
+            responseStatusCode = res.statusCode;
+            responseHeaders = res.headers || {};
+            // Only a 206 response continues from the partial file
+            progressOffset = res.statusCode === 206 ? offset : 0;
+            if (!progressTotal && res.statusCode === 206) {
+              // A Range chunk's Content-Length covers only the chunk - take
+              // the file size from its Content-Range
+              progressTotal = this._getExpectedLength(
+                { statusCode: res.statusCode, headers: responseHeaders },
+                null,
+              );
+            }
+          },
+          progress: res => {
+            lastActivityAt = Date.now();
+            hasReceivedBytes = hasReceivedBytes || res.bytesWritten > 0;
+            this._recordDataUsage(videoId, res.bytesWritten - recordedBytes);
+            recordedBytes = Math.max(recordedBytes, res.bytesWritten);
+            try {
+              if (res.contentLength > 0) {
+                // Without a known file size this job runs to the end of the
+                // file
+                const progress =
+                  ((progressOffset + res.bytesWritten) /
+                    (progressTotal || progressOffset + res.contentLength)) *
+                  100;
+                const roundedProgress = Math.min(
+                  Math.max(Math.round(progress), 0),
+                  100,
+                );
+
+                this._updateTransferStats(
+                  videoId,
+                  progressOffset + res.bytesWritten,
+                  progressTotal || progressOffset + res.contentLength,
+                );
+                this._updateProgress(videoId, roundedProgress);
+              }
+            } catch (progressError) {
+              console.warn(
+                `${this.logPrefix} Error updating progress:`,
+                progressError,
+              );
+            }
+          },
+        };
+
+        const downloadJob = RNFS.downloadFile(options);
+        const { jobId } = downloadJob;
+        this._setActiveJob(videoId, jobId);
+
+        // Watchdog - stop the job when bytes stop arriving, when none have
+        // arrived in time, or when it runs past the total cap. A slow link
+        // that makes progress is only cut off by the cap, and the retry
+        // resumes from the bytes it got.
+        watchdogId = setInterval(() => {
+          const now = Date.now();
+          if (now - lastActivityAt > downloadStallTimeout) {
+            watchdogReason = `Download stalled - no data for ${Math.round(
+              downloadStallTimeout / 1000,
+            )}s`;
+          } else if (!hasReceivedBytes && now - startedAt > downloadTimeout) {
+            watchdogReason = `Download timed out - no data after ${Math.round(
+              downloadTimeout / 1000,
+            )}s`;
+          } else if (now - startedAt > downloadMaxDuration) {
+            watchdogReason = `Download timed out - still running after ${Math.round(
+              downloadMaxDuration / 1000,
+            )}s`;
+          }
+
+          if (watchdogReason) {
+            console.warn(
+              `${this.logPrefix} ${watchdogReason} for video ${videoId}, stopping job`,
+            );
+            clearInterval(watchdogId);
+            RNFS.stopDownload(jobId);
+          }
+        }, WATCHDOG_INTERVAL_MS);
+
+        downloadJob.promise
+          .then(result => {
+            clearInterval(watchdogId);
+            this._setActiveJob(videoId, null);
+            this._recordDataUsage(videoId, result.bytesWritten - recordedBytes);
+            const statusCode = result.statusCode || responseStatusCode;
+
+            if (watchdogReason) {
+              resolve({
+                success: false,
+                statusCode: responseStatusCode,
+                headers: responseHeaders,
+                error: watchdogReason,
+                timedOut: true,
+              });
+            } else if (statusCode === 200 || statusCode === 206) {
+              console.log(
+                `${this.logPrefix} Download completed successfully for video ${videoId}`,
+              );
+              this._updateProgress(videoId, 100);
+              resolve({ success: true, statusCode, headers: responseHeaders });
+            } else {
+              console.error(
+                `${this.logPrefix} Download failed with status ${statusCode}`,
+              );
+              resolve({
+                success: false,
+                statusCode,
+                headers: responseHeaders,
+                error: `HTTP ${statusCode}`,
+              });
+            }
+          })
+          .catch(error => {
+            clearInterval(watchdogId);
+            this._setActiveJob(videoId, null);
+            console.error(
+              `${this.logPrefix} Download error for video ${videoId}:`,
+              error,
+            );
+            resolve({
+              success: false,
+              statusCode: responseStatusCode,
+              headers: responseHeaders,
+              error: watchdogReason || error.message,
+              timedOut: watchdogReason !== null,
+            });
+          });
+      } catch (error) {
+        clearInterval(watchdogId);
+        console.error(`${this.logPrefix} Error setting up download:`, error);
+        resolve({ success: false, statusCode: null, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Record the outcome of a download attempt - clear resume info on success,
+   * or save it so the next attempt can continue where this one stopped
+   * @private
+   * @returns {Promise<Object>} {success, error, statusCode, resumable, expectedBytes, contentType}
+   */
+  async _finishDownloadAttempt(downloadUrl, filePath, result, resumeInfo) {
+    if (result.success) {
+      await FileSystemService.deleteResumeInfo(filePath);
+      return {
+        success: true,
+        expectedBytes: this._getExpectedLength(result, resumeInfo),
+        contentType: this._getHeader(result.headers, 'content-type'),
+      };
+    }
+
+    const etag =
+      this._getHeader(result.headers, 'etag') ||
+      (resumeInfo && resumeInfo.etag) ||
+      null;
+    const lastModified =
+      this._getHeader(result.headers, 'last-modified') ||
+      (resumeInfo && resumeInfo.lastModified) ||
+      null;
+    const bytesWritten = await FileSystemService.getFileSize(filePath);
+
+    // Client errors (404, 403, ...) mean the partial file is worthless
+    const isClientError =
+      typeof result.statusCode === 'number' &&
+      result.statusCode >= 400 &&
+      result.statusCode < 500;
+
+    if (isClientError || !bytesWritten || (!etag && !lastModified)) {
+      await FileSystemService.deleteResumeInfo(filePath);
+      return {
+        success: false,
+        error: result.error,
+        statusCode: result.statusCode,
+        resumable: false,
+      };
+    }
+
+    const contentLength = parseInt(
+      this._getHeader(result.headers, 'content-length'),
+      10,
+    );
+    let totalBytes = (resumeInfo && resumeInfo.totalBytes) || null;
+    if (result.statusCode === 200 && contentLength > 0) {
+      totalBytes = contentLength;
+    } else if (result.statusCode === 206 && contentLength > 0) {
+      totalBytes = (resumeInfo ? resumeInfo.bytesWritten : 0) + contentLength;
+    }
+
+    await FileSystemService.saveResumeInfo(filePath, {
+      url: downloadUrl,
+      bytesWritten,
+      totalBytes,
+      etag,
+      lastModified,
+    });
+
+    console.log(
+      `${this.logPrefix} Kept ${bytesWritten} bytes of partial download for resume`,
+    );
+    return {
+      success: false,
+      error: result.error,
+      statusCode: result.statusCode,
+      resumable: true,
+    };
+  }
+
+  /**
+   * First byte of a 206 response, from its Content-Range header
+   * @private
+   * @returns {number|null} Byte offset or null if the header is missing
+   */
+  _getRangeStart(headers) {
+    const contentRange = this._getHeader(headers, 'content-range');
+    const match = contentRange && /bytes\s+(\d+)-/i.exec(contentRange);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Full file size announced by the server - Content-Range total for a 206,
+   * otherwise Content-Length
+   * @private
+   * @returns {number|null} Size in bytes or null if unknown
+   */
+  _getExpectedLength(result, resumeInfo) {
+    const contentRange = this._getHeader(result.headers, 'content-range');
+    const rangeTotal = contentRange
+      ? parseInt(contentRange.split('/')[1], 10)
+      : NaN;
+    if (rangeTotal > 0) {
+      return rangeTotal;
+    }
+
+    const contentLength = parseInt(
+      this._getHeader(result.headers, 'content-length'),
+      10,
+    );
+    if (!(contentLength > 0)) {
+      return null;
+    }
+
+    if (result.statusCode === 206) {
+      return resumeInfo ? resumeInfo.bytesWritten + contentLength : null;
+    }
+    return contentLength;
+  }
+
+  /**
+   * Check whether a failed attempt is worth retrying. Network errors, timeouts
+   * (408), rate limiting (429) and server errors (5xx) are transient; other
+   * client errors such as 404 or 403 are permanent.
+   * @private
+   */
+  _isTransientFailure(result) {
+    if (!result || result.permanent) {
+      return false;
+    }
+
+    const { statusCode } = result;
+    if (typeof statusCode !== 'number' || statusCode < 400) {
+      // No HTTP error status - connection dropped, timed out or aborted
+      return true;
+    }
+
+    return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+  }
+
+  /**
+   * Get backoff delay for a retry attempt - exponential with equal jitter
+   * @private
+   */
+  _getRetryDelay(retryCount) {
+    const exponentialDelay = Math.min(
+      RETRY_SETTINGS.MAX_DELAY_MS,
+      RETRY_SETTINGS.BASE_DELAY_MS * Math.pow(2, retryCount - 1),
+    );
+    return Math.round(
+      exponentialDelay / 2 + (Math.random() * exponentialDelay) / 2,
+    );
+  }
+
+  /**
+   * Wait before the next retry; pauseQueue/cancel end the wait early
+   * @private
+   */
+  _waitForRetry(videoId, delay) {
+    return new Promise(resolve => {
+      const activeDownload = this._getActiveDownload(videoId);
+      const timeoutId = setTimeout(() => {
+        if (activeDownload) {
+          activeDownload.retryTimer = null;
+        }
+        resolve();
+      }, delay);
+
+      if (activeDownload) {
+        activeDownload.retryTimer = { timeoutId, resolve };
+      }
+    });
+  }
+
+  /**
+   * End pending backoff waits immediately - for one video, or all of them
+   * @private
+   */
+  _cancelRetryWait(videoId = null) {
+    this.activeDownloads.forEach(activeDownload => {
+      if (
+        activeDownload.retryTimer &&
+        (videoId === null || activeDownload.video.id === videoId)
+      ) {
+        clearTimeout(activeDownload.retryTimer.timeoutId);
+        activeDownload.retryTimer.resolve();
+        activeDownload.retryTimer = null;
+      }
+    });
+  }
+
+  /**
+   * Track a video as actively downloading
+   * @private
+   */
+  _addActiveDownload(video) {
+    this.activeDownloads.set(video.id, {
+      video,
+      jobId: null, // RNFS job id while a transfer is running
+      retryTimer: null, // Pending backoff timer {timeoutId, resolve}
+      cancelled: false, // Set by cancelDownload
+      paused: false, // Set by pauseQueue - stops and is queued again
+      requiredBytes: 0, // Space reserved by the storage check
+    });
+  }
+
+  /**
+   * Get the active download entry for a video
+   * @private
+   */
+  _getActiveDownload(videoId) {
+    return this.activeDownloads.get(videoId) || null;
+  }
+
+  /**
+   * Remember (or clear) the RNFS job id of an active download
+   * @private
+   */
+  _setActiveJob(videoId, jobId) {
+    const activeDownload = this._getActiveDownload(videoId);
+    if (activeDownload) {
+      activeDownload.jobId = jobId;
+    }
+  }
+
+  /**
+   * Check whether a download was cancelled - all at once or just this video
+   * @private
+   */
+  _isCancelled(videoId, cancelGeneration) {
+    const activeDownload = this._getActiveDownload(videoId);
+    return (
+      cancelGeneration !== this.cancelGeneration ||
+      (activeDownload !== null && activeDownload.cancelled)
+    );
+  }
+
+  /**
+   * Check whether a download was stopped by pauseQueue. The job may still be
+   * winding down after the queue was resumed - it is queued again, not failed.
+   * @private
+   */
+  _isPausedJob(videoId) {
+    const activeDownload = this._getActiveDownload(videoId);
+    return this.isPaused || (activeDownload !== null && activeDownload.paused);
+  }
+
+  /**
+   * Stop an active download - its retry loop sees the cancellation and
+   * discards the partial file
+   * @private
+   */
+  _cancelActiveDownload(activeDownload) {
+    const videoId = activeDownload.video.id;
+    activeDownload.cancelled = true;
+    this._cancelRetryWait(videoId);
+
+    if (activeDownload.jobId !== null) {
+      // Cancel RNFS download job
+      RNFS.stopDownload(activeDownload.jobId);
+      activeDownload.jobId = null;
+      console.log(
+        `${this.logPrefix} RNFS download job cancelled for video ${videoId}`,
+      );
+    }
+  }
+
+  /**
+   * Call every listener of an event. A failing listener does not stop the
+   * others or the download.
+   * @private
+   */
+  _emit(event, payload) {
+    this.listeners[event].forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`${this.logPrefix} Error in ${event} listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Emit a retry event
+   * @private
+   */
+  _updateRetry(videoId, retryState) {
+    this._emit('retry', { videoId, ...retryState });
+  }
+
+  /**
+   * Start counting retries from zero. Every queued download, manual retry or
+   * resume is a new sequence, so the card must not show "Retrying 3/3" left
+   * over from the previous one.
+   * @private
+   */
+  async _resetRetryState(videoId, maxRetries) {
+    const retryState = { retryCount: 0, maxRetries, lastError: null };
+    const metadata = await LocalStorageService.getVideoMetadata(videoId);
+    if (metadata && (metadata.retryCount > 0 || metadata.lastError)) {
+      await LocalStorageService.updateVideoRetryState(videoId, retryState);
+    }
+    this._updateRetry(videoId, retryState);
+  }
+
+  /**
+   * Save a paused download so it can be resumed - keeps the partial file,
+   * records the progress reached and puts the video back at the queue front
+   * @private
+   */
+  async _savePausedDownload(video, partPath) {
+    try {
+      const resumeInfo = await FileSystemService.readResumeInfo(partPath);
+      const downloadProgress =
+        resumeInfo && resumeInfo.totalBytes > 0
+          ? Math.round((resumeInfo.bytesWritten / resumeInfo.totalBytes) * 100)
+          : 0;
+
+      // A paused quality change leaves the current file's record alone
+      if (!(await this._hasKeptFile(video.id))) {
+        await LocalStorageService.saveVideoMetadata(video.id, {
+          ...video,
+          status: 'PAUSED',
+          localFilePath: null,
+          downloadProgress,
+        });
+      }
+
+      if (!this.downloadQueue.some(queued => queued.id === video.id)) {
+        // Parallel jobs pause in any order - put it back by priority
+        this._insertIntoQueue(video);
+      }
+
+      console.log(
+        `${this.logPrefix} Saved paused download for video ${video.id} at ${downloadProgress}%`,
+      );
+    } catch (error) {
+      console.error(`${this.logPrefix} Error saving paused download:`, error);
+    }
+  }
+
+  /**
+   * Queue priority of a video (0 when never set)
+   * @private
+   */
+  _getQueuePriority(video) {
+    return typeof video?.queuePriority === 'number' ? video.queuePriority : 0;
+  }
+
+  /**
+   * Insert a video before the first queued video with a lower priority.
+   * Equal priorities keep ascending ID order, as auto-download queues them.
+   * @private
+   */
+  _insertIntoQueue(video) {
+    const priority = this._getQueuePriority(video);
+    const insertIndex = this.downloadQueue.findIndex(queued => {
+      const queuedPriority = this._getQueuePriority(queued);
+      return (
+        queuedPriority < priority ||
+        (queuedPriority === priority && queued.id > video.id)
+      );
+    });
+
+    if (insertIndex === -1) {
+      this.downloadQueue.push(video);
+    } else {
+      this.downloadQueue.splice(insertIndex, 0, video);
+    }
+  }
+
+  /**
+   * Store the current queue order as priorities (first = highest)
+   * @private
+   */
+  _renumberQueuePriorities() {
+    const queueLength = this.downloadQueue.length;
+    this.downloadQueue = this.downloadQueue.map((video, index) => ({
+      ...video,
+      queuePriority: queueLength - index,
+    }));
+  }
+
+  /**
+   * Check whether a video has a partial file that can be resumed
+   * @private
+   */
+  async _hasResumableDownload(requestedVideo) {
+    try {
+      // The part file is named after the rendition being downloaded (e.g.
+      // the audio-only m4a), as in _attemptDownload
+      const video = this._applyQualitySetting(requestedVideo);
+      const partPath = await FileSystemService.getPartFilePath(
+        video.id,
+        resolveMediaType(video).extension,
+      );
+      const resumeInfo = await FileSystemService.readResumeInfo(partPath);
+      return resumeInfo !== null;
+    } catch (error) {
+      console.error(
+        `${this.logPrefix} Error checking resumable download:`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Clean up after a previous session. Staging `.part` files are kept only
+   * when they can still be resumed - the video is queued, or it is FAILED or
+   * PAUSED with resume info. Partial files left in the video folder by older
+   * versions (they have a resume sidecar) are removed.
+   * @private
+   * @param {Array<number>} queuedVideoIds - Videos about to be resumed
+   */
+  async _sweepStagingFiles(queuedVideoIds) {
+    try {
+      const localVideos = await LocalStorageService.getAllLocalVideos();
+      const partFiles = await FileSystemService.getPartFiles();
+      let sweptCount = 0;
+
+      for (const partFile of partFiles) {
+        const metadata =
+          partFile.videoId !== null ? localVideos[partFile.videoId] : null;
+        const resumeInfo = await FileSystemService.readResumeInfo(
+          partFile.path,
+        );
+        const canResume =
+          resumeInfo !== null &&
+          (queuedVideoIds.includes(partFile.videoId) ||
+            (metadata && ['FAILED', 'PAUSED'].includes(metadata.status)));
+
+        if (!canResume) {
+          await FileSystemService.deletePartFile(partFile.path);
+          sweptCount++;
+        } else {
+          // A leftover range file belongs to a transfer that never finished
+          await FileSystemService.deleteVideoFile(`${partFile.path}.range`);
+        }
+      }
+
+      const videoFiles = await FileSystemService.getAllVideoFiles();
+      for (const videoFile of videoFiles) {
+        if (await FileSystemService.readResumeInfo(videoFile.path)) {
+          await FileSystemService.deleteVideoFile(videoFile.path);
+          await FileSystemService.deleteResumeInfo(videoFile.path);
+          sweptCount++;
+        }
+      }
+
+      if (sweptCount > 0) {
+        console.log(
+          `${this.logPrefix} Swept ${sweptCount} stray partial downloads`,
+        );
+      }
+    } catch (error) {
+      console.error(`${this.logPrefix} Error sweeping staging files:`, error);
+    }
+  }
+
+  /**
+   * Mark a download interrupted by app closure as FAILED
+   * @private
+   */
+  async _markInterruptedDownloadFailed(video) {
+    try {
+      if (await this._hasKeptFile(video.id)) {
+        // An interrupted quality change - the previous file is still there
+        return;
+      }
+
+      const metadata = await LocalStorageService.getVideoMetadata(video.id);
+
+      await LocalStorageService.saveVideoMetadata(video.id, {
+        ...video,
+        ...metadata,
+        status: 'FAILED',
+        downloadProgress: 0,
+        failedAt: Date.now(),
+        errorMessage: 'Download interrupted by app closure',
+      });
+
+      console.log(
+        `${this.logPrefix} Marked interrupted video ${video.id} as FAILED`,
+      );
+    } catch (error) {
+      console.error(
+        `${this.logPrefix} Error marking interrupted download as failed:`,
+        error,
+      );
+    }
+  }
+
+  /**
+   * Save queue state so it can be restored after an app restart
+   * @private
+   */
+  async _persistQueue() {
     try {
-      console.log(`${this.logPrefix} Cancelling current download`);
+      if (
+        this.downloadQueue.length === 0 &&
+        this.activeDownloads.size === 0 &&
+        !this.isPaused
+      ) {
+        await LocalStorageService.clearDownloadQueue();
+        return;
+      }
+
+      await LocalStorageService.saveDownloadQueue({
+        queue: this.downloadQueue,
+        activeVideos: this.getActiveDownloads(),
+        isPaused: this.isPaused,
+        pauseReason: this.pauseReason,
+      });
+    } catch (error) {
+      console.error(`${this.logPrefix} Error persisting queue:`, error);
+    }
+  }
+
+  /**
+   * Persist the queue and emit a queueChanged event
+   * @private
+   */
+  _notifyQueueState() {
+    this._persistQueue();
+
+    this._emit('queueChanged', {
+      isPaused: this.isPaused,
+      pauseReason: this.pauseReason,
+      queueLength: this.downloadQueue.length,
+      queuedVideoIds: this.downloadQueue.map(video => video.id),
+    });
+  }
+
+  /**
+   * Whether the queue is paused by a policy rather than by the user
+   * @private
+   */
+  _isPolicyPause() {
+    return this.isPaused && POLICY_PAUSE_REASONS.includes(this.pauseReason);
+  }
+
+  /**
+   * Check the network policy, the cellular data budget, then the download
+   * schedule
+   * @private
+   * @returns {Promise<Object>} {allowed, reason, connectionType}
+   */
+  async _checkDownloadPolicy() {
+    const policy = await NetworkPolicyService.checkDownloadPolicy(this.config);
+    this.connectionType = policy.connectionType;
+
+    if (policy.allowed && (await this._isCellularBudgetReached())) {
+      return { ...policy, allowed: false, reason: 'DATA_BUDGET' };
+    }
+    if (policy.allowed && this._getNextQueueIndex() === -1) {
+      // Nothing may start - the queue is empty or outside the download
+      // window it holds only automatic downloads
+      if (!isWithinDownloadWindow(this.config)) {
+        return { ...policy, allowed: false, reason: 'OUTSIDE_SCHEDULE' };
+      }
+    }
+    if (policy.allowed && !(await this._fitsStorageQuota())) {
+      return { ...policy, allowed: false, reason: 'STORAGE_QUOTA' };
+    }
+    return policy;
+  }
+
+  /**
+   * Queue index of the next video a worker may start. The download window
+   * only holds back automatic downloads - outside it the first video the
+   * user queued by hand (`isManual`) starts.
+   * @private
+   * @returns {number} Index, or -1 if no queued video may start now
+   */
+  _getNextQueueIndex() {
+    if (isWithinDownloadWindow(this.config)) {
+      return this.downloadQueue.length > 0 ? 0 : -1;
+    }
+    return this.downloadQueue.findIndex(video => video.isManual === true);
+  }
+
+  /**
+   * Pause for a policy. The storage quota does not stop running downloads -
+   * they were admitted within the quota; the last one to finish pauses.
+   * @private
+   */
+  async _pauseForPolicy(reason) {
+    if (reason === 'STORAGE_QUOTA' && this.activeDownloads.size > 0) {
+      console.log(
+        `${this.logPrefix} Storage quota reached, letting ${this.activeDownloads.size} active downloads finish`,
+      );
+      return;
+    }
+    await this.pauseQueue(reason);
+  }
+
+  /**
+   * Whether the next queued video fits in the storage quota, counting the
+   * downloads eviction could remove. Only reads - nothing is deleted here,
+   * since this also runs on every connection or settings change (see
+   * _admitToStorageQuota).
+   * @private
+   */
+  async _fitsStorageQuota() {
+    const nextVideo = this.downloadQueue[this._getNextQueueIndex()];
+    const quotaBytes = this._getQuotaBytes();
+    if (!nextVideo || !quotaBytes) {
+      return true;
+    }
+
+    const requiredBytes = await this._getRequiredBytes(nextVideo);
+    if (requiredBytes > quotaBytes) {
+      // Can never fit - the worker skips it (see _checkVideoStorage)
+      return true;
+    }
+
+    const usedBytes =
+      (await FileSystemService.getTotalVideosSize()) + this._getReservedBytes();
+    const excessBytes = usedBytes + requiredBytes - quotaBytes;
+    if (excessBytes <= 0) {
+      return true;
+    }
+
+    const evictableBytes = this.config.evictOldestWhenFull
+      ? await StorageEvictionService.getEvictableBytes(
+          this._getProtectedVideoIds(),
+        )
+      : 0;
+    if (evictableBytes < excessBytes) {
+      console.log(
+        `${this.logPrefix} Video ${nextVideo.id} would exceed the storage quota by ${excessBytes} bytes`,
+      );
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Make room in the storage quota for a video a worker is about to start.
+   * With `evictOldestWhenFull` the oldest downloads are removed - only as
+   * many bytes as this video is over the quota.
+   * @private
+   * @returns {Promise<boolean>} True if the video fits in the quota
+   */
+  async _admitToStorageQuota(video) {
+    const quotaBytes = this._getQuotaBytes();
+    if (!quotaBytes) {
+      return true;
+    }
+
+    const activeDownload = this._getActiveDownload(video.id);
+    const requiredBytes = activeDownload
+      ? activeDownload.requiredBytes
+      : await this._getRequiredBytes(video);
+    const usedBytes =
+      (await FileSystemService.getTotalVideosSize()) +
+      this._getReservedBytes(video.id);
+    const excessBytes = usedBytes + requiredBytes - quotaBytes;
+    if (excessBytes <= 0) {
+      return true;
+    }
+
+    if (!this.config.evictOldestWhenFull) {
+      return false;
+    }
+
+    const { freedBytes, evictedVideoIds } =
+      await StorageEvictionService.freeUpSpace(
+        excessBytes,
+        this._getProtectedVideoIds(),
+      );
+    if (evictedVideoIds.length > 0) {
+      this._emit('evicted', { videoIds: evictedVideoIds, freedBytes });
+    }
+    return freedBytes >= excessBytes;
+  }
+
+  /**
+   * Videos eviction must keep - active and queued downloads
+   * @private
+   */
+  _getProtectedVideoIds() {
+    return [
+      ...this.activeDownloads.keys(),
+      ...this.downloadQueue.map(video => video.id),
+    ];
+  }
+
+  /**
+   * Storage quota in bytes (0 = no quota)
+   * @private
+   */
+  _getQuotaBytes() {
+    const { maxStorageUsageGB } = this.config;
+    return maxStorageUsageGB > 0 ? maxStorageUsageGB * 1024 * 1024 * 1024 : 0;
+  }
+
+  /**
+   * Whether this month's cellular budget is used up and we are on cellular
+   * @private
+   */
+  async _isCellularBudgetReached() {
+    const { cellularDataBudgetMB } = this.config;
+    if (!(cellularDataBudgetMB > 0) || this.connectionType !== 'cellular') {
+      return false;
+    }
 
-      if (this.downloadJob) {
-        // Cancel RNFS download job
-        this.downloadJob.promise.cancel();
-        this.downloadJob = null;
-        console.log(`${this.logPrefix} RNFS download job cancelled`);
-      }
+    await DataUsageService.load();
+    return (
+      DataUsageService.getCellularBytesThisMonth() >=
+      cellularDataBudgetMB * 1024 * 1024
+    );
+  }
 
-      if (this.currentDownload) {
-        const videoId = this.currentDownload.id;
+  /**
+   * Add received bytes to the data usage ledger, and pause cellular downloads
+   * as soon as they use up the budget
+   * @private
+   */
+  _recordDataUsage(videoId, bytes) {
+    if (!(bytes > 0)) {
+      return;
+    }
 
-        // Clean up failed download
-        const filePath = await FileSystemService.getVideoFilePath(
-          videoId,
-          'mp4',
-        );
-        await this._cleanupFailedDownload(videoId, filePath);
+    const activeDownload = this._getActiveDownload(videoId);
+    const bucket = DataUsageService.recordBytes({
+      videoId,
+      name: activeDownload && activeDownload.video.name,
+      bytes,
+      connectionType: this.connectionType,
+    });
 
-        this.currentDownload = null;
-      }
+    const { cellularDataBudgetMB } = this.config;
+    if (
+      bucket === 'cellular' &&
+      cellularDataBudgetMB > 0 &&
+      !this.isPaused &&
+      DataUsageService.getCellularBytesThisMonth() >=
+        cellularDataBudgetMB * 1024 * 1024
+    ) {
+      console.log(
+        `${this.logPrefix} Cellular data budget of ${cellularDataBudgetMB} MB reached`,
+      );
+      this._applyDownloadPolicy();
+    }
+  }
 
-      // Clear queue and reset processing
-      this.downloadQueue = [];
-      this.isProcessing = false;
+  /**
+   * Start listening for connection changes and schedule windows (once per
+   * app session)
+   * @private
+   */
+  _watchDownloadPolicy() {
+    if (this.networkUnsubscribe) {
+      return;
+    }
 
-      console.log(`${this.logPrefix} Download cancelled successfully`);
-      return true;
-    } catch (error) {
-      console.error(`${this.logPrefix} Error cancelling download:`, error);
-      return false;
+    this.networkUnsubscribe = NetworkPolicyService.addListener(networkState => {
+      this.connectionType = networkState.connectionType;
+      this._applyDownloadPolicy();
+    });
+    this._scheduleWindowCheck();
+  }
+
+  /**
+   * Re-apply the policies when the next download window opens or closes
+   * @private
+   */
+  _scheduleWindowCheck() {
+    if (this.scheduleTimer) {
+      clearTimeout(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+
+    const delay = getMsUntilNextScheduleChange(this.config);
+    if (delay === null) {
+      return;
     }
+
+    this.scheduleTimer = setTimeout(() => {
+      this.scheduleTimer = null;
+      this._applyDownloadPolicy();
+      this._scheduleWindowCheck();
+    }, delay + 1000); // Land safely inside the new minute
   }
 
   /**
-   * Get current download info
-   * @returns {Object|null} Current download info or null
+   * Pause the queue when the current connection or time is not allowed, or
+   * resume a policy pause once it is allowed again
+   * @private
    */
-  getCurrentDownload() {
-    return this.currentDownload;
+  async _applyDownloadPolicy() {
+    try {
+      const policy = await this._checkDownloadPolicy();
+      const hasWork =
+        this.activeDownloads.size > 0 || this.downloadQueue.length > 0;
+
+      if (!policy.allowed) {
+        if (hasWork && !this.isPaused) {
+          console.log(
+            `${this.logPrefix} Downloads not allowed on ${policy.connectionType} (${policy.reason})`,
+          );
+          await this._pauseForPolicy(policy.reason);
+        } else if (
+          this._isPolicyPause() &&
+          this.pauseReason !== policy.reason
+        ) {
+          // Still blocked, but by another policy (e.g. Wi-Fi is back but the
+          // download window has closed)
+          this.pauseReason = policy.reason;
+          this._notifyQueueState();
+        }
+      } else if (this._isPolicyPause()) {
+        console.log(
+          `${this.logPrefix} Downloads allowed again on ${policy.connectionType}, resuming queue`,
+        );
+        await this.resumeQueue();
+      }
+    } catch (error) {
+      console.error(`${this.logPrefix} Error applying download policy:`, error);
+    }
   }
 
   /**
-   * Check if download is active
-   * @returns {boolean} True if download is active
+   * Delete a partial file together with its resume info
+   * @private
    */
-  isDownloadActive() {
-    return this.currentDownload !== null || this.isProcessing;
+  async _discardPartialDownload(filePath) {
+    await FileSystemService.deleteVideoFile(filePath);
+    await FileSystemService.deleteResumeInfo(filePath);
   }
 
   /**
-   * Get queue length
-   * @returns {number} Number of videos in queue
+   * Read a response header case-insensitively
+   * @private
    */
-  getQueueLength() {
-    return this.downloadQueue.length;
+  _getHeader(headers, name) {
+    if (!headers || typeof headers !== 'object') {
+      return null;
+    }
+
+    const key = Object.keys(headers).find(
+      headerName => headerName.toLowerCase() === name,
+    );
+    return key ? headers[key] : null;
   }
 
-  // Private methods
+  /**
+   * The rendition for the quality setting, or the one asked for this video
+   * @private
+   */
+  _applyQualitySetting(video) {
+    return applyRendition(
+      video,
+      selectRendition(
+        video,
+        video.preferredQuality || this.config.videoQuality,
+      ),
+    );
+  }
 
   /**
-   * Perform actual download with progress tracking
+   * Check whether a video fits next to the other active downloads. Emits
+   * 'storageInsufficient' if it does not, or 'error' if it is larger than
+   * the whole storage quota.
    * @private
+   * @returns {Promise<Object>} {fits, error}
    */
-  async _performDownload(videoId, downloadUrl, filePath) {
-    return new Promise(resolve => {
-      try {
-        console.log(
-          `${this.logPrefix} Starting RNFS download for video ${videoId}`,
-        );
+  async _checkVideoStorage(video) {
+    const requiredBytes = await this._getRequiredBytes(video);
+    const activeDownload = this._getActiveDownload(video.id);
+    if (activeDownload) {
+      activeDownload.requiredBytes = requiredBytes;
+    }
 
-        const options = {
-          fromUrl: downloadUrl,
-          toFile: filePath,
-          background: true,
-          discretionary: true,
-          progress: res => {
-            try {
-              if (res.contentLength > 0) {
-                const progress = (res.bytesWritten / res.contentLength) * 100;
-                const roundedProgress = Math.min(
-                  Math.max(Math.round(progress), 0),
-                  100,
-                );
+    const quotaBytes = this._getQuotaBytes();
+    if (quotaBytes && requiredBytes > quotaBytes) {
+      console.warn(
+        `${this.logPrefix} Video ${video.id} (${requiredBytes} bytes) is larger than the storage quota`,
+      );
+      const error = 'Larger than the storage limit';
+      this._emit('error', {
+        videoId: video.id,
+        error,
+        statusCode: null,
+        retryCount: 0,
+      });
+      return { fits: false, error };
+    }
 
-                // Update progress via callback
-                this._updateProgress(videoId, roundedProgress);
-              }
-            } catch (progressError) {
-              console.warn(
-                `${this.logPrefix} Error updating progress:`,
-                progressError,
-              );
-            }
-          },
-        };
+    const storage = await FileSystemService.checkStorageFor(
+      requiredBytes + this._getReservedBytes(video.id),
+    );
+    if (!storage.sufficient) {
+      console.warn(
+        `${this.logPrefix} Not enough space for video ${video.id}: ${storage.requiredKB} KB required, ${storage.availableKB} KB available`,
+      );
+      this._emit('storageInsufficient', {
+        videoIds: [video.id],
+        requiredKB: storage.requiredKB,
+        availableKB: storage.availableKB,
+        skipped: true,
+      });
+    }
+    return {
+      fits: storage.sufficient,
+      error: storage.sufficient ? null : 'Not enough storage space',
+    };
+  }
 
-        this.downloadJob = RNFS.downloadFile(options);
+  /**
+   * Record a queued video that was skipped for lack of space. A downloaded
+   * video (waiting for another rendition) keeps its current file.
+   * @private
+   */
+  async _skipForStorage(video, error) {
+    const existingMetadata = await LocalStorageService.getVideoMetadata(
+      video.id,
+    );
+    if (existingMetadata && existingMetadata.status === 'DOWNLOADED') {
+      await this._updateStatus(video.id, 'DOWNLOADED');
+      return;
+    }
 
-        this.downloadJob.promise
-          .then(result => {
-            this.downloadJob = null;
+    await LocalStorageService.saveVideoMetadata(video.id, {
+      ...video,
+      retryCount: existingMetadata ? existingMetadata.retryCount : 0,
+      maxRetries: this.config.retryAttempts,
+      status: 'FAILED',
+      localFilePath: null,
+      lastError: error,
+      errorMessage: error,
+    });
+    await this._updateStatus(video.id, 'FAILED');
+  }
 
-            if (result.statusCode === 200) {
-              console.log(
-                `${this.logPrefix} Download completed successfully for video ${videoId}`,
-              );
-              this._updateProgress(videoId, 100);
-              resolve({ success: true });
-            } else {
-              console.error(
-                `${this.logPrefix} Download failed with status ${result.statusCode}`,
-              );
-              resolve({ success: false, error: `HTTP ${result.statusCode}` });
-            }
-          })
-          .catch(error => {
-            this.downloadJob = null;
-            console.error(
-              `${this.logPrefix} Download error for video ${videoId}:`,
-              error,
-            );
-            resolve({ success: false, error: error.message });
-          });
-      } catch (error) {
-        console.error(`${this.logPrefix} Error setting up download:`, error);
-        resolve({ success: false, error: error.message });
+  /**
+   * Pre-flight check for a batch of videos - emits 'storageInsufficient' if
+   * they do not all fit
+   * @private
+   * @returns {Promise<boolean>} True if the whole batch fits
+   */
+  async _checkBatchStorage(videos) {
+    // API sizes are used as they are; only videos without one need a HEAD
+    // request, a few at a time
+    const sizes = [];
+    let nextIndex = 0;
+    const lookUpSizes = async () => {
+      while (nextIndex < videos.length) {
+        const index = nextIndex++;
+        sizes[index] = await this._getRequiredBytes(videos[index]);
       }
-    });
+    };
+    await Promise.all(
+      Array.from(
+        {
+          length: Math.min(
+            STORAGE_CHECK_SETTINGS.HEAD_CONCURRENCY,
+            videos.length,
+          ),
+        },
+        lookUpSizes,
+      ),
+    );
+
+    const requiredBytes = sizes.reduce(
+      (total, size) => total + size,
+      this._getReservedBytes(),
+    );
+
+    const storage = await FileSystemService.checkStorageFor(requiredBytes);
+    if (!storage.sufficient) {
+      console.warn(
+        `${this.logPrefix} ${videos.length} videos need ${storage.requiredKB} KB, ${storage.availableKB} KB available`,
+      );
+      this._emit('storageInsufficient', {
+        videoIds: videos.map(video => video.id),
+        requiredKB: storage.requiredKB,
+        availableKB: storage.availableKB,
+        skipped: false,
+      });
+    }
+    return storage.sufficient;
   }
 
   /**
-   * Get video download URL
+   * Bytes a video still has to write - its size minus a resumable partial
+   * file. An unknown size counts as 0.
    * @private
+   * @returns {Promise<number>} Bytes
    */
-  _getVideoDownloadUrl(video) {
+  async _getRequiredBytes(requestedVideo) {
     try {
-      // Check if video has filepath (from API response)
-      if (video && video.filepath && typeof video.filepath === 'string') {
-        // API returns relative path like "storage/media_files/1759859009304_videoplayback.mp4"
-        // We need to construct full URL: https://api.redfynix.com/storage/media_files/1759859009304_videoplayback.mp4
-        const baseUrl = 'https://api.redfynix.com/';
-        const fullUrl = `${baseUrl}${video.filepath}`;
-
-        console.log(
-          `${this.logPrefix} Constructed download URL for video ${video.id}: ${fullUrl}`,
-        );
-        return fullUrl;
+      const video = this._applyQualitySetting(requestedVideo);
+      const size =
+        VerificationService.getExpectedSize(video) ||
+        (await this._getContentLength(video));
+      if (!size) {
+        return 0;
       }
 
-      // Fallback: Check for video_url field (legacy support)
-      if (video && video.video_url && typeof video.video_url === 'string') {
-        console.log(
-          `${this.logPrefix} Using video_url field for video ${video.id}: ${video.video_url}`,
-        );
-        return video.video_url;
+      const partPath = await FileSystemService.getPartFilePath(
+        video.id,
+        resolveMediaType(video).extension,
+      );
+      const resumeInfo = await FileSystemService.readResumeInfo(partPath);
+      const partBytes = resumeInfo
+        ? (await FileSystemService.getFileSize(partPath)) || 0
+        : 0;
+
+      return Math.max(0, size - partBytes);
+    } catch (error) {
+      console.error(
+        `${this.logPrefix} Error getting required space for video ${requestedVideo.id}:`,
+        error,
+      );
+      return 0;
+    }
+  }
+
+  /**
+   * File size from a HEAD request to the best download URL (cached per URL)
+   * @private
+   * @returns {Promise<number|null>} Bytes or null if unknown
+   */
+  async _getContentLength(video) {
+    const [url] = await this._getVideoDownloadUrls(video);
+    if (!url) {
+      return null;
+    }
+
+    // Failed lookups are cached too, so a slow host is not asked again on
+    // every check - they are retried after FAILED_LOOKUP_RETRY_MS
+    const cached = this.contentLengths.get(url);
+    if (
+      cached &&
+      (cached.size !== null ||
+        Date.now() - cached.checkedAt <
+          STORAGE_CHECK_SETTINGS.FAILED_LOOKUP_RETRY_MS)
+    ) {
+      return cached.size;
+    }
+
+    // Callers asking for the same URL at once share one request
+    if (!this.contentLengthRequests.has(url)) {
+      const request = this._requestContentLength(video, url).then(size => {
+        this.contentLengths.set(url, { size, checkedAt: Date.now() });
+        this.contentLengthRequests.delete(url);
+        return size;
+      });
+      this.contentLengthRequests.set(url, request);
+    }
+    return this.contentLengthRequests.get(url);
+  }
+
+  /**
+   * HEAD request for the Content-Length of a URL
+   * @private
+   * @returns {Promise<number|null>} Bytes or null if unknown
+   */
+  async _requestContentLength(video, url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(
+      () => controller.abort(),
+      STORAGE_CHECK_SETTINGS.HEAD_TIMEOUT_MS,
+    );
+
+    try {
+      const response = await fetch(url, {
+        method: 'HEAD',
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        return null;
       }
 
-      // Fallback: Try to construct from ID (legacy method)
-      if (video && video.id) {
-        const fallbackUrl = `https://api.redfynix.com/api/v1/media-files/download/${video.id}`;
-        console.log(
-          `${this.logPrefix} Using fallback URL construction for video ${video.id}: ${fallbackUrl}`,
-        );
-        return fallbackUrl;
+      const length = parseInt(response.headers.get('content-length'), 10);
+      return length > 0 ? length : null;
+    } catch (error) {
+      console.warn(
+        `${this.logPrefix} HEAD request failed for video ${video.id}: ${error.message}`,
+      );
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Bytes the active downloads (other than one video) still have to write
+   * @private
+   */
+  _getReservedBytes(exceptVideoId = null) {
+    let reservedBytes = 0;
+    this.activeDownloads.forEach((activeDownload, videoId) => {
+      if (videoId === exceptVideoId) {
+        return;
       }
 
-      console.error(
-        `${this.logPrefix} No valid video URL found for video:`,
+      const stats = this.transferStats.get(videoId);
+      reservedBytes +=
+        stats && stats.totalBytes
+          ? Math.max(0, stats.totalBytes - stats.bytesWritten)
+          : activeDownload.requiredBytes || 0;
+    });
+    return reservedBytes;
+  }
+
+  /**
+   * Get the candidate download URLs for a video, healthiest host first
+   * @private
+   * @returns {Promise<Array<string>>} URLs (empty if none can be built)
+   */
+  async _getVideoDownloadUrls(video) {
+    try {
+      const urls = await DownloadHostService.getCandidateUrls(
         video,
+        this.config.cdnBaseUrls,
       );
-      return null;
+
+      if (urls.length === 0) {
+        console.error(
+          `${this.logPrefix} No valid video URL found for video:`,
+          video,
+        );
+      } else {
+        console.log(
+          `${this.logPrefix} Download URLs for video ${video.id}: ${urls.join(
+            ', ',
+          )}`,
+        );
+      }
+      return urls;
     } catch (error) {
       console.error(
-        `${this.logPrefix} Error constructing video download URL:`,
+        `${this.logPrefix} Error constructing video download URLs:`,
         error,
       );
-      return null;
+      return [];
     }
   }
 
   /**
-   * Update progress via callback
+   * Emit a progress event, at most once per progressUpdateInterval per video
+   * (100% always goes through)
    * @private
    */
   _updateProgress(videoId, progress) {
-    try {
-      if (
-        this.progressCallback &&
-        typeof this.progressCallback === 'function'
-      ) {
-        this.progressCallback(videoId, progress);
-      }
-    } catch (error) {
-      console.error(`${this.logPrefix} Error in progress callback:`, error);
+    const now = Date.now();
+    const lastEmittedAt = this.progressEmittedAt.get(videoId) || 0;
+    if (
+      progress < 100 &&
+      now - lastEmittedAt < this.config.progressUpdateInterval
+    ) {
+      return;
+    }
+
+    this.progressEmittedAt.set(videoId, now);
+    this._emit('progress', {
+      videoId,
+      progress,
+      stats: this.getTransferStats(videoId),
+      queue: this.getQueueTransferStats(),
+    });
+  }
+
+  /**
+   * Speed, bytes and ETA of one download
+   * @param {number} videoId - Video ID
+   * @returns {Object|null} TransferStats, or null if the video is not downloading
+   */
+  getTransferStats(videoId) {
+    const stats = this.transferStats.get(videoId);
+    if (!stats) {
+      return null;
+    }
+
+    const { bytesWritten, totalBytes, bytesPerSecond } = stats;
+    const remainingBytes = totalBytes
+      ? Math.max(0, totalBytes - bytesWritten)
+      : 0;
+
+    return {
+      bytesWritten,
+      totalBytes,
+      bytesPerSecond,
+      etaSeconds:
+        totalBytes && bytesPerSecond > 0
+          ? Math.round(remainingBytes / bytesPerSecond)
+          : null,
+    };
+  }
+
+  /**
+   * Speed and ETA of everything still to download - active downloads plus
+   * queued videos (by their API filesize; unknown sizes are not counted)
+   * @returns {Object} QueueTransferStats
+   */
+  getQueueTransferStats() {
+    let remainingBytes = 0;
+    let bytesPerSecond = 0;
+
+    this.activeDownloads.forEach(({ video }) => {
+      const stats = this.transferStats.get(video.id);
+      const totalBytes =
+        (stats && stats.totalBytes) ||
+        VerificationService.getExpectedSize(video);
+      remainingBytes += Math.max(
+        0,
+        (totalBytes || 0) - ((stats && stats.bytesWritten) || 0),
+      );
+      bytesPerSecond += (stats && stats.bytesPerSecond) || 0;
+    });
+
+    this.downloadQueue.forEach(video => {
+      remainingBytes += VerificationService.getExpectedSize(video) || 0;
+    });
+
+    return {
+      remainingBytes,
+      bytesPerSecond,
+      etaSeconds:
+        bytesPerSecond > 0 ? Math.round(remainingBytes / bytesPerSecond) : null,
+    };
+  }
+
+  /**
+   * Record bytes received and update the smoothed throughput
+   * @private
+   */
+  _updateTransferStats(videoId, bytesWritten, totalBytes) {
+    const now = Date.now();
+    const stats = this.transferStats.get(videoId);
+
+    if (!stats || bytesWritten < stats.sampledBytes) {
+      // First sample, or the download restarted from byte zero
+      this.transferStats.set(videoId, {
+        bytesWritten,
+        totalBytes: totalBytes || null,
+        bytesPerSecond: stats ? stats.bytesPerSecond : 0,
+        sampledAt: now,
+        sampledBytes: bytesWritten,
+      });
+      return;
     }
+
+    stats.bytesWritten = bytesWritten;
+    stats.totalBytes = totalBytes || stats.totalBytes;
+
+    const elapsed = now - stats.sampledAt;
+    if (elapsed < SPEED_SETTINGS.SAMPLE_INTERVAL_MS) {
+      return;
+    }
+
+    const sample = ((bytesWritten - stats.sampledBytes) / elapsed) * 1000;
+    stats.bytesPerSecond = stats.bytesPerSecond
+      ? stats.bytesPerSecond * (1 - SPEED_SETTINGS.SMOOTHING) +
+        sample * SPEED_SETTINGS.SMOOTHING
+      : sample;
+    stats.sampledAt = now;
+    stats.sampledBytes = bytesWritten;
   }
 
   /**
-   * Update status via callback (enhanced to include localFilePath for DOWNLOADED status)
+   * Emit a status event (with localFilePath for DOWNLOADED status, read from
+   * the metadata saved by _attemptDownload)
    * @private
    */
   async _updateStatus(videoId, status) {
     try {
-      if (this.statusCallback && typeof this.statusCallback === 'function') {
-        // For DOWNLOADED status, also pass the localFilePath
-        if (status === 'DOWNLOADED') {
-          const filePath = await FileSystemService.getVideoFilePath(
-            videoId,
-            'mp4',
-          );
-          console.log(
-            `${this.logPrefix} Download completed for video ${videoId}, file path: ${filePath}`,
-          );
-          this.statusCallback(videoId, status, filePath);
-        } else {
-          this.statusCallback(videoId, status);
-        }
+      if (status !== 'DOWNLOADING') {
+        this.progressEmittedAt.delete(videoId);
+        this.transferStats.delete(videoId);
+      }
+
+      let localFilePath = null;
+      if (status === 'DOWNLOADED') {
+        const metadata = await LocalStorageService.getVideoMetadata(videoId);
+        localFilePath = (metadata && metadata.localFilePath) || null;
+        console.log(
+          `${this.logPrefix} Download completed for video ${videoId}, file path: ${localFilePath}`,
+        );
       }
+
+      this._emit('status', { videoId, status, localFilePath });
     } catch (error) {
-      console.error(`${this.logPrefix} Error in status callback:`, error);
+      console.error(`${this.logPrefix} Error emitting status:`, error);
     }
   }
 
+  /**
+   * Check whether a video still has a downloaded file - true while a quality
+   * change downloads the new rendition next to it
+   * @private
+   */
+  async _hasKeptFile(videoId) {
+    const metadata = await LocalStorageService.getVideoMetadata(videoId);
+    return (
+      !!metadata &&
+      metadata.status === 'DOWNLOADED' &&
+      !!metadata.localFilePath &&
+      (await FileSystemService.checkFileExists(metadata.localFilePath))
+    );
+  }
+
   /**
    * Clean up failed download
    * @private
    */
-  async _cleanupFailedDownload(videoId, filePath) {
+  async _cleanupFailedDownload(videoId, partPath, options = {}) {
+    const { keepPartial = false } = options;
+
     try {
-      // Delete partial file if it exists
-      if (filePath) {
-        const fileExists = await FileSystemService.checkFileExists(filePath);
-        if (fileExists) {
-          await FileSystemService.deleteVideoFile(filePath);
-          console.log(
-            `${this.logPrefix} Cleaned up partial file for video ${videoId}`,
-          );
-        }
+      // Delete partial file if it exists, unless it can be resumed later
+      if (partPath && !keepPartial) {
+        await FileSystemService.deletePartFile(partPath);
+        console.log(
+          `${this.logPrefix} Cleaned up partial file for video ${videoId}`,
+        );
+      } else if (partPath) {
+        console.log(
+          `${this.logPrefix} Keeping partial file for video ${videoId} to resume later`,
+        );
       }
 
-      // Update metadata to failed status
+      // Update metadata to failed status, unless a failed quality change
+      // left the previous file in place
+      if (await this._hasKeptFile(videoId)) {
+        console.log(
+          `${this.logPrefix} Video ${videoId} keeps its current file`,
+        );
+        return;
+      }
       await LocalStorageService.updateVideoStatus(videoId, 'FAILED');
       console.log(`${this.logPrefix} Marked video ${videoId} as FAILED`);
     } catch (error) {
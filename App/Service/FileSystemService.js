@@ -1,5 +1,6 @@
 import { Platform } from 'react-native';
 import RNFS from 'react-native-fs';
+import { isMediaFileName } from '../Utils/MediaTypes';
 
 /**
  * FileSystemService - Manages file system operations for video storage
@@ -7,20 +8,30 @@ import RNFS from 'react-native-fs';
  * Handles:
  * - Video directory creation and management
  * - File existence verification
- * - Storage space validation (minimum 1GB requirement)
+ * - Storage space validation (a video's size plus a safety margin)
  * - File deletion and cleanup
  * - Cross-platform file path handling
+ * - Staging folder for in-progress `.part` files (renamed into the video
+ *   folder only once complete and verified)
+ * - Resume sidecar records for partially downloaded files
+ * - Quarantine folder for files that failed integrity verification
  */
 
 const STORAGE_REQUIREMENTS = {
-  MIN_STORAGE_KB: 1000000, // 1GB = 1,000,000 KB
+  SAFETY_MARGIN_KB: 200 * 1024, // Kept free on top of what downloads need (200 MB)
   VIDEO_FOLDER_NAME: 'DeshoaliVideos',
+  QUARANTINE_FOLDER_NAME: 'DeshoaliQuarantine', // Outside the video folder
+  STAGING_FOLDER_NAME: 'DeshoaliStaging', // In-progress downloads
+  PART_FILE_SUFFIX: '.part',
+  RESUME_INFO_SUFFIX: '.resume.json', // Sidecar stored next to a partial file
+  APPEND_CHUNK_SIZE_BYTES: 4 * 1024 * 1024, // 4MB slices when joining files
 };
 
 class FileSystemService {
   constructor() {
     this.logPrefix = '[FileSystemService]';
     this.videoDirectoryPath = null;
+    this.stagingDirectoryPath = null;
   }
 
   /**
@@ -80,6 +91,13 @@ class FileSystemService {
         throw new Error('Video path exists but is not a directory');
       }
 
+      // Staging folder for downloads that are not finished yet
+      const stagingPath = await this.getStagingPath();
+      if (!(await RNFS.exists(stagingPath))) {
+        await RNFS.mkdir(stagingPath);
+        console.log(`${this.logPrefix} Staging directory created`);
+      }
+
       console.log(`${this.logPrefix} Video directory initialized successfully`);
       return true;
     } catch (error) {
@@ -224,39 +242,52 @@ class FileSystemService {
   }
 
   /**
-   * Check if storage is sufficient (≥1GB free)
-   * @returns {Promise<boolean>} True if sufficient storage available
+   * Check whether downloads of a given size fit, keeping SAFETY_MARGIN_KB free
+   * @param {number} requiredBytes - Bytes the downloads will write
+   * @returns {Promise<Object>} {sufficient, requiredKB, availableKB}
    */
-  async isStorageSufficient() {
+  async checkStorageFor(requiredBytes = 0) {
     try {
-      console.log(
-        `${this.logPrefix} Checking if storage is sufficient (≥${STORAGE_REQUIREMENTS.MIN_STORAGE_KB} KB)`,
-      );
+      const requiredKB =
+        Math.ceil(Math.max(0, requiredBytes || 0) / 1024) +
+        STORAGE_REQUIREMENTS.SAFETY_MARGIN_KB;
 
       const storageInfo = await this.checkAvailableSpace();
-      const isSufficient =
-        storageInfo.freeSpaceKB >= STORAGE_REQUIREMENTS.MIN_STORAGE_KB;
+      const sufficient = storageInfo.freeSpaceKB >= requiredKB;
 
-      console.log(`${this.logPrefix} Storage sufficient: ${isSufficient}`, {
+      console.log(`${this.logPrefix} Storage sufficient: ${sufficient}`, {
         available: storageInfo.freeSpaceKB,
-        required: STORAGE_REQUIREMENTS.MIN_STORAGE_KB,
-        deficit: isSufficient
-          ? 0
-          : STORAGE_REQUIREMENTS.MIN_STORAGE_KB - storageInfo.freeSpaceKB,
+        required: requiredKB,
+        deficit: sufficient ? 0 : requiredKB - storageInfo.freeSpaceKB,
       });
 
-      return isSufficient;
+      return {
+        sufficient,
+        requiredKB,
+        availableKB: storageInfo.freeSpaceKB,
+      };
     } catch (error) {
       console.error(
         `${this.logPrefix} Error checking storage sufficiency:`,
         error,
       );
-      return false;
+      return { sufficient: false, requiredKB: 0, availableKB: 0 };
     }
   }
 
   /**
-   * Generate video file path by video ID
+   * Check if storage is sufficient for downloads of a given size
+   * @param {number} requiredBytes - Bytes the downloads will write
+   * @returns {Promise<boolean>} True if sufficient storage available
+   */
+  async isStorageSufficient(requiredBytes = 0) {
+    const { sufficient } = await this.checkStorageFor(requiredBytes);
+    return sufficient;
+  }
+
+  /**
+   * Generate video file path by video ID. Use the localFilePath in metadata to
+   * find a downloaded file - its extension depends on the served type.
    * @param {number} videoId - Video identifier
    * @param {string} fileExtension - File extension (default: mp4)
    * @returns {Promise<string>} Full path to video file
@@ -282,6 +313,269 @@ class FileSystemService {
     }
   }
 
+  /**
+   * Get the staging directory that holds in-progress downloads
+   * @returns {Promise<string>} Path to the staging directory
+   */
+  async getStagingPath() {
+    if (!this.stagingDirectoryPath) {
+      this.stagingDirectoryPath = `${RNFS.DocumentDirectoryPath}/${STORAGE_REQUIREMENTS.STAGING_FOLDER_NAME}`;
+    }
+    return this.stagingDirectoryPath;
+  }
+
+  /**
+   * Generate the staging `.part` path a video is downloaded into
+   * @param {number} videoId - Video identifier
+   * @param {string} fileExtension - File extension (default: mp4)
+   * @returns {Promise<string>} Full path to the part file
+   */
+  async getPartFilePath(videoId, fileExtension = 'mp4') {
+    if (!videoId || typeof videoId !== 'number') {
+      throw new Error('Invalid video ID provided');
+    }
+
+    const stagingPath = await this.getStagingPath();
+    if (!(await RNFS.exists(stagingPath))) {
+      await RNFS.mkdir(stagingPath);
+    }
+
+    return `${stagingPath}/video_${videoId}.${fileExtension}${STORAGE_REQUIREMENTS.PART_FILE_SUFFIX}`;
+  }
+
+  /**
+   * Move a finished part file to its final path, replacing any old file
+   * @param {string} partPath - Full path to the verified part file
+   * @param {string} finalPath - Full path in the video folder
+   * @returns {Promise<boolean>} Success status
+   */
+  async commitPartFile(partPath, finalPath) {
+    try {
+      await this.deleteVideoFile(finalPath);
+      await RNFS.moveFile(partPath, finalPath);
+      await this.deleteResumeInfo(partPath);
+
+      console.log(`${this.logPrefix} Committed ${partPath} to ${finalPath}`);
+      return true;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error committing part file:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * List the `.part` files left in the staging folder
+   * @returns {Promise<Array>} Part file info {videoId, path, size}
+   */
+  async getPartFiles() {
+    try {
+      const stagingPath = await this.getStagingPath();
+      if (!(await RNFS.exists(stagingPath))) {
+        return [];
+      }
+
+      const files = await RNFS.readDir(stagingPath);
+      return files
+        .filter(
+          file =>
+            file.isFile() &&
+            file.name.endsWith(STORAGE_REQUIREMENTS.PART_FILE_SUFFIX),
+        )
+        .map(file => {
+          const match = file.name.match(/^video_(\d+)\./);
+          return {
+            videoId: match ? parseInt(match[1], 10) : null,
+            path: file.path,
+            size: parseInt(file.size, 10) || 0,
+          };
+        });
+    } catch (error) {
+      console.error(`${this.logPrefix} Error listing part files:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a part file with its resume info and any leftover range file
+   * @param {string} partPath - Full path to the part file
+   * @returns {Promise<boolean>} Success status
+   */
+  async deletePartFile(partPath) {
+    const deleted = await this.deleteVideoFile(partPath);
+    await this.deleteVideoFile(`${partPath}.range`);
+    await this.deleteResumeInfo(partPath);
+    return deleted;
+  }
+
+  /**
+   * Get the sidecar path that stores resume info for a partial file
+   * @param {string} filePath - Full path to the partial file
+   * @returns {string} Full path to the sidecar file
+   */
+  getResumeInfoPath(filePath) {
+    return `${filePath}${STORAGE_REQUIREMENTS.RESUME_INFO_SUFFIX}`;
+  }
+
+  /**
+   * Read resume info saved for a partial download
+   * @param {string} filePath - Full path to the partial file
+   * @returns {Promise<Object|null>} Resume info {url, bytesWritten, totalBytes, etag, lastModified} or null
+   */
+  async readResumeInfo(filePath) {
+    try {
+      if (!filePath || typeof filePath !== 'string') {
+        return null;
+      }
+
+      const resumeInfoPath = this.getResumeInfoPath(filePath);
+      const exists = await RNFS.exists(resumeInfoPath);
+      if (!exists) {
+        return null;
+      }
+
+      const resumeInfoString = await RNFS.readFile(resumeInfoPath, 'utf8');
+      const resumeInfo = JSON.parse(resumeInfoString);
+
+      console.log(`${this.logPrefix} Read resume info for: ${filePath}`, {
+        bytesWritten: resumeInfo.bytesWritten,
+        totalBytes: resumeInfo.totalBytes,
+      });
+      return resumeInfo && typeof resumeInfo === 'object' ? resumeInfo : null;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error reading resume info:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Save resume info for a partial download
+   * @param {string} filePath - Full path to the partial file
+   * @param {Object} resumeInfo - Resume info {url, bytesWritten, totalBytes, etag, lastModified}
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveResumeInfo(filePath, resumeInfo) {
+    try {
+      if (!filePath || typeof filePath !== 'string') {
+        throw new Error('Invalid file path provided');
+      }
+
+      if (!resumeInfo || typeof resumeInfo !== 'object') {
+        throw new Error('Invalid resume info provided');
+      }
+
+      const resumeInfoPath = this.getResumeInfoPath(filePath);
+      await RNFS.writeFile(
+        resumeInfoPath,
+        JSON.stringify({ ...resumeInfo, updatedAt: Date.now() }),
+        'utf8',
+      );
+
+      console.log(`${this.logPrefix} Saved resume info for: ${filePath}`);
+      return true;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error saving resume info:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete resume info for a partial download
+   * @param {string} filePath - Full path to the partial file
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteResumeInfo(filePath) {
+    try {
+      if (!filePath || typeof filePath !== 'string') {
+        return true;
+      }
+
+      const resumeInfoPath = this.getResumeInfoPath(filePath);
+      const exists = await RNFS.exists(resumeInfoPath);
+      if (exists) {
+        await RNFS.unlink(resumeInfoPath);
+        console.log(`${this.logPrefix} Deleted resume info for: ${filePath}`);
+      }
+      return true;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error deleting resume info:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Append the contents of one file to the end of another, in fixed-size slices
+   * read at an offset so large files never have to be held in memory at once
+   * @param {string} sourcePath - File whose contents are appended
+   * @param {string} targetPath - File that receives the contents
+   * @returns {Promise<number>} Number of bytes appended
+   */
+  async appendFileContents(sourcePath, targetPath) {
+    try {
+      if (!sourcePath || !targetPath) {
+        throw new Error('Invalid file paths provided');
+      }
+
+      const sourceSize = await this.getFileSize(sourcePath);
+      if (!sourceSize) {
+        return 0;
+      }
+
+      let position = 0;
+      while (position < sourceSize) {
+        const length = Math.min(
+          STORAGE_REQUIREMENTS.APPEND_CHUNK_SIZE_BYTES,
+          sourceSize - position,
+        );
+        const chunk = await RNFS.read(sourcePath, length, position, 'base64');
+        await RNFS.appendFile(targetPath, chunk, 'base64');
+        position += length;
+      }
+
+      console.log(
+        `${this.logPrefix} Appended ${position} bytes from ${sourcePath} to ${targetPath}`,
+      );
+      return position;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error appending file contents:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a file that failed verification out of the video folder. Only the
+   * latest copy per file name is kept.
+   * @param {string} filePath - Full path to the file
+   * @returns {Promise<string|null>} Quarantined path or null on error
+   */
+  async quarantineFile(filePath) {
+    try {
+      if (!filePath || typeof filePath !== 'string') {
+        throw new Error('Invalid file path provided');
+      }
+
+      const exists = await this.checkFileExists(filePath);
+      if (!exists) {
+        return null;
+      }
+
+      const quarantinePath = `${RNFS.DocumentDirectoryPath}/${STORAGE_REQUIREMENTS.QUARANTINE_FOLDER_NAME}`;
+      if (!(await RNFS.exists(quarantinePath))) {
+        await RNFS.mkdir(quarantinePath);
+      }
+
+      const fileName = filePath.split('/').pop();
+      const targetPath = `${quarantinePath}/${fileName}`;
+      await this.deleteVideoFile(targetPath);
+      await RNFS.moveFile(filePath, targetPath);
+
+      console.log(`${this.logPrefix} Quarantined ${filePath} to ${targetPath}`);
+      return targetPath;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error quarantining file:`, error);
+      return null;
+    }
+  }
+
   /**
    * Get all video files in the directory
    * @returns {Promise<Array>} List of video file info {name, path, size}
@@ -306,12 +600,7 @@ class FileSystemService {
       const videoFiles = [];
 
       for (const file of files) {
-        if (
-          file.isFile() &&
-          (file.name.endsWith('.mp4') ||
-            file.name.endsWith('.mov') ||
-            file.name.endsWith('.avi'))
-        ) {
+        if (file.isFile() && isMediaFileName(file.name)) {
           videoFiles.push({
             name: file.name,
             path: file.path,
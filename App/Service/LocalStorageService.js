@@ -11,12 +11,39 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
  *   filesize: string,
  *   file_duration: string,
  *   description: string,
- *   status: 'NEW' | 'DOWNLOADING' | 'DOWNLOADED' | 'FAILED',
- *   localFilePath: string,
+ *   status: 'NEW' | 'DOWNLOADING' | 'PAUSED' | 'DOWNLOADED' | 'FAILED',
+ *   localFilePath: string (real path of the downloaded file),
+ *   fileExtension: string | null (e.g. 'mp4', 'webm', 'm4a'),
+ *   mimeType: string | null (type of the downloaded file),
+ *   rendition: 'audio' | 'low' | 'medium' | 'high' | null (downloaded quality),
  *   downloadProgress: number (0-100),
  *   downloadedAt: timestamp,
  *   failedAt: timestamp,
- *   errorMessage: string
+ *   errorMessage: string,
+ *   retryCount: number (automatic retries used so far),
+ *   maxRetries: number,
+ *   lastError: string,
+ *   sha256: string | null (checksum from the API, if provided),
+ *   verifiedAt: timestamp (last successful integrity check),
+ *   evictedAt: timestamp | null (file removed to stay within the storage quota)
+ * }
+ *
+ * Download Queue Structure:
+ * {
+ *   queue: Array<Object> (video objects waiting, in download order),
+ *   activeVideos: Array<Object> (videos being downloaded when saved),
+ *   isPaused: boolean,
+ *   pauseReason: string | null
+ * }
+ *
+ * Catalog Structure (last server video list, for incremental sync and offline browsing):
+ * {
+ *   videos: Array<Object> (API video objects),
+ *   etag: string | null (ETag of the last full or delta response),
+ *   lastModified: string | null (Last-Modified of that response),
+ *   cursor: string | null (`since` cursor for the next delta request),
+ *   nextPage: {page} | {cursor} | null (next page to load, null = complete),
+ *   syncedAt: timestamp
  * }
  */
 
@@ -24,11 +51,16 @@ const STORAGE_KEYS = {
   VIDEO_METADATA: 'video_metadata_',
   ALL_VIDEOS: 'all_local_videos',
   APP_CONFIG: 'app_config',
+  DOWNLOAD_QUEUE: 'download_queue',
+  DOWNLOAD_HOST_HEALTH: 'download_host_health',
+  DATA_USAGE: 'data_usage',
+  CATALOG: 'video_catalog',
 };
 
 class LocalStorageService {
   constructor() {
     this.logPrefix = '[LocalStorageService]';
+    this.indexWriteChain = Promise.resolve(); // Serializes all_local_videos writes
   }
 
   /**
@@ -59,10 +91,19 @@ class LocalStorageService {
         description: videoData.description || '',
         status: videoData.status || 'NEW',
         localFilePath: videoData.localFilePath || null,
+        fileExtension: videoData.fileExtension || null,
+        mimeType: videoData.mimeType || null,
+        rendition: videoData.rendition || null,
         downloadProgress: videoData.downloadProgress || 0,
         downloadedAt: videoData.downloadedAt || null,
         failedAt: videoData.failedAt || null,
         errorMessage: videoData.errorMessage || null,
+        retryCount: videoData.retryCount || 0,
+        maxRetries: videoData.maxRetries || null,
+        lastError: videoData.lastError || null,
+        sha256: videoData.sha256 || null,
+        verifiedAt: videoData.verifiedAt || null,
+        evictedAt: videoData.evictedAt || null,
         updatedAt: Date.now(),
       };
 
@@ -156,7 +197,7 @@ class LocalStorageService {
   /**
    * Update video status
    * @param {number} videoId - Video identifier
-   * @param {string} status - New status (NEW/DOWNLOADING/DOWNLOADED/FAILED)
+   * @param {string} status - New status (NEW/DOWNLOADING/PAUSED/DOWNLOADED/FAILED)
    * @returns {Promise<boolean>} Success status
    */
   async updateVideoStatus(videoId, status) {
@@ -165,7 +206,13 @@ class LocalStorageService {
         throw new Error('Invalid videoId provided');
       }
 
-      const validStatuses = ['NEW', 'DOWNLOADING', 'DOWNLOADED', 'FAILED'];
+      const validStatuses = [
+        'NEW',
+        'DOWNLOADING',
+        'PAUSED',
+        'DOWNLOADED',
+        'FAILED',
+      ];
       if (!validStatuses.includes(status)) {
         throw new Error(
           `Invalid status: ${status}. Must be one of: ${validStatuses.join(
@@ -201,7 +248,7 @@ class LocalStorageService {
       } else if (status === 'FAILED') {
         updatedMetadata.failedAt = Date.now();
         updatedMetadata.downloadedAt = null;
-      } else if (status === 'DOWNLOADING') {
+      } else if (status === 'DOWNLOADING' || status === 'PAUSED') {
         updatedMetadata.failedAt = null;
         updatedMetadata.errorMessage = null;
       }
@@ -250,6 +297,52 @@ class LocalStorageService {
     }
   }
 
+  /**
+   * Update automatic retry state for a video
+   * @param {number} videoId - Video identifier
+   * @param {Object} retryState - {retryCount, maxRetries, lastError}
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateVideoRetryState(videoId, retryState) {
+    try {
+      if (!videoId || typeof videoId !== 'number') {
+        throw new Error('Invalid videoId provided');
+      }
+
+      if (!retryState || typeof retryState.retryCount !== 'number') {
+        throw new Error('Invalid retry state provided');
+      }
+
+      const existingMetadata = await this.getVideoMetadata(videoId);
+      if (!existingMetadata) {
+        console.warn(
+          `${this.logPrefix} Cannot update retry state - video ${videoId} not found`,
+        );
+        return false;
+      }
+
+      const updatedMetadata = {
+        ...existingMetadata,
+        retryCount: retryState.retryCount,
+        maxRetries: retryState.maxRetries,
+        lastError: retryState.lastError || null,
+        errorMessage:
+          existingMetadata.status === 'FAILED'
+            ? retryState.lastError || existingMetadata.errorMessage
+            : existingMetadata.errorMessage,
+        updatedAt: Date.now(),
+      };
+
+      return await this.saveVideoMetadata(videoId, updatedMetadata);
+    } catch (error) {
+      console.error(
+        `${this.logPrefix} Error updating video retry state:`,
+        error,
+      );
+      return false;
+    }
+  }
+
   /**
    * Remove local video metadata (alias for removeVideoMetadata for consistency)
    * @param {number} videoId - Video identifier
@@ -308,8 +401,10 @@ class LocalStorageService {
         await AsyncStorage.multiRemove(videoKeys);
       }
 
-      // Clear the index
-      await AsyncStorage.removeItem(STORAGE_KEYS.ALL_VIDEOS);
+      // Clear the index (after any pending index writes)
+      await this._queueIndexWrite(() =>
+        AsyncStorage.removeItem(STORAGE_KEYS.ALL_VIDEOS),
+      );
 
       console.log(
         `${this.logPrefix} Successfully cleared ${videoKeys.length} video metadata entries`,
@@ -377,6 +472,218 @@ class LocalStorageService {
     }
   }
 
+  /**
+   * Save download queue state so it survives app restarts
+   * @param {Object} queueState - {queue (videos with queuePriority), activeVideos, isPaused, pauseReason}
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveDownloadQueue(queueState) {
+    try {
+      if (!queueState || !Array.isArray(queueState.queue)) {
+        throw new Error('Invalid queue state provided');
+      }
+
+      const queueToSave = {
+        queue: queueState.queue,
+        activeVideos: Array.isArray(queueState.activeVideos)
+          ? queueState.activeVideos
+          : [],
+        isPaused: queueState.isPaused === true,
+        pauseReason: queueState.pauseReason || null,
+        updatedAt: Date.now(),
+      };
+
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.DOWNLOAD_QUEUE,
+        JSON.stringify(queueToSave),
+      );
+
+      console.log(
+        `${this.logPrefix} Saved download queue (${
+          queueToSave.queue.length
+        } waiting, active: ${
+          queueToSave.activeVideos.map(video => video.id).join(', ') || 'none'
+        })`,
+      );
+      return true;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error saving download queue:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get saved download queue state
+   * @returns {Promise<Object|null>} Queue state or null if none saved
+   */
+  async getDownloadQueue() {
+    try {
+      console.log(`${this.logPrefix} Getting download queue`);
+
+      const queueString = await AsyncStorage.getItem(
+        STORAGE_KEYS.DOWNLOAD_QUEUE,
+      );
+
+      if (!queueString) {
+        console.log(`${this.logPrefix} No saved download queue found`);
+        return null;
+      }
+
+      const queueState = JSON.parse(queueString);
+      if (!queueState || !Array.isArray(queueState.queue)) {
+        console.warn(`${this.logPrefix} Ignoring invalid saved download queue`);
+        return null;
+      }
+
+      // Queues saved before parallel downloads had a single activeVideo
+      if (!Array.isArray(queueState.activeVideos)) {
+        queueState.activeVideos = queueState.activeVideo
+          ? [queueState.activeVideo]
+          : [];
+        delete queueState.activeVideo;
+      }
+
+      return queueState;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error getting download queue:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove saved download queue state
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearDownloadQueue() {
+    try {
+      await AsyncStorage.removeItem(STORAGE_KEYS.DOWNLOAD_QUEUE);
+      console.log(`${this.logPrefix} Cleared saved download queue`);
+      return true;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error clearing download queue:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Save which download hosts worked or failed recently
+   * @param {Object} health - {preferredHost, failedHosts: {origin: failedAt}}
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveDownloadHostHealth(health) {
+    try {
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.DOWNLOAD_HOST_HEALTH,
+        JSON.stringify({ ...health, updatedAt: Date.now() }),
+      );
+      return true;
+    } catch (error) {
+      console.error(
+        `${this.logPrefix} Error saving download host health:`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Get saved download host health
+   * @returns {Promise<Object|null>} {preferredHost, failedHosts} or null
+   */
+  async getDownloadHostHealth() {
+    try {
+      const healthString = await AsyncStorage.getItem(
+        STORAGE_KEYS.DOWNLOAD_HOST_HEALTH,
+      );
+      return healthString ? JSON.parse(healthString) : null;
+    } catch (error) {
+      console.error(
+        `${this.logPrefix} Error getting download host health:`,
+        error,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Save the monthly data usage ledger
+   * @param {Object} ledger - {months: {'YYYY-MM': {wifi, cellular, other, videos}}}
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveDataUsage(ledger) {
+    try {
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.DATA_USAGE,
+        JSON.stringify({ ...ledger, updatedAt: Date.now() }),
+      );
+      return true;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error saving data usage:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the saved data usage ledger
+   * @returns {Promise<Object|null>} Ledger or null if none saved
+   */
+  async getDataUsage() {
+    try {
+      const ledgerString = await AsyncStorage.getItem(STORAGE_KEYS.DATA_USAGE);
+      return ledgerString ? JSON.parse(ledgerString) : null;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error getting data usage:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the server catalog together with its validators and cursors
+   * @param {Object} catalog - {videos, etag, lastModified, cursor, nextPage}
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveCatalog(catalog) {
+    try {
+      if (!catalog || !Array.isArray(catalog.videos)) {
+        throw new Error('Invalid catalog provided');
+      }
+
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.CATALOG,
+        JSON.stringify({
+          videos: catalog.videos,
+          etag: catalog.etag || null,
+          lastModified: catalog.lastModified || null,
+          cursor: catalog.cursor || null,
+          nextPage: catalog.nextPage || null,
+          syncedAt: Date.now(),
+        }),
+      );
+      console.log(
+        `${this.logPrefix} Saved catalog with ${catalog.videos.length} videos`,
+      );
+      return true;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error saving catalog:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the saved server catalog
+   * @returns {Promise<Object|null>} Catalog or null if none saved
+   */
+  async getCatalog() {
+    try {
+      const catalogString = await AsyncStorage.getItem(STORAGE_KEYS.CATALOG);
+      const catalog = catalogString ? JSON.parse(catalogString) : null;
+      return catalog && Array.isArray(catalog.videos) ? catalog : null;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error getting catalog:`, error);
+      return null;
+    }
+  }
+
   /**
    * Private method to update the all videos index
    * @param {number} videoId - Video identifier
@@ -384,13 +691,15 @@ class LocalStorageService {
    */
   async _updateAllVideosIndex(videoId, metadata) {
     try {
-      const allVideos = await this.getAllLocalVideos();
-      allVideos[videoId] = metadata;
+      await this._queueIndexWrite(async () => {
+        const allVideos = await this.getAllLocalVideos();
+        allVideos[videoId] = metadata;
 
-      await AsyncStorage.setItem(
-        STORAGE_KEYS.ALL_VIDEOS,
-        JSON.stringify(allVideos),
-      );
+        await AsyncStorage.setItem(
+          STORAGE_KEYS.ALL_VIDEOS,
+          JSON.stringify(allVideos),
+        );
+      });
     } catch (error) {
       console.error(
         `${this.logPrefix} Error updating all videos index:`,
@@ -406,13 +715,15 @@ class LocalStorageService {
    */
   async _removeFromAllVideosIndex(videoId) {
     try {
-      const allVideos = await this.getAllLocalVideos();
-      delete allVideos[videoId];
+      await this._queueIndexWrite(async () => {
+        const allVideos = await this.getAllLocalVideos();
+        delete allVideos[videoId];
 
-      await AsyncStorage.setItem(
-        STORAGE_KEYS.ALL_VIDEOS,
-        JSON.stringify(allVideos),
-      );
+        await AsyncStorage.setItem(
+          STORAGE_KEYS.ALL_VIDEOS,
+          JSON.stringify(allVideos),
+        );
+      });
     } catch (error) {
       console.error(
         `${this.logPrefix} Error removing from all videos index:`,
@@ -421,6 +732,21 @@ class LocalStorageService {
       throw error;
     }
   }
+
+  /**
+   * Run all videos index read-modify-writes one at a time. Parallel
+   * downloads finish together; without this each would read the index before
+   * the others wrote it, and the last write would drop their entries.
+   * @private
+   * @param {Function} task - Async function doing one read-modify-write
+   * @returns {Promise<*>} Result of the task
+   */
+  _queueIndexWrite(task) {
+    const run = this.indexWriteChain.then(task);
+    // A failed write must not block the ones queued after it
+    this.indexWriteChain = run.catch(() => {});
+    return run;
+  }
 }
 
 // Export singleton instance
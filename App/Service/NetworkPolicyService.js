@@ -0,0 +1,168 @@
+import NetInfo from '@react-native-community/netinfo';
+
+// Connection types that count as Wi-Fi for the "download on Wi-Fi only" setting
+const UNMETERED_CONNECTION_TYPES = ['wifi', 'ethernet'];
+
+/**
+ * NetworkPolicyService - Decides whether downloads may run on the current
+ * connection
+ *
+ * RESPONSIBILITIES:
+ * - Wraps NetInfo so DownloadManager does not talk to it directly
+ * - Evaluates the download policy (connected, downloadOnWifiOnly) for the
+ *   live connection
+ * - Notifies listeners when the connection type changes, so active transfers
+ *   can be paused on cellular and resumed once Wi-Fi is back
+ *
+ * POLICY RESULT:
+ * {
+ *   allowed: boolean,
+ *   reason: null | 'OFFLINE' | 'WIFI_REQUIRED',
+ *   connectionType: 'wifi' | 'cellular' | 'none' | ...
+ * }
+ */
+class NetworkPolicyService {
+  constructor() {
+    this.logPrefix = '[NetworkPolicyService]';
+    this.listeners = new Set(); // Connection change listeners
+    this.netInfoUnsubscribe = null; // NetInfo subscription (while listened to)
+    this.lastState = null; // Last {connectionType, isConnected} seen
+  }
+
+  /**
+   * Read the current connection from NetInfo
+   * @returns {Promise<Object>} {connectionType, isConnected, isWifi}
+   */
+  async getNetworkState() {
+    try {
+      const state = await NetInfo.fetch();
+      return this._toNetworkState(state);
+    } catch (error) {
+      console.error(`${this.logPrefix} Error reading network state:`, error);
+      return { connectionType: 'unknown', isConnected: false, isWifi: false };
+    }
+  }
+
+  /**
+   * Check whether downloads may run on the current connection
+   * @param {Object} config - Download settings ({downloadOnWifiOnly})
+   * @returns {Promise<Object>} {allowed, reason, connectionType}
+   */
+  async checkDownloadPolicy(config = {}) {
+    const networkState = await this.getNetworkState();
+    return this.evaluatePolicy(networkState, config);
+  }
+
+  /**
+   * Evaluate the download policy for a known network state
+   * @param {Object} networkState - Result of getNetworkState
+   * @param {Object} config - Download settings ({downloadOnWifiOnly})
+   * @returns {Object} {allowed, reason, connectionType}
+   */
+  evaluatePolicy(networkState, config = {}) {
+    const {
+      connectionType = 'unknown',
+      isConnected = true,
+      isWifi = false,
+    } = networkState || {};
+
+    // Videos queued offline wait for the connection instead of failing
+    if (!isConnected) {
+      return { allowed: false, reason: 'OFFLINE', connectionType };
+    }
+
+    if (config.downloadOnWifiOnly === true && !isWifi) {
+      return { allowed: false, reason: 'WIFI_REQUIRED', connectionType };
+    }
+
+    return { allowed: true, reason: null, connectionType };
+  }
+
+  /**
+   * Listen for connection changes
+   * @param {Function} listener - Called with the new network state
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(listener) {
+    if (typeof listener !== 'function') {
+      console.warn(`${this.logPrefix} Invalid listener provided`);
+      return () => {};
+    }
+
+    this.listeners.add(listener);
+    this._subscribe();
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        this._unsubscribe();
+      }
+    };
+  }
+
+  /**
+   * Subscribe to NetInfo once for all listeners
+   * @private
+   */
+  _subscribe() {
+    if (this.netInfoUnsubscribe) {
+      return;
+    }
+
+    this.netInfoUnsubscribe = NetInfo.addEventListener(state => {
+      const networkState = this._toNetworkState(state);
+      const hasChanged =
+        !this.lastState ||
+        this.lastState.connectionType !== networkState.connectionType ||
+        this.lastState.isConnected !== networkState.isConnected;
+      this.lastState = networkState;
+
+      if (!hasChanged) {
+        return;
+      }
+
+      console.log(
+        `${this.logPrefix} Connection changed to ${networkState.connectionType}`,
+      );
+      this.listeners.forEach(listener => {
+        try {
+          listener(networkState);
+        } catch (error) {
+          console.error(`${this.logPrefix} Error in network listener:`, error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Drop the NetInfo subscription when nobody is listening
+   * @private
+   */
+  _unsubscribe() {
+    if (this.netInfoUnsubscribe) {
+      this.netInfoUnsubscribe();
+      this.netInfoUnsubscribe = null;
+      this.lastState = null;
+    }
+  }
+
+  /**
+   * Normalize a NetInfo state
+   * @private
+   */
+  _toNetworkState(state) {
+    const connectionType = state?.type || 'unknown';
+    const isConnected = state?.isConnected !== false;
+
+    return {
+      connectionType,
+      isConnected,
+      isWifi:
+        isConnected && UNMETERED_CONNECTION_TYPES.includes(connectionType),
+    };
+  }
+}
+
+// Export singleton instance
+const networkPolicyService = new NetworkPolicyService();
+export default networkPolicyService;
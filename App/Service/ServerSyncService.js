@@ -6,6 +6,8 @@
  * 2. Identifies existing videos that are still on server
  * 3. Identifies deleted videos (in local storage but not on server)
  * 4. Provides cleanup and sync operations
+ * 5. Applies catalog deltas (added/updated/removed since the last sync), so a
+ *    large catalog is not downloaded and diffed in full on every refresh
  */
 
 import FileSystemService from './FileSystemService';
@@ -16,9 +18,13 @@ class ServerSyncService {
    * Compare server videos with local videos and categorize them
    * @param {Array} serverVideos - Array of videos from API response
    * @param {Object} localVideos - Object map of local videos {videoId: videoData}
+   * @param {Object} options - {isCatalogComplete: false while catalog pages
+   *   are still unloaded - nothing is then reported as deleted}
    * @returns {Object} Categorized sync result
    */
-  static async analyzeServerSync(serverVideos, localVideos) {
+  static async analyzeServerSync(serverVideos, localVideos, options = {}) {
+    const { isCatalogComplete = true } = options;
+
     try {
       console.log('[ServerSync] Starting server synchronization analysis...');
       console.log(`[ServerSync] Server videos count: ${serverVideos.length}`);
@@ -64,10 +70,17 @@ class ServerSyncService {
         video => localVideos[video.id],
       );
 
-      // 3. DELETED VIDEOS: In local storage but not in server response
-      const deletedVideoIds = localVideoIds.filter(
-        id => !serverVideoIds.has(id),
-      );
+      // 3. DELETED VIDEOS: In local storage but not in server response.
+      // A partial catalog cannot tell deleted videos from unloaded pages -
+      // those are only found through a full snapshot or delta tombstones
+      const deletedVideoIds = isCatalogComplete
+        ? localVideoIds.filter(id => !serverVideoIds.has(id))
+        : [];
+      if (!isCatalogComplete) {
+        console.log(
+          '[ServerSync] Catalog partially loaded, skipping deletion detection',
+        );
+      }
       const deletedVideos = deletedVideoIds.map(id => ({
         id,
         localData: localVideos[id],
@@ -104,6 +117,87 @@ class ServerSyncService {
     }
   }
 
+  /**
+   * Apply a delta response to the saved catalog
+   * @param {Array} catalogVideos - Saved catalog (API video objects)
+   * @param {Object} delta - {added, updated, removed} from the server
+   * @returns {Object} {videos, removedVideoIds}
+   */
+  static applyCatalogDelta(catalogVideos, delta) {
+    const videos = Array.isArray(catalogVideos) ? catalogVideos : [];
+    if (!delta) {
+      return { videos, removedVideoIds: [] };
+    }
+
+    const removedVideoIds = (delta.removed || [])
+      .map(id => parseInt(id, 10))
+      .filter(id => !Number.isNaN(id));
+    const removedIds = new Set(removedVideoIds);
+
+    // Updated and re-added videos replace their old entry in place
+    const changedVideos = new Map();
+    [...(delta.added || []), ...(delta.updated || [])].forEach(video => {
+      if (video && video.id !== undefined && video.id !== null) {
+        changedVideos.set(video.id, video);
+      }
+    });
+
+    const mergedVideos = videos
+      .filter(video => !removedIds.has(video.id))
+      .map(video => {
+        const changedVideo = changedVideos.get(video.id);
+        if (changedVideo) {
+          changedVideos.delete(video.id);
+          return changedVideo;
+        }
+        return video;
+      });
+    changedVideos.forEach(video => {
+      if (!removedIds.has(video.id)) {
+        mergedVideos.push(video);
+      }
+    });
+
+    console.log(
+      `[ServerSync] Applied catalog delta: ${delta.added?.length || 0} added, ${
+        delta.updated?.length || 0
+      } updated, ${removedVideoIds.length} removed`,
+    );
+    return { videos: mergedVideos, removedVideoIds };
+  }
+
+  /**
+   * Categorize local videos using the removed IDs of a catalog delta instead
+   * of diffing the whole catalog
+   * @param {Array} removedVideoIds - Video IDs the server removed
+   * @param {Object} localVideos - Object map of local videos {videoId: videoData}
+   * @returns {Object} Categorized sync result (same shape as analyzeServerSync)
+   */
+  static analyzeDeltaSync(removedVideoIds, localVideos) {
+    const localVideoMap = localVideos || {};
+    const deletedVideos = (removedVideoIds || [])
+      .filter(id => localVideoMap[id])
+      .map(id => ({ id, localData: localVideoMap[id] }));
+
+    console.log(
+      `[ServerSync] Delta sync: ${deletedVideos.length} local videos removed from server`,
+    );
+
+    return {
+      newVideos: [],
+      existingVideos: [],
+      deletedVideos,
+      syncNeeded: deletedVideos.length > 0,
+      analysis: {
+        totalServerVideos: null,
+        totalLocalVideos: Object.keys(localVideoMap).length,
+        newCount: 0,
+        existingCount: null,
+        deletedCount: deletedVideos.length,
+      },
+    };
+  }
+
   /**
    * Clean up deleted videos from local storage and file system
    * @param {Array} deletedVideos - Array of deleted video objects
@@ -303,13 +397,16 @@ class ServerSyncService {
       const {
         autoCleanup = true, // Automatically cleanup deleted videos
         dryRun = false, // Just analyze, don't make changes
+        removedVideoIds = null, // From a catalog delta - skips the full diff
+        isCatalogComplete = true, // False while catalog pages are unloaded
       } = options;
 
       // Step 1: Analyze what needs to be synced
-      const syncAnalysis = await this.analyzeServerSync(
-        serverVideos,
-        localVideos,
-      );
+      const syncAnalysis = Array.isArray(removedVideoIds)
+        ? this.analyzeDeltaSync(removedVideoIds, localVideos)
+        : await this.analyzeServerSync(serverVideos, localVideos, {
+            isCatalogComplete,
+          });
 
       let cleanupResult = null;
 
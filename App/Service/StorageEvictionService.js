@@ -0,0 +1,122 @@
+import FileSystemService from './FileSystemService';
+import LocalStorageService from './LocalStorageService';
+
+/**
+ * StorageEvictionService - Makes room in the library for new downloads
+ *
+ * Used by DownloadManager when `evictOldestWhenFull` is on and the next
+ * download would take the library past `maxStorageUsageGB`.
+ *
+ * POLICY:
+ * Downloaded videos are removed oldest download first until enough bytes are
+ * freed. Videos that are downloading or queued are never removed. An evicted
+ * video goes back to NEW with `evictedAt` set, so auto-download leaves it
+ * alone - the user can still download it again by hand.
+ */
+class StorageEvictionService {
+  constructor() {
+    this.logPrefix = '[StorageEvictionService]';
+  }
+
+  /**
+   * Remove downloaded videos until at least `bytesNeeded` are freed
+   * @param {number} bytesNeeded - Bytes to free
+   * @param {Array<number>} protectedVideoIds - Videos that must be kept
+   * @returns {Promise<Object>} {freedBytes, evictedVideoIds}
+   */
+  async freeUpSpace(bytesNeeded, protectedVideoIds = []) {
+    const result = { freedBytes: 0, evictedVideoIds: [] };
+
+    try {
+      if (!(bytesNeeded > 0)) {
+        return result;
+      }
+
+      const candidates = await this.getEvictionCandidates(protectedVideoIds);
+      console.log(
+        `${this.logPrefix} Freeing ${bytesNeeded} bytes, ${candidates.length} candidates`,
+      );
+
+      for (const video of candidates) {
+        if (result.freedBytes >= bytesNeeded) {
+          break;
+        }
+
+        const size =
+          (await FileSystemService.getFileSize(video.localFilePath)) || 0;
+        const deleted = await FileSystemService.deleteVideoFile(
+          video.localFilePath,
+        );
+        if (!deleted) {
+          continue;
+        }
+
+        await LocalStorageService.saveVideoMetadata(video.id, {
+          ...video,
+          status: 'NEW',
+          localFilePath: null,
+          downloadProgress: 0,
+          downloadedAt: null,
+          verifiedAt: null,
+          evictedAt: Date.now(),
+        });
+
+        result.freedBytes += size;
+        result.evictedVideoIds.push(video.id);
+        console.log(
+          `${this.logPrefix} Evicted video ${video.id} (${size} bytes)`,
+        );
+      }
+    } catch (error) {
+      console.error(`${this.logPrefix} Error freeing up space:`, error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Bytes that freeUpSpace could free at most - reads only
+   * @param {Array<number>} protectedVideoIds - Videos that must be kept
+   * @returns {Promise<number>} Bytes
+   */
+  async getEvictableBytes(protectedVideoIds = []) {
+    try {
+      const candidates = await this.getEvictionCandidates(protectedVideoIds);
+      let evictableBytes = 0;
+      for (const video of candidates) {
+        evictableBytes +=
+          (await FileSystemService.getFileSize(video.localFilePath)) || 0;
+      }
+      return evictableBytes;
+    } catch (error) {
+      console.error(
+        `${this.logPrefix} Error measuring evictable bytes:`,
+        error,
+      );
+      return 0;
+    }
+  }
+
+  /**
+   * Downloaded videos that may be removed, oldest download first
+   * @param {Array<number>} protectedVideoIds - Videos that must be kept
+   * @returns {Promise<Array<Object>>} Video metadata
+   */
+  async getEvictionCandidates(protectedVideoIds = []) {
+    const localVideos = await LocalStorageService.getAllLocalVideos();
+
+    return Object.values(localVideos || {})
+      .filter(
+        video =>
+          video &&
+          video.status === 'DOWNLOADED' &&
+          video.localFilePath &&
+          !protectedVideoIds.includes(video.id),
+      )
+      .sort((a, b) => (a.downloadedAt || 0) - (b.downloadedAt || 0));
+  }
+}
+
+// Export singleton instance
+const storageEvictionService = new StorageEvictionService();
+export default storageEvictionService;
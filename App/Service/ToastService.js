@@ -18,6 +18,7 @@
  */
 
 import Toast from 'react-native-toast-message';
+import { UtilityFunctions } from '../UtilityFunctions/UtilityFunctions';
 
 /**
  * ToastService Class
@@ -145,10 +146,16 @@ class ToastService {
    * Show download progress toast
    * @param {string} fileName - Name of file being downloaded
    * @param {number} progress - Download progress (0-100)
-   * @param {object} options - Additional options
+   * @param {object} options - Additional options (stats: speed/ETA from DownloadManager)
    */
   static showDownloadProgress(fileName, progress = 0, options = {}) {
-    const progressText = `${Math.round(progress)}% completed`;
+    const percentText = `${UtilityFunctions.getNumbersFromString(
+      Math.round(progress),
+    )}%`;
+    const statsText = UtilityFunctions.formatTransferStats(options.stats);
+    const progressText = statsText
+      ? `${percentText} · ${statsText}`
+      : `${percentText} completed`;
 
     console.log(
       '[ToastService] Showing download progress toast:',
@@ -251,6 +258,38 @@ class ToastService {
     });
   }
 
+  /**
+   * Show cellular data budget reached toast
+   * @param {string} title - Localized title
+   * @param {string} message - Localized message with the used/budget amounts
+   * @param {object} options - Additional options
+   */
+  static showDataBudgetReached(title, message, options = {}) {
+    console.log('[ToastService] Showing data budget toast:', message);
+
+    this.showWarning(title, message, {
+      duration: 6000,
+      position: 'bottom',
+      ...options,
+    });
+  }
+
+  /**
+   * Show old downloads removed to stay within the storage quota
+   * @param {string} title - Localized title
+   * @param {string} message - Localized message with the count and size
+   * @param {object} options - Additional options
+   */
+  static showStorageEvicted(title, message, options = {}) {
+    console.log('[ToastService] Showing storage eviction toast:', message);
+
+    this.showInfo(title, message, {
+      duration: 4000,
+      position: 'bottom',
+      ...options,
+    });
+  }
+
   /**
    * Show sync completed toast
    * @param {number} syncedCount - Number of items synced
@@ -0,0 +1,186 @@
+import RNFS from 'react-native-fs';
+import FileSystemService from './FileSystemService';
+import LocalStorageService from './LocalStorageService';
+import { resolveMediaType } from '../Utils/MediaTypes';
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * VerificationService - Integrity checks for downloaded video files
+ *
+ * CHECKS (each one only when the expected value is known):
+ * - File size against the Content-Length of the download response
+ * - File size against the API `filesize`
+ * - SHA-256 against the API `sha256` (or `checksum`) - hashed natively by
+ *   RNFS, so the file is streamed and never loaded into JS memory
+ *
+ * A file that fails is moved to the quarantine folder. DownloadManager then
+ * downloads it again; verifyLibrary marks it FAILED so it can be retried.
+ *
+ * RESULT:
+ * { valid: boolean, reason: string | null, actualSize: number }
+ */
+class VerificationService {
+  constructor() {
+    this.logPrefix = '[VerificationService]';
+  }
+
+  /**
+   * Get the expected size of a video in bytes from the API `filesize`
+   * @param {Object} video - Video object
+   * @returns {number|null} Size in bytes or null if unknown
+   */
+  getExpectedSize(video) {
+    const size = parseInt(video && video.filesize, 10);
+    return size > 0 ? size : null;
+  }
+
+  /**
+   * Get the expected SHA-256 of a video, if the server provided one
+   * @param {Object} video - Video object
+   * @returns {string|null} Lowercase hex digest or null
+   */
+  getExpectedChecksum(video) {
+    const checksum = video && (video.sha256 || video.checksum);
+    if (typeof checksum !== 'string') {
+      return null;
+    }
+
+    const normalized = checksum.trim().toLowerCase();
+    return SHA256_PATTERN.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Verify a downloaded video file
+   * @param {Object} video - Video object (filesize, sha256)
+   * @param {string} filePath - Full path to the downloaded file
+   * @param {number|null} contentLength - Full size reported by the server
+   * @returns {Promise<Object>} {valid, reason, actualSize}
+   */
+  async verifyVideoFile(video, filePath, contentLength = null) {
+    try {
+      const actualSize = await FileSystemService.getFileSize(filePath);
+      if (!actualSize) {
+        return { valid: false, reason: 'File is missing or empty', actualSize };
+      }
+
+      if (contentLength > 0 && actualSize !== contentLength) {
+        return {
+          valid: false,
+          reason: `Size ${actualSize} bytes does not match Content-Length ${contentLength}`,
+          actualSize,
+        };
+      }
+
+      const expectedSize = this.getExpectedSize(video);
+      if (expectedSize !== null && actualSize !== expectedSize) {
+        return {
+          valid: false,
+          reason: `Size ${actualSize} bytes does not match expected ${expectedSize}`,
+          actualSize,
+        };
+      }
+
+      const expectedChecksum = this.getExpectedChecksum(video);
+      if (expectedChecksum) {
+        const actualChecksum = (
+          await RNFS.hash(filePath, 'sha256')
+        ).toLowerCase();
+        if (actualChecksum !== expectedChecksum) {
+          return {
+            valid: false,
+            reason: `SHA-256 ${actualChecksum} does not match expected ${expectedChecksum}`,
+            actualSize,
+          };
+        }
+      }
+
+      console.log(
+        `${this.logPrefix} Video ${video.id} verified (${actualSize} bytes${
+          expectedChecksum ? ', sha256' : ''
+        })`,
+      );
+      return { valid: true, reason: null, actualSize };
+    } catch (error) {
+      console.error(
+        `${this.logPrefix} Error verifying video ${video && video.id}:`,
+        error,
+      );
+      return { valid: false, reason: error.message, actualSize: null };
+    }
+  }
+
+  /**
+   * Verify every DOWNLOADED video on the device. Files that fail are
+   * quarantined and their videos marked FAILED so they can be downloaded
+   * again.
+   * @param {Object} options - {skipVideoIds: ids to leave alone (e.g. active)}
+   * @returns {Promise<Object>} {checked, valid, invalid: [{videoId, reason}]}
+   */
+  async verifyLibrary(options = {}) {
+    const { skipVideoIds = [] } = options;
+    const report = { checked: 0, valid: 0, invalid: [] };
+
+    try {
+      console.log(`${this.logPrefix} Verifying downloaded library`);
+
+      const localVideos = await LocalStorageService.getAllLocalVideos();
+      const downloadedVideos = Object.values(localVideos).filter(
+        video =>
+          video &&
+          video.status === 'DOWNLOADED' &&
+          !skipVideoIds.includes(video.id),
+      );
+
+      for (const video of downloadedVideos) {
+        const filePath =
+          video.localFilePath ||
+          (await FileSystemService.getVideoFilePath(
+            video.id,
+            resolveMediaType(video).extension,
+          ));
+        const result = await this.verifyVideoFile(video, filePath);
+        report.checked++;
+
+        if (result.valid) {
+          report.valid++;
+          await LocalStorageService.saveVideoMetadata(video.id, {
+            ...video,
+            verifiedAt: Date.now(),
+          });
+          continue;
+        }
+
+        console.warn(
+          `${this.logPrefix} Video ${video.id} failed verification: ${result.reason}`,
+        );
+        report.invalid.push({ videoId: video.id, reason: result.reason });
+
+        await FileSystemService.quarantineFile(filePath);
+        await LocalStorageService.saveVideoMetadata(video.id, {
+          ...video,
+          status: 'FAILED',
+          localFilePath: null,
+          downloadProgress: 0,
+          downloadedAt: null,
+          failedAt: Date.now(),
+          errorMessage: `Integrity check failed: ${result.reason}`,
+          lastError: `Integrity check failed: ${result.reason}`,
+          verifiedAt: null,
+        });
+      }
+
+      console.log(
+        `${this.logPrefix} Library verified: ${report.valid}/${report.checked} valid`,
+      );
+      return report;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error verifying library:`, error);
+      return report;
+    }
+  }
+}
+
+// Export singleton instance
+const verificationService = new VerificationService();
+export default verificationService;
@@ -0,0 +1,227 @@
+import { useFocusEffect } from '@react-navigation/native';
+import React, { useCallback, useState } from 'react';
+import { ScrollView, StyleSheet, Text, View } from 'react-native';
+import { useSelector } from 'react-redux';
+import { H4, H5, ThemeColors } from '../AppTheme';
+import { useAppLanguage } from '../Hooks/useAppLagnuage';
+import DataUsageService from '../Service/DataUsageService';
+import FileSystemService from '../Service/FileSystemService';
+import { UtilityFunctions } from '../UtilityFunctions/UtilityFunctions';
+
+export default function DataUsage() {
+  const { i18n } = useAppLanguage();
+  const cellularDataBudgetMB = useSelector(
+    state => state.appConfig.cellularDataBudgetMB,
+  );
+  const maxStorageUsageGB = useSelector(
+    state => state.appConfig.maxStorageUsageGB,
+  );
+
+  const [months, setMonths] = useState([]);
+  const [libraryBytes, setLibraryBytes] = useState(0);
+
+  // Reload every time the screen is shown - downloads may have run since
+  useFocusEffect(
+    useCallback(() => {
+      let isMounted = true;
+
+      DataUsageService.getSummary()
+        .then(summary => {
+          if (isMounted) {
+            setMonths(summary);
+          }
+        })
+        .catch(error => {
+          console.error('[DataUsage] Error loading data usage:', error);
+        });
+
+      FileSystemService.getTotalVideosSize().then(totalBytes => {
+        if (isMounted) {
+          setLibraryBytes(totalBytes);
+        }
+      });
+
+      return () => {
+        isMounted = false;
+      };
+    }, []),
+  );
+
+  const currentMonthKey = DataUsageService.getMonthKey();
+  const budgetBytes = cellularDataBudgetMB * 1024 * 1024;
+  const quotaBytes = maxStorageUsageGB * 1024 * 1024 * 1024;
+
+  // "October 2026" in the app language
+  const formatMonth = monthKey => {
+    const [year, month] = monthKey.split('-');
+    return `${i18n(
+      `month_${parseInt(month, 10)}`,
+    )} ${UtilityFunctions.getNumbersFromString(year)}`;
+  };
+
+  // Render "label: used of limit" with a progress bar
+  const renderUsageBar = (label, used, limit) => {
+    const ratio = Math.min(1, used / limit);
+
+    return (
+      <View style={styles.budgetContainer}>
+        <Text style={styles.budgetText}>
+          {`${label}: ${i18n('transfer_of')
+            .replace('{done}', UtilityFunctions.formatBytes(used))
+            .replace('{total}', UtilityFunctions.formatBytes(limit))}`}
+        </Text>
+        <View style={styles.progressBarContainer}>
+          <View
+            style={[
+              styles.progressBar,
+              ratio >= 1 && styles.progressBarFull,
+              { width: `${Math.round(ratio * 100)}%` },
+            ]}
+          />
+        </View>
+      </View>
+    );
+  };
+
+  // Render this month's cellular use against the budget
+  const renderBudget = month => {
+    if (!(budgetBytes > 0)) {
+      return (
+        <Text style={styles.budgetText}>
+          {i18n('no_cellular_budget') || 'No cellular data budget set'}
+        </Text>
+      );
+    }
+
+    return renderUsageBar(
+      i18n('cellular_budget') || 'Cellular budget',
+      month ? month.cellular : 0,
+      budgetBytes,
+    );
+  };
+
+  // Render one month with its totals and per-video rows
+  const renderMonth = month => (
+    <View key={month.month} style={styles.monthContainer}>
+      <H4>{formatMonth(month.month)}</H4>
+      <View style={styles.totalsRow}>
+        <Text style={styles.totalText}>
+          {`${i18n('wifi') || 'Wi-Fi'}: ${UtilityFunctions.formatBytes(
+            month.wifi,
+          )}`}
+        </Text>
+        <Text style={styles.totalText}>
+          {`${i18n('cellular') || 'Cellular'}: ${UtilityFunctions.formatBytes(
+            month.cellular,
+          )}`}
+        </Text>
+      </View>
+
+      {month.videos.map(video => (
+        <View key={video.videoId} style={styles.videoRow}>
+          <Text style={styles.videoName} numberOfLines={1}>
+            {video.name}
+          </Text>
+          <Text style={styles.videoBytes}>
+            {UtilityFunctions.formatBytes(video.total)}
+            {video.cellular > 0
+              ? ` (${
+                  i18n('cellular') || 'Cellular'
+                }: ${UtilityFunctions.formatBytes(video.cellular)})`
+              : ''}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.contentContainer}
+    >
+      {quotaBytes > 0 &&
+        renderUsageBar(
+          i18n('storage_usage') || 'Downloaded videos',
+          libraryBytes,
+          quotaBytes,
+        )}
+
+      <H5>{i18n('this_month') || 'This month'}</H5>
+      {renderBudget(months.find(month => month.month === currentMonthKey))}
+
+      {months.length === 0 ? (
+        <Text style={styles.emptyText}>
+          {i18n('no_data_usage') || 'Nothing downloaded yet'}
+        </Text>
+      ) : (
+        months.map(renderMonth)
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: ThemeColors.colorWhite,
+    flex: 1,
+  },
+  contentContainer: {
+    padding: 16,
+  },
+  budgetContainer: {
+    marginTop: 8,
+    marginBottom: 16,
+  },
+  budgetText: {
+    color: ThemeColors.text,
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  progressBarContainer: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: ThemeColors.border,
+    overflow: 'hidden',
+  },
+  progressBar: {
+    height: '100%',
+    backgroundColor: ThemeColors.colorPrimary,
+  },
+  progressBarFull: {
+    backgroundColor: ThemeColors.colorWarning,
+  },
+  monthContainer: {
+    borderTopWidth: 1,
+    borderTopColor: ThemeColors.border,
+    paddingTop: 12,
+    marginTop: 12,
+  },
+  totalsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  totalText: {
+    color: ThemeColors.text,
+  },
+  videoRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  videoName: {
+    flex: 1,
+    color: ThemeColors.text,
+    marginRight: 8,
+  },
+  videoBytes: {
+    color: ThemeColors.textSecondary,
+  },
+  emptyText: {
+    color: ThemeColors.textSecondary,
+    textAlign: 'center',
+    marginTop: 24,
+  },
+});
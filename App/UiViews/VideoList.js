@@ -9,10 +9,15 @@ import {
 } from '../Components';
 import { loadAppConfigThunk } from '../Features/Config/appConfigSlice';
 import {
+  applyDownloadSettingsThunk,
+  fetchCatalogSnapshotThunk,
+  fetchNextVideosPageThunk,
   fetchVideosThunk,
+  loadCachedCatalogThunk,
   loadLocalVideosThunk,
   resetApiVideosOnly,
   resetVideosState,
+  restoreDownloadQueueThunk,
   searchVideosThunk,
   serverSyncThunk,
   setSearchQuery,
@@ -21,8 +26,14 @@ import {
 } from '../Features/Videos/VideosSlice';
 import { useAppStatus } from '../Hooks/useAppStatus';
 import { useNetworkStatus } from '../Hooks/useNetworkStatus';
+import DataUsageService from '../Service/DataUsageService';
+import DownloadManager from '../Service/DownloadManager';
 import FileSystemService from '../Service/FileSystemService';
 // import VideoComparison from '../Service/VideoComparison';
+import {
+  getMsUntilNextScheduleChange,
+  isWithinDownloadWindow,
+} from '../Utils/DownloadSchedule';
 import * as VideoComparison from '../Utils/VideoComparison';
 
 export default function VideoList() {
@@ -39,18 +50,36 @@ export default function VideoList() {
     videos = [],
     localVideos = {},
     videosWithStatus = [],
-    currentDownload = null,
+    activeDownloads = [],
     isLoading = false,
     isError = false,
     errorMessage = '',
+    catalogRemovedVideoIds = null,
+    catalogNextPage = null,
+    catalogSnapshot = null,
+    isLoadingMoreVideos = false,
+    isCatalogCached = false,
+    catalogSyncedAt = null,
     // Search state
     searchQuery = '',
     searchResults = [],
     isSearching = false,
   } = videosState || {};
 
-  const { autoDownloadEnabled = true, downloadOnWifiOnly = true } =
-    appConfig || {};
+  const {
+    autoDownloadEnabled = true,
+    downloadOnWifiOnly = true,
+    cellularDataBudgetMB = 0,
+    bandwidthLimitWifiKBps = 0,
+    bandwidthLimitCellularKBps = 0,
+    progressUpdateInterval = 500,
+    downloadScheduleEnabled = false,
+    downloadWindows,
+    cdnBaseUrls,
+    videoQuality = 'medium',
+    maxStorageUsageGB = 5,
+    evictOldestWhenFull = false,
+  } = appConfig || {};
 
   // State for initialization tracking
   const [isInitialized, setIsInitialized] = useState(false);
@@ -65,6 +94,9 @@ export default function VideoList() {
   // State for pull-to-refresh
   const [isRefreshing, setIsRefreshing] = useState(false);
 
+  // Bumped whenever a download window opens or closes
+  const [scheduleTick, setScheduleTick] = useState(0);
+
   // Memoized values for performance optimization
   const downloadedVideos = useMemo(() => {
     return videosWithStatus.filter(video => video.status === 'DOWNLOADED');
@@ -74,6 +106,10 @@ export default function VideoList() {
     return downloadedVideos.length;
   }, [downloadedVideos]);
 
+  // Every video in the server catalog - the loaded pages once all are
+  // loaded, otherwise the background snapshot (null until it arrives)
+  const fullCatalog = catalogNextPage ? catalogSnapshot : videos;
+
   // Determine which videos to show based on search state
   const displayVideos = useMemo(() => {
     // If there's a search query, show search results, otherwise show all videos
@@ -87,11 +123,49 @@ export default function VideoList() {
     }
   }, [appStatus]);
 
+  // Timers do not run in the background - re-check the download policies
+  // (e.g. a window that opened overnight, or a new data budget month)
+  // whenever the app is foregrounded
+  useEffect(() => {
+    if (appStatus === 'active' && isInitialized) {
+      dispatch(applyDownloadSettingsThunk());
+    }
+  }, [appStatus, isInitialized, dispatch]);
+
+  // Save pending data usage before the app may be killed in the background
+  useEffect(() => {
+    if (appStatus === 'background') {
+      DataUsageService.flush();
+    }
+  }, [appStatus]);
+
+  // Re-run the auto-download effect when the next download window opens
+  useEffect(() => {
+    const delay = getMsUntilNextScheduleChange({
+      downloadScheduleEnabled,
+      downloadWindows,
+    });
+    if (delay === null || appStatus !== 'active') {
+      return;
+    }
+
+    const timeoutId = setTimeout(
+      () => setScheduleTick(tick => tick + 1),
+      delay + 1000,
+    );
+    return () => clearTimeout(timeoutId);
+  }, [downloadScheduleEnabled, downloadWindows, appStatus, scheduleTick]);
+
   useEffect(() => {
     const initializeApp = async () => {
       try {
         await FileSystemService.initializeVideoDirectory();
-        dispatch(loadAppConfigThunk());
+        await dispatch(loadAppConfigThunk());
+        // Restore the saved queue before local videos are merged, so the
+        // interrupted download is resumed instead of shown as FAILED
+        await dispatch(restoreDownloadQueueThunk());
+        // Show the saved catalog right away, the fetch below refreshes it
+        await dispatch(loadCachedCatalogThunk());
         dispatch(loadLocalVideosThunk());
         setIsInitialized(true);
       } catch (error) {
@@ -104,14 +178,16 @@ export default function VideoList() {
     }
   }, [dispatch, isInitialized]);
 
-  // Fetch API videos when online and initialized (optimized dependencies)
+  // Fetch API videos when online and initialized (optimized dependencies) -
+  // also when the saved catalog is shown, to refresh it in the background.
+  // A failed background refresh is tried again when the connection returns.
   useEffect(() => {
     if (
       isOnline &&
       isInitialized &&
       !isLoading &&
-      videos.length === 0 &&
-      !isError
+      (videos.length === 0 || isCatalogCached) &&
+      (!isError || isCatalogCached)
     ) {
       dispatch(fetchVideosThunk());
     }
@@ -123,11 +199,20 @@ export default function VideoList() {
     // Removed isLoading, videos.length, isError, errorMessage to prevent loops
   ]);
 
+  // Walk the unloaded catalog pages in the background once the catalog is
+  // refreshed - server sync and auto-download need every video
+  useEffect(() => {
+    if (isOnline && !isCatalogCached && catalogNextPage && !catalogSnapshot) {
+      dispatch(fetchCatalogSnapshotThunk());
+    }
+  }, [isOnline, isCatalogCached, catalogNextPage, catalogSnapshot, dispatch]);
+
   // Merge videos with local status when both API videos and local videos are available (optimized)
   useEffect(() => {
     const mergeVideos = async () => {
-      // Create a unique key for current data state
-      const currentMergeKey = `${videos.length}-${
+      // Create a unique key for current data state - the refreshed catalog
+      // may have as many videos as the saved one
+      const currentMergeKey = `${catalogSyncedAt}-${videos.length}-${
         Object.keys(localVideos || {}).length
       }-${videosWithStatus.length}`;
 
@@ -189,15 +274,22 @@ export default function VideoList() {
   useEffect(() => {
     const performServerSync = async () => {
       // Create a unique key for current sync state
-      const currentSyncKey = `${videos.length}-${videosWithStatus.length}`;
+      const currentSyncKey = `${videos.length}-${videosWithStatus.length}-${
+        fullCatalog ? fullCatalog.length : 'partial'
+      }-${(catalogRemovedVideoIds || []).join(',')}`;
 
       // Skip if we've already synced this data combination
       if (currentSyncKey === lastSyncKey) {
         return;
       }
 
-      // Only sync when we have both server videos and merged videos with status
+      // Only sync when we have both server videos and merged videos with
+      // status - a saved catalog may be outdated, so wait for the refresh.
+      // Removals need the full catalog (or the delta's removed list), so
+      // with unloaded pages the sync waits for the snapshot.
       if (
+        !isCatalogCached &&
+        (fullCatalog || Array.isArray(catalogRemovedVideoIds)) &&
         videos &&
         videos.length > 0 &&
         videosWithStatus &&
@@ -213,11 +305,15 @@ export default function VideoList() {
           // Perform server sync with auto-cleanup enabled
           await dispatch(
             serverSyncThunk({
-              serverVideos: videos,
+              serverVideos: fullCatalog || videos,
               localVideos: localVideos,
               options: {
                 autoCleanup: true, // Automatically remove deleted videos
                 dryRun: false, // Actually perform the cleanup
+                // After a delta only its removed videos are cleaned up
+                removedVideoIds: catalogRemovedVideoIds,
+                // Unloaded pages are not deleted videos
+                isCatalogComplete: !!fullCatalog,
               },
             }),
           );
@@ -241,73 +337,66 @@ export default function VideoList() {
     videosWithStatus, // Re-run when merged videos change
     localVideos, // Re-run when local videos change
     isOnline, // Re-run when network changes
+    isCatalogCached, // Re-run when the saved catalog is refreshed
+    fullCatalog, // Re-run when the catalog snapshot arrives
     dispatch, // React requirement
     // Removed isProcessing, lastSyncKey to prevent loops
     // These are checked inside the effect condition
   ]);
 
-  // Periodically reload local videos when downloads are active to keep Redux state in sync
-  useEffect(() => {
-    let intervalId;
-
-    if (
-      currentDownload !== null ||
-      (videosWithStatus &&
-        videosWithStatus.some(v => v.status === 'DOWNLOADING'))
-    ) {
-      console.log(
-        '[VideoList] Starting periodic local videos reload - downloads active',
-      );
-
-      // Reload local videos every 3 seconds during downloads
-      intervalId = setInterval(() => {
-        console.log(
-          '[VideoList] Periodic reload of local videos during downloads',
-        );
-        dispatch(loadLocalVideosThunk());
-      }, 3000);
-    }
-
-    return () => {
-      if (intervalId) {
-        console.log('[VideoList] Stopping periodic local videos reload');
-        clearInterval(intervalId);
-      }
-    };
-  }, [currentDownload, videosWithStatus, dispatch]);
-
   // Auto-download trigger - when videos with status are ready and auto-download is enabled (optimized)
   useEffect(() => {
-    const triggerAutoDownload = () => {
+    const triggerAutoDownload = async () => {
       if (
         videosWithStatus &&
         videosWithStatus.length > 0 &&
         autoDownloadEnabled &&
         isOnline &&
-        !currentDownload && // No active downloads
+        !isCatalogCached && // Saved catalog may list removed videos
+        activeDownloads.length === 0 && // No active downloads
         !isProcessing &&
         isInitialized
       ) {
-        // Check WiFi condition
-        if (downloadOnWifiOnly) {
-          // TODO: Implement WiFi check if needed
-          // For now, assume connection is acceptable
+        // Wi-Fi only is enforced by DownloadManager - on cellular the videos
+        // are queued and wait for Wi-Fi instead of downloading
+
+        // Outside the download window nothing starts - the effect runs again
+        // when the window opens or the app is foregrounded
+        if (!isWithinDownloadWindow(appConfig)) {
+          console.log(
+            '[VideoList] Outside download window, auto-download deferred',
+          );
+          return;
         }
 
+        // Videos on pages that are not loaded yet come from the catalog
+        // snapshot, so they are queued without scrolling to them
+        const loadedIds = new Set(videosWithStatus.map(video => video.id));
+        const unloadedVideos =
+          catalogNextPage && catalogSnapshot
+            ? await VideoComparison.mergeVideosWithLocalStatus(
+                catalogSnapshot.filter(video => !loadedIds.has(video.id)),
+                localVideos,
+              )
+            : [];
+        const catalogWithStatus = [...videosWithStatus, ...unloadedVideos];
+
         // Check for NEW videos that need download
-        const newVideos = videosWithStatus.filter(
+        const downloadManager = DownloadManager.getInstance();
+        const newVideos = catalogWithStatus.filter(
           video =>
             video.status === 'NEW' &&
+            !video.evictedAt &&
             video.id !== undefined &&
             video.id !== null &&
-            (video.filepath || video.video_url), // Check for either filepath or video_url
+            downloadManager.hasDownloadSource(video), // Path, URL, mirror or rendition
         );
 
         if (newVideos.length > 0) {
           console.log(
             `[VideoList] Starting auto-download for ${newVideos.length} new videos`,
           );
-          dispatch(startAutoDownloadThunk(videosWithStatus));
+          dispatch(startAutoDownloadThunk(catalogWithStatus));
         } else {
           console.log('[VideoList] No new videos to auto-download');
         }
@@ -323,12 +412,39 @@ export default function VideoList() {
     videosWithStatus, // Re-run when videos change
     autoDownloadEnabled, // Re-run when setting changes
     isOnline, // Re-run when network changes
+    isCatalogCached, // Re-run when the saved catalog is refreshed
+    catalogSnapshot, // Re-run when the unloaded pages are known
     isInitialized, // Re-run when app is ready
+    appStatus, // Re-run when the app is foregrounded
+    scheduleTick, // Re-run when a download window opens
+    downloadScheduleEnabled, // Re-run when the schedule changes
     dispatch, // React requirement
-    // Removed currentDownload, isProcessing, downloadOnWifiOnly to prevent excessive re-runs
+    // Removed activeDownloads, isProcessing to prevent excessive re-runs
     // These are checked inside the effect condition
   ]);
 
+  // Apply the Wi-Fi only setting, data budget, schedule, bandwidth caps,
+  // progress rate, download hosts, quality and storage quota
+  useEffect(() => {
+    if (isInitialized) {
+      dispatch(applyDownloadSettingsThunk());
+    }
+  }, [
+    downloadOnWifiOnly,
+    cellularDataBudgetMB,
+    downloadScheduleEnabled,
+    downloadWindows,
+    bandwidthLimitWifiKBps,
+    bandwidthLimitCellularKBps,
+    progressUpdateInterval,
+    cdnBaseUrls,
+    videoQuality,
+    maxStorageUsageGB,
+    evictOldestWhenFull,
+    isInitialized,
+    dispatch,
+  ]);
+
   // Handle pull-to-refresh
   const handleRefresh = useCallback(async () => {
     if (!isOnline) {
@@ -368,6 +484,19 @@ export default function VideoList() {
     }
   }, [isOnline, dispatch]);
 
+  // Infinite scroll - load the next catalog page (not while searching, the
+  // search results are not paged)
+  const handleEndReached = useCallback(() => {
+    if (
+      isOnline &&
+      catalogNextPage &&
+      !isLoadingMoreVideos &&
+      !searchQuery.trim()
+    ) {
+      dispatch(fetchNextVideosPageThunk());
+    }
+  }, [isOnline, catalogNextPage, isLoadingMoreVideos, searchQuery, dispatch]);
+
   // Handle search functionality
   const handleSearch = useCallback(
     async query => {
@@ -409,6 +538,8 @@ export default function VideoList() {
           isOnline={isOnline}
           onRefresh={handleRefresh}
           isRefreshing={isRefreshing}
+          onEndReached={handleEndReached}
+          isLoadingMore={isLoadingMoreVideos}
         />
       </View>
     );
@@ -417,18 +548,25 @@ export default function VideoList() {
     isOnline,
     handleRefresh,
     isRefreshing,
+    handleEndReached,
+    isLoadingMoreVideos,
     handleSearch,
     isSearching,
   ]);
 
-  // Handle offline mode - show only downloaded videos
+  // Handle offline mode - show the saved catalog, downloads are queued until
+  // the connection is back
   if (!isOnline) {
     return (
       <View style={styles.container}>
-        <OfflineHeader downloadedCount={downloadedCount} />
+        <OfflineHeader
+          downloadedCount={downloadedCount}
+          videoCount={videosWithStatus.length}
+          syncedAt={catalogSyncedAt}
+        />
         {/* Search disabled in offline mode */}
         <VideoListRenderer
-          videos={downloadedVideos}
+          videos={videosWithStatus}
           isOnline={isOnline}
           onRefresh={handleRefresh}
           isRefreshing={isRefreshing}
@@ -446,8 +584,8 @@ export default function VideoList() {
     );
   }
 
-  // Show error state with retry option
-  if (isError && errorMessage) {
+  // Show error state with retry option (a saved catalog stays on screen)
+  if (isError && errorMessage && videos.length === 0) {
     return (
       <View style={styles.centerContainer}>
         <Text style={styles.errorText}>Error Loading Videos</Text>
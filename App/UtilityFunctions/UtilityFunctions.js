@@ -1,6 +1,9 @@
 import { PixelRatio } from 'react-native';
 import AppStore from './../ReduxStore/store';
 
+const languageStrings = require('./../AppAssets/StaticData/Language.json');
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
 const UtilityFunctions = {
   getFontSizeWithScale(fontSize) {
     var fontScale = PixelRatio.getFontScale();
@@ -39,6 +42,97 @@ const UtilityFunctions = {
     }
     return str;
   },
+
+  // Translate outside of components (useAppLanguage needs a component)
+  getTranslation(key) {
+    const state = AppStore.getState();
+    const entry = languageStrings[key];
+    if (!entry) return key;
+    return state.appConfig?.language === 'eng' ? entry.english : entry.bangla;
+  },
+
+  // 12582912 → "12.0 MB" (digits localized)
+  formatBytes(bytes) {
+    if (typeof bytes !== 'number' || !(bytes >= 0)) return;
+
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < BYTE_UNITS.length - 1) {
+      value /= 1024;
+      unitIndex++;
+    }
+
+    const text =
+      unitIndex === 0 || value >= 100
+        ? Math.round(value).toString()
+        : value.toFixed(1);
+    return `${this.getNumbersFromString(text)} ${BYTE_UNITS[unitIndex]}`;
+  },
+
+  // 358400 → "350 KB/s"
+  formatSpeed(bytesPerSecond) {
+    if (typeof bytesPerSecond !== 'number' || !(bytesPerSecond > 0)) return;
+    return `${this.formatBytes(bytesPerSecond)}/s`;
+  },
+
+  // 185 → "3 min", 4500 → "1 h 15 min", 40 → "40 sec"
+  formatDuration(seconds) {
+    if (typeof seconds !== 'number' || !(seconds >= 0)) return;
+
+    const sec = this.getTranslation('unit_sec');
+    const min = this.getTranslation('unit_min');
+    const hour = this.getTranslation('unit_hour');
+
+    if (seconds < 60) {
+      return `${this.getNumbersFromString(Math.round(seconds))} ${sec}`;
+    }
+    if (seconds < 3600) {
+      return `${this.getNumbersFromString(Math.round(seconds / 60))} ${min}`;
+    }
+
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    return minutes > 0
+      ? `${this.getNumbersFromString(
+          hours,
+        )} ${hour} ${this.getNumbersFromString(minutes)} ${min}`
+      : `${this.getNumbersFromString(hours)} ${hour}`;
+  },
+
+  // {bytesWritten, totalBytes, bytesPerSecond, etaSeconds} →
+  // "12.4 MB of 80 MB · 350 KB/s · 3 min left"
+  formatTransferStats(stats) {
+    if (!stats) return;
+
+    const { bytesWritten, totalBytes, bytesPerSecond, etaSeconds } = stats;
+    const parts = [];
+
+    if (typeof bytesWritten === 'number') {
+      parts.push(
+        totalBytes
+          ? this.getTranslation('transfer_of')
+              .replace('{done}', this.formatBytes(bytesWritten))
+              .replace('{total}', this.formatBytes(totalBytes))
+          : this.formatBytes(bytesWritten),
+      );
+    }
+
+    const speed = this.formatSpeed(bytesPerSecond);
+    if (speed) {
+      parts.push(speed);
+    }
+
+    if (typeof etaSeconds === 'number') {
+      parts.push(
+        this.getTranslation('time_left').replace(
+          '{time}',
+          this.formatDuration(etaSeconds),
+        ),
+      );
+    }
+
+    return parts.join(' · ');
+  },
 };
 
 export { UtilityFunctions };
@@ -0,0 +1,121 @@
+/**
+ * DownloadSchedule - Time windows in which auto-downloads may run
+ *
+ * A window is {start: 'HH:MM', end: 'HH:MM'} in device local time. A window
+ * whose end is before its start crosses midnight (e.g. 22:00–06:00), and one
+ * whose start equals its end covers the whole day.
+ *
+ * Used by:
+ * - DownloadManager: pauses the queue with 'OUTSIDE_SCHEDULE' and resumes it
+ *   when the next window opens
+ * - VideoList: only starts auto-download inside a window
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Convert 'HH:MM' to minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number|null} Minutes or null if invalid
+ */
+export const parseTime = time => {
+  const match =
+    typeof time === 'string' ? time.trim().match(TIME_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+/**
+ * Check if a window has a valid start and end
+ * @param {Object} window - {start, end}
+ * @returns {boolean} True if valid
+ */
+export const isValidWindow = window =>
+  !!window &&
+  parseTime(window.start) !== null &&
+  parseTime(window.end) !== null;
+
+/**
+ * Check whether a time falls inside a single window
+ * @private
+ */
+const isMinuteInWindow = (minute, window) => {
+  const start = parseTime(window.start);
+  const end = parseTime(window.end);
+
+  if (start === end) {
+    return true;
+  }
+  if (start < end) {
+    return minute >= start && minute < end;
+  }
+  return minute >= start || minute < end; // Crosses midnight
+};
+
+/**
+ * Check whether downloads may run now according to the schedule
+ * @param {Object} config - App config ({downloadScheduleEnabled, downloadWindows})
+ * @param {Date} date - Time to check (default now)
+ * @returns {boolean} True if unscheduled or inside a window
+ */
+export const isWithinDownloadWindow = (config, date = new Date()) => {
+  const { downloadScheduleEnabled = false, downloadWindows = [] } =
+    config || {};
+  const windows = (downloadWindows || []).filter(isValidWindow);
+
+  if (!downloadScheduleEnabled || windows.length === 0) {
+    return true;
+  }
+
+  const minute = date.getHours() * 60 + date.getMinutes();
+  return windows.some(window => isMinuteInWindow(minute, window));
+};
+
+/**
+ * Milliseconds until the schedule may change (a window opens or closes)
+ * @param {Object} config - App config ({downloadScheduleEnabled, downloadWindows})
+ * @param {Date} date - Time to measure from (default now)
+ * @returns {number|null} Delay in ms, or null if no schedule applies
+ */
+export const getMsUntilNextScheduleChange = (config, date = new Date()) => {
+  const { downloadScheduleEnabled = false, downloadWindows = [] } =
+    config || {};
+  const windows = (downloadWindows || []).filter(isValidWindow);
+
+  if (!downloadScheduleEnabled || windows.length === 0) {
+    return null;
+  }
+
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const boundaries = windows
+    .filter(window => window.start !== window.end)
+    .flatMap(window => [parseTime(window.start), parseTime(window.end)]);
+  if (boundaries.length === 0) {
+    return null;
+  }
+
+  const minutesUntil = Math.min(
+    ...boundaries.map(
+      boundary =>
+        ((boundary - minute + MINUTES_PER_DAY - 1) % MINUTES_PER_DAY) + 1,
+    ),
+  );
+  const msIntoMinute = date.getSeconds() * 1000 + date.getMilliseconds();
+  const wallClockMs = minutesUntil * 60 * 1000 - msIntoMinute;
+
+  // A DST change moves the wall clock, so measure to the actual local time
+  // of the boundary. In the repeated hour of a fall-back night that time can
+  // resolve to the first pass, which is already over - then count wall time.
+  const boundaryDate = new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    0,
+    minute + minutesUntil,
+  );
+  const actualMs = boundaryDate.getTime() - date.getTime();
+  return actualMs > 0 ? actualMs : wallClockMs;
+};
@@ -0,0 +1,144 @@
+/**
+ * MediaTypes - File extension and MIME type of downloaded media
+ *
+ * The type comes from the API metadata first (`filetype` as a MIME type or an
+ * extension, then the extension of `filepath` / `video_url`) and, when the
+ * metadata says nothing, from the download's Content-Type header.
+ *
+ * Used by:
+ * - DownloadManager: names the staged and final files (`video_N.webm`, ...)
+ * - FileSystemService: recognises media files in the video folder
+ */
+
+// Extension → MIME type for the containers we publish or may publish
+const MEDIA_TYPES = {
+  mp4: 'video/mp4',
+  m4v: 'video/x-m4v',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  mkv: 'video/x-matroska',
+  avi: 'video/x-msvideo',
+  '3gp': 'video/3gpp',
+  m4a: 'audio/mp4',
+  mp3: 'audio/mpeg',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  opus: 'audio/opus',
+  wav: 'audio/wav',
+};
+
+// MIME aliases that servers send for the same containers
+const MIME_ALIASES = {
+  'audio/x-m4a': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/webm': 'webm',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'video/x-matroska': 'mkv',
+  'video/avi': 'avi',
+};
+
+export const DEFAULT_MEDIA_TYPE = { extension: 'mp4', mimeType: 'video/mp4' };
+
+/**
+ * Build a media type from a known extension
+ * @private
+ */
+const fromExtension = extension => {
+  const normalized = (extension || '').toLowerCase();
+  return MEDIA_TYPES[normalized]
+    ? { extension: normalized, mimeType: MEDIA_TYPES[normalized] }
+    : null;
+};
+
+/**
+ * Get the media type from a file name, path or URL
+ * @param {string} path - e.g. 'storage/media_files/123_clip.webm?sig=...'
+ * @returns {Object|null} {extension, mimeType} or null if not a media file
+ */
+export const getMediaTypeFromPath = path => {
+  if (typeof path !== 'string') {
+    return null;
+  }
+
+  const match = path.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i);
+  return match ? fromExtension(match[1]) : null;
+};
+
+/**
+ * Get the media type from a MIME type or Content-Type header
+ * @param {string} contentType - e.g. 'video/webm; codecs="vp9"'
+ * @returns {Object|null} {extension, mimeType} or null if unknown
+ */
+export const getMediaTypeFromMimeType = contentType => {
+  if (typeof contentType !== 'string') {
+    return null;
+  }
+
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  const extension =
+    MIME_ALIASES[mimeType] ||
+    Object.keys(MEDIA_TYPES).find(key => MEDIA_TYPES[key] === mimeType);
+  return extension ? fromExtension(extension) : null;
+};
+
+/**
+ * Get the media type from the first mirror URL with a known extension.
+ * Mirrors are full URLs or {url}; an absolute rendition URL is moved there.
+ * @private
+ */
+const getMediaTypeFromMirrors = mirrors => {
+  if (!Array.isArray(mirrors)) {
+    return null;
+  }
+
+  for (const mirror of mirrors) {
+    const mediaType = getMediaTypeFromPath(
+      typeof mirror === 'string' ? mirror : mirror && mirror.url,
+    );
+    if (mediaType) {
+      return mediaType;
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the media type the API metadata declares for a video
+ * @param {Object} video - Video object (filetype, filepath, video_url, mirrors)
+ * @returns {Object|null} {extension, mimeType} or null if it declares none
+ */
+export const getMediaTypeFromMetadata = video => {
+  if (!video) {
+    return null;
+  }
+
+  const { filetype } = video;
+  return (
+    getMediaTypeFromMimeType(filetype) ||
+    fromExtension(typeof filetype === 'string' ? filetype.trim() : null) ||
+    getMediaTypeFromPath(video.filepath) ||
+    getMediaTypeFromPath(video.video_url) ||
+    getMediaTypeFromMirrors(video.mirrors)
+  );
+};
+
+/**
+ * Resolve the media type of a video, falling back to Content-Type and then
+ * to mp4
+ * @param {Object} video - Video object
+ * @param {string|null} contentType - Content-Type of the download response
+ * @returns {Object} {extension, mimeType}
+ */
+export const resolveMediaType = (video, contentType = null) =>
+  getMediaTypeFromMetadata(video) ||
+  getMediaTypeFromMimeType(contentType) ||
+  DEFAULT_MEDIA_TYPE;
+
+/**
+ * Check whether a file name has a known media extension
+ * @param {string} fileName - File name
+ * @returns {boolean} True for media files
+ */
+export const isMediaFileName = fileName =>
+  getMediaTypeFromPath(fileName) !== null;
@@ -0,0 +1,95 @@
+/**
+ * Renditions - Pick which server rendition of a video to download
+ *
+ * The API may list renditions per video:
+ *   renditions: [{quality: 'audio' | 'low' | 'medium' | 'high', url, size,
+ *                 filetype?, sha256?}]
+ * `url` is either absolute or a path on the download hosts (like `filepath`).
+ * Videos without renditions are downloaded from their own `filepath`.
+ *
+ * Used by:
+ * - DownloadManager: downloads the rendition matching `videoQuality` (or the
+ *   quality requested for one video) and records it in metadata
+ * - CardVideoListItem: offers the other renditions of a downloaded video
+ */
+
+// Lowest to highest - 'audio' is the audio-only rendition
+export const VIDEO_QUALITIES = ['audio', 'low', 'medium', 'high'];
+
+/**
+ * Get the valid renditions of a video, lowest quality first
+ * @param {Object} video - Video object from the API
+ * @returns {Array<Object>} Renditions with a known quality and a url
+ */
+export const getRenditions = video =>
+  (video && Array.isArray(video.renditions) ? video.renditions : [])
+    .filter(
+      rendition =>
+        rendition &&
+        VIDEO_QUALITIES.includes(rendition.quality) &&
+        typeof rendition.url === 'string' &&
+        rendition.url.length > 0,
+    )
+    .sort(
+      (a, b) =>
+        VIDEO_QUALITIES.indexOf(a.quality) - VIDEO_QUALITIES.indexOf(b.quality),
+    );
+
+/**
+ * Choose the rendition for a quality setting. Without an exact match the
+ * next lower video quality is used, then the next higher one - a video
+ * setting never falls back to audio only.
+ * @param {Object} video - Video object from the API
+ * @param {string} quality - One of VIDEO_QUALITIES
+ * @returns {Object|null} Rendition, or null if the video has none
+ */
+export const selectRendition = (video, quality) => {
+  const renditions = getRenditions(video);
+  if (renditions.length === 0) {
+    return null;
+  }
+
+  const exact = renditions.find(rendition => rendition.quality === quality);
+  if (exact) {
+    return exact;
+  }
+
+  const wanted = Math.max(0, VIDEO_QUALITIES.indexOf(quality));
+  const videoRenditions = renditions.filter(
+    rendition => rendition.quality !== 'audio',
+  );
+  const candidates = videoRenditions.length > 0 ? videoRenditions : renditions;
+  const lower = candidates.filter(
+    rendition => VIDEO_QUALITIES.indexOf(rendition.quality) < wanted,
+  );
+
+  return lower.length > 0 ? lower[lower.length - 1] : candidates[0];
+};
+
+/**
+ * Turn a video into the download of one rendition. Size, type and checksum
+ * describe the rendition's file, so the original file's values are dropped.
+ * @param {Object} video - Video object from the API
+ * @param {Object|null} rendition - Result of selectRendition
+ * @returns {Object} Video object to download (`rendition` = chosen quality)
+ */
+export const applyRendition = (video, rendition) => {
+  if (!rendition) {
+    return { ...video, rendition: null };
+  }
+
+  const isAbsolute = /^https?:\/\//i.test(rendition.url);
+  return {
+    ...video,
+    filepath: isAbsolute ? null : rendition.url,
+    video_url: null,
+    mirrors: isAbsolute
+      ? [rendition.url, ...(rendition.mirrors || [])]
+      : rendition.mirrors || [],
+    filesize: rendition.size ? String(rendition.size) : null,
+    filetype: rendition.filetype || null,
+    sha256: rendition.sha256 || null,
+    checksum: null,
+    rendition: rendition.quality,
+  };
+};
@@ -1,3 +1,4 @@
+import DownloadManager from '../Service/DownloadManager';
 import FileSystemService from '../Service/FileSystemService';
 
 /**
@@ -13,7 +14,9 @@ import FileSystemService from '../Service/FileSystemService';
 /**
  * Video Status Definitions:
  * - NEW: Video from API that hasn't been downloaded yet
- * - DOWNLOADING: Video currently being downloaded (should become FAILED if app was closed)
+ * - DOWNLOADING: Video currently being downloaded (should become FAILED if app was closed,
+ *   unless DownloadManager restored it from the saved queue)
+ * - PAUSED: Download paused by the user - partial file kept for resume
  * - DOWNLOADED: Video successfully downloaded and file exists
  * - FAILED: Download failed or was interrupted
  */
@@ -46,6 +49,7 @@ export const mergeVideosWithLocalStatus = async (apiVideos, localVideos) => {
     }
 
     const mergedVideos = [];
+    const downloadManager = DownloadManager.getInstance();
 
     for (const apiVideo of apiVideos) {
       try {
@@ -78,6 +82,11 @@ export const mergeVideosWithLocalStatus = async (apiVideos, localVideos) => {
           mergedVideo.downloadedAt = localVideo.downloadedAt;
           mergedVideo.failedAt = localVideo.failedAt;
           mergedVideo.errorMessage = localVideo.errorMessage;
+          mergedVideo.retryCount = localVideo.retryCount || 0;
+          mergedVideo.maxRetries = localVideo.maxRetries || null;
+          mergedVideo.lastError = localVideo.lastError || null;
+          mergedVideo.rendition = localVideo.rendition || null;
+          mergedVideo.evictedAt = localVideo.evictedAt || null;
 
           // Determine status based on local data and file existence
           if (localVideo.status === 'DOWNLOADED') {
@@ -109,6 +118,16 @@ export const mergeVideosWithLocalStatus = async (apiVideos, localVideos) => {
                 `[VideoComparison] Video ${videoId}: No file path, marked as NEW`,
               );
             }
+          } else if (
+            localVideo.status === 'DOWNLOADING' &&
+            (downloadManager.isVideoActive(videoId) ||
+              downloadManager.isVideoQueued(videoId))
+          ) {
+            // Restored from the saved queue - download continues
+            mergedVideo.status = 'DOWNLOADING';
+            console.log(
+              `[VideoComparison] Video ${videoId}: DOWNLOADING (restored queue)`,
+            );
           } else if (localVideo.status === 'DOWNLOADING') {
             // If app was closed during download, mark as FAILED
             mergedVideo.status = 'FAILED';
@@ -117,6 +136,12 @@ export const mergeVideosWithLocalStatus = async (apiVideos, localVideos) => {
             console.log(
               `[VideoComparison] Video ${videoId}: DOWNLOADING -> FAILED (app was closed)`,
             );
+          } else if (localVideo.status === 'PAUSED') {
+            // Keep paused status - partial file is resumed by resumeQueue
+            mergedVideo.status = 'PAUSED';
+            console.log(
+              `[VideoComparison] Video ${videoId}: Keeping PAUSED status`,
+            );
           } else if (localVideo.status === 'FAILED') {
             // Keep failed status
             mergedVideo.status = 'FAILED';
@@ -309,7 +334,7 @@ export const getVideoById = (videosWithStatus, videoId) => {
 /**
  * Count videos by status
  * @param {Array} videosWithStatus - Array of videos with status
- * @returns {Object} Count object {NEW: number, DOWNLOADING: number, DOWNLOADED: number, FAILED: number}
+ * @returns {Object} Count object {NEW: number, DOWNLOADING: number, PAUSED: number, DOWNLOADED: number, FAILED: number}
  */
 export const countVideosByStatus = videosWithStatus => {
   try {
@@ -317,10 +342,16 @@ export const countVideosByStatus = videosWithStatus => {
       console.warn(
         '[VideoComparison] Invalid videosWithStatus array for countVideosByStatus',
       );
-      return { NEW: 0, DOWNLOADING: 0, DOWNLOADED: 0, FAILED: 0 };
+      return { NEW: 0, DOWNLOADING: 0, PAUSED: 0, DOWNLOADED: 0, FAILED: 0 };
     }
 
-    const counts = { NEW: 0, DOWNLOADING: 0, DOWNLOADED: 0, FAILED: 0 };
+    const counts = {
+      NEW: 0,
+      DOWNLOADING: 0,
+      PAUSED: 0,
+      DOWNLOADED: 0,
+      FAILED: 0,
+    };
 
     for (const video of videosWithStatus) {
       if (video && video.status && counts.hasOwnProperty(video.status)) {
@@ -332,7 +363,7 @@ export const countVideosByStatus = videosWithStatus => {
     return counts;
   } catch (error) {
     console.error('[VideoComparison] Error counting videos by status:', error);
-    return { NEW: 0, DOWNLOADING: 0, DOWNLOADED: 0, FAILED: 0 };
+    return { NEW: 0, DOWNLOADING: 0, PAUSED: 0, DOWNLOADED: 0, FAILED: 0 };
   }
 };
 
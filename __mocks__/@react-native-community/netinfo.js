@@ -0,0 +1 @@
+module.exports = require('@react-native-community/netinfo/jest/netinfo-mock');
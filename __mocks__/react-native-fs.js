@@ -0,0 +1,266 @@
+/**
+ * In-memory react-native-fs for tests
+ *
+ * Files and folders live in maps, so services run their real file handling
+ * against them. Downloads are answered by the handler set with
+ * __setDownloadHandler:
+ *
+ *   handler(options) → {statusCode, headers, body, error, hang}
+ *
+ * `body` is written to `options.toFile`. With `error` the job fails after
+ * writing it, like a dropped connection; with `hang` it never finishes until
+ * stopDownload is called. A thrown error fails the job before any bytes.
+ */
+
+/* eslint-env node */
+
+const crypto = require('crypto');
+
+const DocumentDirectoryPath = '/documents';
+
+let state = null;
+
+const __reset = () => {
+  state = {
+    files: new Map(), // path → Buffer
+    dirs: new Set([DocumentDirectoryPath]),
+    jobs: new Map(), // jobId → stop function
+    nextJobId: 1,
+    downloadHandler: () => ({ statusCode: 404, headers: {} }),
+    fsInfo: { freeSpace: 64 * 1024 ** 3, totalSpace: 128 * 1024 ** 3 },
+  };
+};
+__reset();
+
+const toBuffer = (data, encoding = 'utf8') =>
+  Buffer.isBuffer(data)
+    ? data
+    : Buffer.from(data, encoding === 'base64' ? 'base64' : 'utf8');
+
+const fromBuffer = (buffer, encoding = 'utf8') =>
+  buffer.toString(encoding === 'base64' ? 'base64' : 'utf8');
+
+const parentOf = path => path.slice(0, path.lastIndexOf('/')) || '/';
+
+const notFound = path => {
+  const error = new Error(`ENOENT: no such file or directory, '${path}'`);
+  error.code = 'ENOENT';
+  return error;
+};
+
+const getFile = path => {
+  if (!state.files.has(path)) {
+    throw notFound(path);
+  }
+  return state.files.get(path);
+};
+
+const putFile = (path, buffer) => {
+  if (!state.dirs.has(parentOf(path))) {
+    throw notFound(parentOf(path));
+  }
+  state.files.set(path, buffer);
+};
+
+const statResult = (path, size, isFile) => ({
+  path,
+  name: path.slice(path.lastIndexOf('/') + 1),
+  size,
+  mtime: new Date(),
+  ctime: new Date(),
+  isFile: () => isFile,
+  isDirectory: () => !isFile,
+});
+
+const exists = async path => state.files.has(path) || state.dirs.has(path);
+
+const mkdir = async path => {
+  let current = path;
+  while (current && current !== '/' && !state.dirs.has(current)) {
+    state.dirs.add(current);
+    current = parentOf(current);
+  }
+};
+
+const readDir = async path => {
+  if (!state.dirs.has(path)) {
+    throw notFound(path);
+  }
+  const entries = [];
+  state.files.forEach((buffer, filePath) => {
+    if (parentOf(filePath) === path) {
+      entries.push(statResult(filePath, buffer.length, true));
+    }
+  });
+  state.dirs.forEach(dirPath => {
+    if (dirPath !== path && parentOf(dirPath) === path) {
+      entries.push(statResult(dirPath, 0, false));
+    }
+  });
+  return entries;
+};
+
+const stat = async path => {
+  if (state.dirs.has(path)) {
+    return statResult(path, 0, false);
+  }
+  return statResult(path, getFile(path).length, true);
+};
+
+const unlink = async path => {
+  if (state.files.delete(path)) {
+    return;
+  }
+  if (!state.dirs.has(path)) {
+    throw notFound(path);
+  }
+  [...state.files.keys()]
+    .filter(filePath => filePath.startsWith(`${path}/`))
+    .forEach(filePath => state.files.delete(filePath));
+  [...state.dirs]
+    .filter(dirPath => dirPath === path || dirPath.startsWith(`${path}/`))
+    .forEach(dirPath => state.dirs.delete(dirPath));
+};
+
+const moveFile = async (from, to) => {
+  putFile(to, getFile(from));
+  state.files.delete(from);
+};
+
+const copyFile = async (from, to) => {
+  putFile(to, Buffer.from(getFile(from)));
+};
+
+const writeFile = async (path, contents, encoding) => {
+  putFile(path, toBuffer(contents, encoding));
+};
+
+const appendFile = async (path, contents, encoding) => {
+  const existing = state.files.get(path) || Buffer.alloc(0);
+  putFile(path, Buffer.concat([existing, toBuffer(contents, encoding)]));
+};
+
+const readFile = async (path, encoding) => fromBuffer(getFile(path), encoding);
+
+const read = async (path, length, position, encoding) =>
+  fromBuffer(getFile(path).subarray(position, position + length), encoding);
+
+const hash = async (path, algorithm) =>
+  crypto.createHash(algorithm).update(getFile(path)).digest('hex');
+
+const getFSInfo = async () => ({ ...state.fsInfo });
+
+const stopDownload = jobId => {
+  const stop = state.jobs.get(jobId);
+  if (stop) {
+    stop();
+  }
+};
+
+const downloadFile = options => {
+  const jobId = state.nextJobId++;
+  let settle = null;
+
+  const promise = new Promise((resolve, reject) => {
+    let finished = false;
+    settle = (error, result) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      state.jobs.delete(jobId);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+  });
+  state.jobs.set(jobId, () =>
+    settle(new Error('Download has been aborted'), null),
+  );
+
+  Promise.resolve()
+    .then(() => state.downloadHandler(options))
+    .then(response => {
+      const {
+        statusCode = 200,
+        headers = {},
+        body = '',
+        error = null,
+        hang = false,
+      } = response || {};
+      const buffer = toBuffer(body);
+
+      if (options.begin) {
+        options.begin({
+          jobId,
+          statusCode,
+          headers,
+          contentLength: buffer.length,
+        });
+      }
+      putFile(options.toFile, buffer);
+      if (options.progress && buffer.length > 0) {
+        options.progress({
+          jobId,
+          contentLength: buffer.length,
+          bytesWritten: buffer.length,
+        });
+      }
+
+      if (hang) {
+        return;
+      }
+      if (error) {
+        settle(new Error(error), null);
+        return;
+      }
+      settle(null, { jobId, statusCode, bytesWritten: buffer.length });
+    })
+    .catch(error => settle(error, null));
+
+  return { jobId, promise };
+};
+
+// Test helpers
+const __setDownloadHandler = handler => {
+  state.downloadHandler = handler;
+};
+const __readFile = path =>
+  state.files.has(path) ? state.files.get(path).toString('utf8') : null;
+const __writeFile = (path, contents) => {
+  mkdir(parentOf(path));
+  state.files.set(path, toBuffer(contents));
+};
+const __listFiles = () => [...state.files.keys()].sort();
+const __getState = () => state;
+const __setState = savedState => {
+  state = savedState;
+};
+
+module.exports = {
+  DocumentDirectoryPath,
+  exists,
+  mkdir,
+  readDir,
+  stat,
+  unlink,
+  moveFile,
+  copyFile,
+  writeFile,
+  appendFile,
+  readFile,
+  read,
+  hash,
+  getFSInfo,
+  stopDownload,
+  downloadFile,
+  __reset,
+  __setDownloadHandler,
+  __readFile,
+  __writeFile,
+  __listFiles,
+  __getState,
+  __setState,
+};
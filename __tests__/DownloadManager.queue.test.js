@@ -0,0 +1,400 @@
+/**
+ * @format
+ */
+
+// Fresh singletons per test on top of the in-memory react-native-fs and
+// AsyncStorage mocks; a restart keeps both stores and reloads the modules
+let RNFS;
+let AsyncStorage;
+let NetInfo;
+let LocalStorageService;
+let DataUsageService;
+let manager;
+
+const CONTENT = '0123456789';
+
+const video = id => ({
+  id,
+  name: `Video ${id}`,
+  mirrors: [`https://a.example.com/media/video_${id}.mp4`],
+  filesize: String(CONTENT.length),
+});
+
+const idsOf = queue => queue.map(queued => queued.videoId);
+
+const setConnection = type =>
+  NetInfo.fetch.mockResolvedValue({
+    type,
+    isConnected: true,
+    isInternetReachable: true,
+  });
+
+// Records every request and answers it with the whole file
+const serveAll = () => {
+  const requests = [];
+  RNFS.__setDownloadHandler(({ fromUrl }) => {
+    requests.push(fromUrl);
+    return {
+      statusCode: 200,
+      headers: { ETag: '"v1"', 'Content-Length': String(CONTENT.length) },
+      body: CONTENT,
+    };
+  });
+  return requests;
+};
+
+const urlOf = id => video(id).mirrors[0];
+
+// The first request for each of the given videos hangs after 4 bytes until
+// its job is stopped; other requests get the file with Range support
+const hangFirst = (...ids) => {
+  const requests = [];
+  RNFS.__setDownloadHandler(({ fromUrl, headers = {} }) => {
+    const isFirst = !requests.some(request => request.url === fromUrl);
+    requests.push({ url: fromUrl, range: headers.Range || null });
+    if (isFirst && ids.some(id => urlOf(id) === fromUrl)) {
+      return {
+        statusCode: 200,
+        headers: { ETag: '"v1"', 'Content-Length': String(CONTENT.length) },
+        body: CONTENT.slice(0, 4),
+        hang: true,
+      };
+    }
+
+    const start = headers.Range ? parseInt(headers.Range.slice(6), 10) : 0;
+    return {
+      statusCode: start > 0 ? 206 : 200,
+      headers: {
+        ETag: '"v1"',
+        'Content-Range': `bytes ${start}-${CONTENT.length - 1}/${
+          CONTENT.length
+        }`,
+      },
+      body: CONTENT.slice(start),
+    };
+  });
+  return requests;
+};
+
+const activeIds = () => manager.getActiveDownloads().map(active => active.id);
+const downloadedFiles = () =>
+  RNFS.__listFiles().filter(path => path.includes('DeshoaliVideos'));
+
+const waitUntil = async condition => {
+  for (let tries = 0; !condition() && tries < 200; tries++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const waitForIdle = () => waitUntil(() => !manager.isDownloadActive());
+
+// Let the queue writes started by _notifyQueueState finish
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const loadModules = async () => {
+  RNFS = require('react-native-fs');
+  AsyncStorage = require('@react-native-async-storage/async-storage');
+  NetInfo = require('@react-native-community/netinfo');
+  setConnection('wifi');
+  LocalStorageService = require('../App/Service/LocalStorageService').default;
+  DataUsageService = require('../App/Service/DataUsageService').default;
+  // VideoList creates the video folder when the app starts
+  await require('../App/Service/FileSystemService').default.initializeVideoDirectory();
+  manager = require('../App/Service/DownloadManager').default.getInstance();
+  manager.configure({ retryAttempts: 0 });
+};
+
+const restartApp = async () => {
+  await flushPromises();
+  const fsState = RNFS.__getState();
+  const storage = AsyncStorage.__INTERNAL_MOCK_STORAGE__;
+
+  jest.resetModules();
+  await loadModules();
+  RNFS.__setState(fsState);
+  AsyncStorage.__INTERNAL_MOCK_STORAGE__ = storage;
+};
+
+// A paused queue holding the given videos, in that order
+const pausedQueueOf = async (...ids) => {
+  await manager.pauseQueue();
+  for (const id of ids) {
+    await manager.enqueue(video(id));
+  }
+};
+
+beforeEach(async () => {
+  jest.resetModules();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await loadModules();
+});
+
+afterEach(async () => {
+  await waitForIdle();
+  await flushPromises();
+  // Write the batched data usage now instead of on a pending timer
+  await DataUsageService.flush();
+  jest.restoreAllMocks();
+});
+
+describe('DownloadManager queue order', () => {
+  test('queues auto-downloads in ascending ID order', async () => {
+    setConnection('cellular');
+
+    await manager.startAutoDownload([video(3), video(1), video(2)]);
+
+    expect(manager.isQueuePaused()).toBe(true);
+    expect(idsOf(manager.getQueue())).toEqual([1, 2, 3]);
+  });
+
+  test('adds a manual download last, or next with toFront', async () => {
+    await pausedQueueOf(1, 2);
+
+    await manager.enqueue(video(3), { toFront: true });
+    await manager.enqueue(video(1));
+
+    expect(manager.getQueue()).toEqual([
+      { videoId: 3, name: 'Video 3', queuePriority: 1 },
+      { videoId: 2, name: 'Video 2', queuePriority: 0 },
+      { videoId: 1, name: 'Video 1', queuePriority: 0 },
+    ]);
+  });
+
+  test('downloads the queue in order', async () => {
+    const requests = serveAll();
+    await pausedQueueOf(1, 2, 3);
+    manager.moveToTop(3);
+
+    await manager.resumeQueue();
+    await waitForIdle();
+
+    expect(requests).toEqual([
+      'https://a.example.com/media/video_3.mp4',
+      'https://a.example.com/media/video_1.mp4',
+      'https://a.example.com/media/video_2.mp4',
+    ]);
+  });
+});
+
+describe('DownloadManager queue reordering', () => {
+  test('moves videos and renumbers their priorities', async () => {
+    await pausedQueueOf(1, 2, 3, 4);
+
+    expect(manager.moveToTop(3)).toBe(true);
+    expect(idsOf(manager.getQueue())).toEqual([3, 1, 2, 4]);
+    expect(manager.moveDown(3)).toBe(true);
+    expect(idsOf(manager.getQueue())).toEqual([1, 3, 2, 4]);
+    expect(manager.moveUp(4)).toBe(true);
+    expect(idsOf(manager.getQueue())).toEqual([1, 3, 4, 2]);
+    expect(manager.moveInQueue(1, 99)).toBe(true);
+    expect(manager.getQueue()).toEqual([
+      { videoId: 3, name: 'Video 3', queuePriority: 4 },
+      { videoId: 4, name: 'Video 4', queuePriority: 3 },
+      { videoId: 2, name: 'Video 2', queuePriority: 2 },
+      { videoId: 1, name: 'Video 1', queuePriority: 1 },
+    ]);
+  });
+
+  test('keeps the chosen order when more videos are queued', async () => {
+    await pausedQueueOf(1, 2);
+    manager.moveToTop(2);
+
+    await manager.enqueue(video(3));
+    manager.setQueuePriority(1, 5);
+
+    expect(idsOf(manager.getQueue())).toEqual([1, 2, 3]);
+  });
+
+  test('ignores videos that are not queued', async () => {
+    await pausedQueueOf(1);
+
+    expect(manager.moveInQueue(9, 0)).toBe(false);
+    expect(manager.moveUp(9)).toBe(false);
+    expect(manager.setQueuePriority(9, 1)).toBe(false);
+    expect(manager.removeFromQueue(9)).toBe(false);
+  });
+
+  test('removes a waiting video', async () => {
+    const queueChanges = [];
+    await pausedQueueOf(1, 2, 3);
+    manager.on('queueChanged', ({ queuedVideoIds }) =>
+      queueChanges.push(queuedVideoIds),
+    );
+
+    expect(manager.removeFromQueue(2)).toBe(true);
+
+    expect(idsOf(manager.getQueue())).toEqual([1, 3]);
+    expect(manager.isVideoQueued(2)).toBe(false);
+    expect(queueChanges).toEqual([[1, 3]]);
+  });
+});
+
+describe('DownloadManager queue restore', () => {
+  test('restores the waiting videos in their order after a restart', async () => {
+    await pausedQueueOf(1, 2, 3);
+    manager.moveToTop(3);
+
+    await restartApp();
+    const result = await manager.restoreQueue();
+
+    expect(result).toEqual({ restored: true, queueLength: 3, isPaused: true });
+    expect(manager.getQueue()).toEqual([
+      { videoId: 3, name: 'Video 3', queuePriority: 3 },
+      { videoId: 1, name: 'Video 1', queuePriority: 2 },
+      { videoId: 2, name: 'Video 2', queuePriority: 1 },
+    ]);
+  });
+
+  test('starts a queue held for Wi-Fi once Wi-Fi is back after a restart', async () => {
+    setConnection('cellular');
+    const requests = serveAll();
+    await manager.startAutoDownload([video(1), video(2)]);
+    expect(requests).toEqual([]);
+
+    await restartApp();
+    setConnection('wifi');
+    const result = await manager.restoreQueue();
+    await waitUntil(() => manager.isDownloadActive());
+    await waitForIdle();
+
+    expect(requests).toHaveLength(2);
+    expect(result).toMatchObject({ queueLength: 2, isPaused: true });
+    expect(RNFS.__listFiles()).toEqual([
+      '/documents/DeshoaliVideos/video_1.mp4',
+      '/documents/DeshoaliVideos/video_2.mp4',
+    ]);
+    expect(await LocalStorageService.getDownloadQueue()).toBeNull();
+  });
+
+  test('resumes an interrupted download and fails one that cannot resume', async () => {
+    const partPath = '/documents/DeshoaliStaging/video_1.mp4.part';
+    RNFS.__writeFile(partPath, CONTENT.slice(0, 4));
+    RNFS.__writeFile(
+      `${partPath}.resume.json`,
+      JSON.stringify({
+        url: video(1).mirrors[0],
+        bytesWritten: 4,
+        totalBytes: 10,
+        etag: '"v1"',
+      }),
+    );
+    await LocalStorageService.saveVideoMetadata(2, {
+      ...video(2),
+      status: 'DOWNLOADING',
+    });
+    await LocalStorageService.saveDownloadQueue({
+      queue: [video(3)],
+      activeVideos: [video(1), video(2)],
+      isPaused: true,
+      pauseReason: 'USER',
+    });
+
+    await restartApp();
+    await manager.restoreQueue();
+
+    expect(idsOf(manager.getQueue())).toEqual([1, 3]);
+    expect(RNFS.__readFile(partPath)).toBe('0123');
+    expect(await LocalStorageService.getVideoMetadata(2)).toMatchObject({
+      status: 'FAILED',
+      errorMessage: 'Download interrupted by app closure',
+    });
+  });
+});
+
+describe('DownloadManager worker pool', () => {
+  beforeEach(() => {
+    manager.configure({ maxConcurrentDownloads: 2 });
+  });
+
+  test('runs up to maxConcurrentDownloads jobs in ascending ID order', async () => {
+    const requests = hangFirst(1, 2);
+
+    const started = manager.startAutoDownload([video(3), video(1), video(2)]);
+    await waitUntil(() => requests.length === 2);
+
+    expect(requests.map(request => request.url).sort()).toEqual([
+      urlOf(1),
+      urlOf(2),
+    ]);
+    expect(activeIds().sort()).toEqual([1, 2]);
+    expect(idsOf(manager.getQueue())).toEqual([3]);
+
+    await manager.cancelCurrentDownload();
+    expect(manager.isDownloadActive()).toBe(true); // Workers wind down
+    await started;
+
+    expect(manager.isDownloadActive()).toBe(false);
+    expect(RNFS.__listFiles()).toEqual([]);
+  });
+
+  test('pauses every job and resumes them from their partial files', async () => {
+    const requests = hangFirst(1, 2);
+    manager.startAutoDownload([video(1), video(2), video(3)]);
+    await waitUntil(() => requests.length === 2);
+
+    await manager.pauseQueue();
+    await waitUntil(() => activeIds().length === 0);
+
+    expect(idsOf(manager.getQueue())).toEqual([1, 2, 3]);
+    expect(RNFS.__readFile('/documents/DeshoaliStaging/video_1.mp4.part')).toBe(
+      '0123',
+    );
+
+    await manager.resumeQueue();
+    await waitForIdle();
+
+    expect(requests.filter(request => request.range)).toEqual([
+      { url: urlOf(1), range: 'bytes=4-' },
+      { url: urlOf(2), range: 'bytes=4-' },
+    ]);
+    expect(downloadedFiles()).toHaveLength(3);
+    expect(RNFS.__readFile('/documents/DeshoaliVideos/video_2.mp4')).toBe(
+      CONTENT,
+    );
+  });
+
+  test('queues a stopped job again when resumed before it wound down', async () => {
+    const requests = hangFirst(1, 2);
+    const errors = [];
+    manager.on('error', event => errors.push(event));
+    manager.startAutoDownload([video(1), video(2), video(3)]);
+    await waitUntil(() => requests.length === 2);
+
+    // Both calls run before the stopped jobs report back
+    manager.pauseQueue();
+    await manager.resumeQueue();
+    await waitUntil(() => downloadedFiles().length === 3);
+    await waitForIdle();
+
+    expect(errors).toEqual([]);
+    expect(downloadedFiles()).toHaveLength(3);
+  });
+
+  test('pauses for Wi-Fi and resumes every job when it is back', async () => {
+    const requests = hangFirst(1, 2);
+    const pauseReasons = [];
+    manager.on('queueChanged', ({ pauseReason }) =>
+      pauseReasons.push(pauseReason),
+    );
+    manager.startAutoDownload([video(1), video(2), video(3)]);
+    await waitUntil(() => requests.length === 2);
+
+    setConnection('cellular');
+    await manager.applyDownloadPolicy();
+    await waitUntil(() => activeIds().length === 0);
+
+    expect(manager.isQueuePaused()).toBe(true);
+    expect(pauseReasons).toContain('WIFI_REQUIRED');
+    expect(downloadedFiles()).toEqual([]);
+
+    setConnection('wifi');
+    await manager.applyDownloadPolicy();
+    await waitUntil(() => downloadedFiles().length === 3);
+    await waitForIdle();
+
+    expect(manager.isQueuePaused()).toBe(false);
+    expect(downloadedFiles()).toHaveLength(3);
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * @format
+ */
+
+// DownloadManager and the services it uses are singletons - every test loads
+// fresh copies on top of the in-memory react-native-fs in __mocks__
+let RNFS;
+let LocalStorageService;
+let DataUsageService;
+let manager;
+
+const CONTENT = '0123456789';
+const MIRROR_A = 'https://a.example.com/media/clip.mp4';
+const MIRROR_B = 'https://b.example.com/media/clip.mp4';
+const PART_PATH = '/documents/DeshoaliStaging/video_1.mp4.part';
+const RESUME_PATH = `${PART_PATH}.resume.json`;
+const VIDEO_PATH = '/documents/DeshoaliVideos/video_1.mp4';
+
+const clip = (overrides = {}) => ({
+  id: 1,
+  name: 'Clip',
+  mirrors: [MIRROR_A],
+  filesize: String(CONTENT.length),
+  ...overrides,
+});
+
+// Answers like an HTTP server with Range and If-Range support
+const serve =
+  (content = CONTENT, etag = '"v1"') =>
+  ({ headers = {} }) => {
+    const range = /bytes=(\d+)-(\d*)/.exec(headers.Range || '');
+    if (!range || (headers['If-Range'] && headers['If-Range'] !== etag)) {
+      return {
+        statusCode: 200,
+        headers: { ETag: etag, 'Content-Length': String(content.length) },
+        body: content,
+      };
+    }
+
+    const start = parseInt(range[1], 10);
+    const end = range[2]
+      ? Math.min(parseInt(range[2], 10), content.length - 1)
+      : content.length - 1;
+    return {
+      statusCode: 206,
+      headers: {
+        ETag: etag,
+        'Content-Length': String(end - start + 1),
+        'Content-Range': `bytes ${start}-${end}/${content.length}`,
+      },
+      body: content.slice(start, end + 1),
+    };
+  };
+
+// First bytes of the file, then the connection drops
+const dropAfter =
+  (bytes, etag = '"v1"') =>
+  () => ({
+    statusCode: 200,
+    headers: { ETag: etag, 'Content-Length': String(CONTENT.length) },
+    body: CONTENT.slice(0, bytes),
+    error: 'Connection reset',
+  });
+
+// Answers each request with the next handler; the last one repeats
+const respondWith = (...handlers) => {
+  const requests = [];
+  RNFS.__setDownloadHandler(options => {
+    requests.push({ url: options.fromUrl, headers: options.headers || {} });
+    const handler = handlers.length > 1 ? handlers.shift() : handlers[0];
+    return handler(options);
+  });
+  return requests;
+};
+
+const waitForIdle = async () => {
+  while (manager.isDownloadActive()) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const readResumeInfo = () => JSON.parse(RNFS.__readFile(RESUME_PATH));
+
+beforeEach(async () => {
+  jest.resetModules();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  RNFS = require('react-native-fs');
+  require('@react-native-community/netinfo').fetch.mockResolvedValue({
+    type: 'wifi',
+    isConnected: true,
+    isInternetReachable: true,
+  });
+  LocalStorageService = require('../App/Service/LocalStorageService').default;
+  DataUsageService = require('../App/Service/DataUsageService').default;
+  // VideoList creates the video folder when the app starts
+  await require('../App/Service/FileSystemService').default.initializeVideoDirectory();
+  manager = require('../App/Service/DownloadManager').default.getInstance();
+  manager.configure({ retryAttempts: 0 });
+  jest.spyOn(manager, '_getRetryDelay').mockReturnValue(0);
+});
+
+afterEach(async () => {
+  await waitForIdle();
+  // Write the batched data usage now instead of on a pending timer
+  await DataUsageService.flush();
+  jest.restoreAllMocks();
+});
+
+describe('DownloadManager resume', () => {
+  test('keeps the partial file and its sidecar when the connection drops', async () => {
+    respondWith(dropAfter(4));
+
+    await manager.startAutoDownload([clip()]);
+
+    expect(RNFS.__readFile(PART_PATH)).toBe('0123');
+    expect(readResumeInfo()).toMatchObject({
+      url: MIRROR_A,
+      bytesWritten: 4,
+      totalBytes: 10,
+      etag: '"v1"',
+    });
+    expect(RNFS.__readFile(VIDEO_PATH)).toBeNull();
+    expect((await LocalStorageService.getVideoMetadata(1)).status).toBe(
+      'FAILED',
+    );
+  });
+
+  test('continues with a Range request and commits the complete file', async () => {
+    const requests = respondWith(dropAfter(4), serve());
+    await manager.startAutoDownload([clip()]);
+
+    await manager.retryDownload(clip());
+    await waitForIdle();
+
+    expect(requests[1].headers).toMatchObject({
+      Range: 'bytes=4-',
+      'If-Range': '"v1"',
+    });
+    expect(RNFS.__readFile(VIDEO_PATH)).toBe(CONTENT);
+    expect(RNFS.__listFiles()).toEqual([VIDEO_PATH]);
+    expect(await LocalStorageService.getVideoMetadata(1)).toMatchObject({
+      status: 'DOWNLOADED',
+      localFilePath: VIDEO_PATH,
+    });
+  });
+
+  test('restarts from byte zero when the file changed on the server', async () => {
+    respondWith(dropAfter(4), serve('abcdefghij', '"v2"'));
+    await manager.startAutoDownload([clip()]);
+
+    await manager.retryDownload(clip());
+    await waitForIdle();
+
+    expect(RNFS.__readFile(VIDEO_PATH)).toBe('abcdefghij');
+  });
+
+  test('restarts when Content-Range does not continue the partial file', async () => {
+    const wrongRange = () => ({
+      statusCode: 206,
+      headers: { ETag: '"v1"', 'Content-Range': 'bytes 0-9/10' },
+      body: CONTENT,
+    });
+    const requests = respondWith(dropAfter(4), wrongRange, serve());
+    await manager.startAutoDownload([clip()]);
+
+    await manager.retryDownload(clip());
+    await waitForIdle();
+
+    expect(requests[2].headers.Range).toBeUndefined();
+    expect(RNFS.__readFile(VIDEO_PATH)).toBe(CONTENT);
+  });
+
+  test('keeps a file that fails verification out of the video folder', async () => {
+    respondWith(serve());
+
+    await manager.startAutoDownload([clip({ filesize: '12' })]);
+
+    expect(RNFS.__readFile(VIDEO_PATH)).toBeNull();
+    expect(RNFS.__readFile(PART_PATH)).toBeNull();
+    expect(
+      RNFS.__listFiles().some(path => path.includes('DeshoaliQuarantine')),
+    ).toBe(true);
+  });
+});
+
+describe('DownloadManager host failover', () => {
+  test('moves on to the next host after a server error', async () => {
+    const requests = respondWith(
+      () => ({ statusCode: 503, headers: {} }),
+      serve(),
+    );
+
+    await manager.startAutoDownload([clip({ mirrors: [MIRROR_A, MIRROR_B] })]);
+
+    expect(requests.map(request => request.url)).toEqual([MIRROR_A, MIRROR_B]);
+    expect(RNFS.__readFile(VIDEO_PATH)).toBe(CONTENT);
+  });
+
+  test('resumes the partial file on the next host', async () => {
+    const requests = respondWith(dropAfter(4), serve());
+
+    await manager.startAutoDownload([clip({ mirrors: [MIRROR_A, MIRROR_B] })]);
+
+    expect(requests[1]).toEqual({
+      url: MIRROR_B,
+      headers: { Range: 'bytes=4-', 'If-Range': '"v1"' },
+    });
+    expect(RNFS.__readFile(VIDEO_PATH)).toBe(CONTENT);
+  });
+});
+
+describe('DownloadManager retries', () => {
+  test('retries transient failures up to retryAttempts, then gives up', async () => {
+    manager.configure({ retryAttempts: 2 });
+    const requests = respondWith(() => ({ statusCode: 503, headers: {} }));
+    const retries = [];
+    const errors = [];
+    manager.on('retry', event => retries.push(event));
+    manager.on('error', event => errors.push(event));
+
+    await manager.startAutoDownload([clip()]);
+
+    expect(requests).toHaveLength(3);
+    // 0 resets the count when the download starts
+    expect(retries.map(event => event.retryCount)).toEqual([0, 1, 2]);
+    expect(errors).toEqual([
+      expect.objectContaining({ videoId: 1, statusCode: 503, retryCount: 2 }),
+    ]);
+    expect(await LocalStorageService.getVideoMetadata(1)).toMatchObject({
+      status: 'FAILED',
+      retryCount: 2,
+      maxRetries: 2,
+      lastError: 'HTTP 503',
+    });
+  });
+
+  test('succeeds on a retry after a transient failure', async () => {
+    manager.configure({ retryAttempts: 2 });
+    respondWith(() => ({ statusCode: 503, headers: {} }), serve());
+
+    await manager.startAutoDownload([clip()]);
+
+    expect(RNFS.__readFile(VIDEO_PATH)).toBe(CONTENT);
+    expect(await LocalStorageService.getVideoMetadata(1)).toMatchObject({
+      status: 'DOWNLOADED',
+      retryCount: 0,
+      lastError: null,
+    });
+  });
+
+  test('counts retries from zero again after a manual retry', async () => {
+    manager.configure({ retryAttempts: 2 });
+    respondWith(() => ({ statusCode: 503, headers: {} }));
+    await manager.startAutoDownload([clip()]);
+
+    const retries = [];
+    manager.on('retry', event => retries.push(event));
+    respondWith(() => ({ statusCode: 404, headers: {} }));
+    await manager.retryDownload(clip());
+    await waitForIdle();
+
+    expect(retries).toEqual([
+      { videoId: 1, retryCount: 0, maxRetries: 2, lastError: null },
+    ]);
+    expect(await LocalStorageService.getVideoMetadata(1)).toMatchObject({
+      status: 'FAILED',
+      retryCount: 0,
+      lastError: 'HTTP 404',
+    });
+  });
+
+  test('fails a permanent error at once', async () => {
+    manager.configure({ retryAttempts: 2 });
+    const requests = respondWith(() => ({ statusCode: 404, headers: {} }));
+    const errors = [];
+    manager.on('error', event => errors.push(event));
+
+    await manager.startAutoDownload([clip({ mirrors: [MIRROR_A, MIRROR_B] })]);
+
+    expect(requests).toHaveLength(1);
+    expect(errors).toEqual([
+      expect.objectContaining({ statusCode: 404, retryCount: 0 }),
+    ]);
+  });
+});
+
+describe('DownloadManager quality change', () => {
+  const LOW_URL = 'https://a.example.com/media/clip_low.mp4';
+  const HIGH_URL = 'https://a.example.com/media/clip_high.mp4';
+  const video = {
+    id: 1,
+    name: 'Clip',
+    renditions: [
+      { quality: 'low', url: LOW_URL },
+      { quality: 'high', url: HIGH_URL },
+    ],
+  };
+
+  beforeEach(async () => {
+    RNFS.__writeFile(VIDEO_PATH, 'low');
+    await LocalStorageService.saveVideoMetadata(1, {
+      ...video,
+      status: 'DOWNLOADED',
+      localFilePath: VIDEO_PATH,
+      rendition: 'low',
+    });
+  });
+
+  test('keeps the current file when the new quality fails', async () => {
+    respondWith(() => ({ statusCode: 503, headers: {} }));
+    const statuses = [];
+    manager.on('status', ({ status }) => statuses.push(status));
+
+    await manager.changeVideoQuality(video, 'high');
+    await waitForIdle();
+
+    expect(RNFS.__readFile(VIDEO_PATH)).toBe('low');
+    expect(statuses).toEqual(['DOWNLOADING', 'DOWNLOADED']);
+    expect(await LocalStorageService.getVideoMetadata(1)).toMatchObject({
+      status: 'DOWNLOADED',
+      localFilePath: VIDEO_PATH,
+      rendition: 'low',
+    });
+  });
+
+  test('replaces the current file once the new quality is verified', async () => {
+    const requests = respondWith(serve());
+
+    await manager.changeVideoQuality(video, 'high');
+    await waitForIdle();
+
+    expect(requests.map(request => request.url)).toEqual([HIGH_URL]);
+    expect(RNFS.__readFile(VIDEO_PATH)).toBe(CONTENT);
+    expect(await LocalStorageService.getVideoMetadata(1)).toMatchObject({
+      status: 'DOWNLOADED',
+      rendition: 'high',
+    });
+  });
+
+  test('removes the old file when the new quality has another extension', async () => {
+    respondWith(serve());
+
+    await manager.changeVideoQuality(
+      {
+        ...video,
+        renditions: [
+          video.renditions[0],
+          { quality: 'high', url: 'https://a.example.com/media/clip.webm' },
+        ],
+      },
+      'high',
+    );
+    await waitForIdle();
+
+    expect(RNFS.__listFiles()).toEqual([
+      '/documents/DeshoaliVideos/video_1.webm',
+    ]);
+  });
+});
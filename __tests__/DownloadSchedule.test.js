@@ -0,0 +1,145 @@
+/**
+ * @format
+ */
+
+import {
+  getMsUntilNextScheduleChange,
+  isValidWindow,
+  isWithinDownloadWindow,
+  parseTime,
+} from '../App/Utils/DownloadSchedule';
+
+// jest.config.js runs the tests in America/New_York
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const at = (hours, minutes, seconds = 0) =>
+  new Date(2026, 5, 15, hours, minutes, seconds);
+
+const schedule = (...windows) => ({
+  downloadScheduleEnabled: true,
+  downloadWindows: windows.map(([start, end]) => ({ start, end })),
+});
+
+describe('parseTime', () => {
+  test('converts HH:MM to minutes after midnight', () => {
+    expect(parseTime('00:00')).toBe(0);
+    expect(parseTime('06:30')).toBe(390);
+    expect(parseTime('6:05')).toBe(365);
+    expect(parseTime(' 23:59 ')).toBe(1439);
+  });
+
+  test('rejects invalid times', () => {
+    expect(parseTime('24:00')).toBeNull();
+    expect(parseTime('12:60')).toBeNull();
+    expect(parseTime('noon')).toBeNull();
+    expect(parseTime(null)).toBeNull();
+  });
+});
+
+describe('isValidWindow', () => {
+  test('needs a valid start and end', () => {
+    expect(isValidWindow({ start: '22:00', end: '06:00' })).toBe(true);
+    expect(isValidWindow({ start: '22:00', end: '' })).toBe(false);
+    expect(isValidWindow(null)).toBe(false);
+  });
+});
+
+describe('isWithinDownloadWindow', () => {
+  test('allows downloads when no schedule applies', () => {
+    expect(isWithinDownloadWindow({}, at(3, 0))).toBe(true);
+    expect(
+      isWithinDownloadWindow(
+        { ...schedule(['09:00', '17:00']), downloadScheduleEnabled: false },
+        at(3, 0),
+      ),
+    ).toBe(true);
+    expect(isWithinDownloadWindow(schedule(['9am', '5pm']), at(3, 0))).toBe(
+      true,
+    );
+  });
+
+  test('includes the start and excludes the end of a window', () => {
+    const config = schedule(['09:00', '17:00']);
+    expect(isWithinDownloadWindow(config, at(8, 59))).toBe(false);
+    expect(isWithinDownloadWindow(config, at(9, 0))).toBe(true);
+    expect(isWithinDownloadWindow(config, at(16, 59))).toBe(true);
+    expect(isWithinDownloadWindow(config, at(17, 0))).toBe(false);
+  });
+
+  test('handles a window that crosses midnight', () => {
+    const config = schedule(['22:00', '06:00']);
+    expect(isWithinDownloadWindow(config, at(21, 59))).toBe(false);
+    expect(isWithinDownloadWindow(config, at(22, 0))).toBe(true);
+    expect(isWithinDownloadWindow(config, at(0, 0))).toBe(true);
+    expect(isWithinDownloadWindow(config, at(5, 59))).toBe(true);
+    expect(isWithinDownloadWindow(config, at(6, 0))).toBe(false);
+  });
+
+  test('treats a window with equal start and end as the whole day', () => {
+    const config = schedule(['08:00', '08:00']);
+    expect(isWithinDownloadWindow(config, at(7, 59))).toBe(true);
+    expect(isWithinDownloadWindow(config, at(20, 0))).toBe(true);
+  });
+
+  test('allows downloads inside any of several windows', () => {
+    const config = schedule(['01:00', '05:00'], ['13:00', '14:00']);
+    expect(isWithinDownloadWindow(config, at(13, 30))).toBe(true);
+    expect(isWithinDownloadWindow(config, at(12, 0))).toBe(false);
+  });
+});
+
+describe('getMsUntilNextScheduleChange', () => {
+  test('returns null when no boundary applies', () => {
+    expect(getMsUntilNextScheduleChange({}, at(12, 0))).toBeNull();
+    expect(
+      getMsUntilNextScheduleChange(schedule(['08:00', '08:00']), at(12, 0)),
+    ).toBeNull();
+  });
+
+  test('measures to the nearest window start or end', () => {
+    const config = schedule(['09:00', '17:00']);
+    expect(getMsUntilNextScheduleChange(config, at(8, 0))).toBe(HOUR);
+    expect(getMsUntilNextScheduleChange(config, at(12, 0))).toBe(5 * HOUR);
+    expect(getMsUntilNextScheduleChange(config, at(8, 0, 30))).toBe(
+      HOUR - 30 * 1000,
+    );
+  });
+
+  test('moves past a boundary that is reached right now', () => {
+    const config = schedule(['22:00', '06:00']);
+    expect(getMsUntilNextScheduleChange(config, at(22, 0))).toBe(8 * HOUR);
+  });
+
+  test('wraps past midnight', () => {
+    const config = schedule(['22:00', '06:00']);
+    expect(getMsUntilNextScheduleChange(config, at(23, 0))).toBe(7 * HOUR);
+    expect(getMsUntilNextScheduleChange(config, at(20, 0))).toBe(2 * HOUR);
+  });
+
+  test('counts the hour skipped when clocks spring forward', () => {
+    // 2026-03-08: 02:00 EST jumps to 03:00 EDT
+    const config = schedule(['03:00', '07:00']);
+    const date = new Date(2026, 2, 8, 1, 30);
+    expect(getMsUntilNextScheduleChange(config, date)).toBe(30 * MINUTE);
+    expect(
+      isWithinDownloadWindow(config, new Date(date.getTime() + 30 * MINUTE)),
+    ).toBe(true);
+  });
+
+  test('counts the hour repeated when clocks fall back', () => {
+    // 2026-11-01: 02:00 EDT falls back to 01:00 EST
+    const config = schedule(['03:00', '07:00']);
+    const date = new Date(2026, 10, 1, 0, 30);
+    expect(getMsUntilNextScheduleChange(config, date)).toBe(
+      3 * HOUR + 30 * MINUTE,
+    );
+  });
+
+  test('finds a boundary inside the repeated hour on its second pass', () => {
+    const config = schedule(['01:30', '07:00']);
+    const secondPass = new Date(Date.UTC(2026, 10, 1, 6, 15)); // 01:15 EST
+    expect(secondPass.getHours()).toBe(1);
+    expect(getMsUntilNextScheduleChange(config, secondPass)).toBe(15 * MINUTE);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * @format
+ */
+
+import {
+  DEFAULT_MEDIA_TYPE,
+  getMediaTypeFromMetadata,
+  getMediaTypeFromMimeType,
+  getMediaTypeFromPath,
+  isMediaFileName,
+  resolveMediaType,
+} from '../App/Utils/MediaTypes';
+import { applyRendition } from '../App/Utils/Renditions';
+
+describe('getMediaTypeFromPath', () => {
+  test('reads the extension of a path or URL', () => {
+    expect(getMediaTypeFromPath('video_12.webm')).toEqual({
+      extension: 'webm',
+      mimeType: 'video/webm',
+    });
+    expect(
+      getMediaTypeFromPath(
+        'https://cdn.example.com/media/clip.MP4?sig=a.b#t=5',
+      ),
+    ).toEqual({ extension: 'mp4', mimeType: 'video/mp4' });
+  });
+
+  test('ignores unknown or missing extensions', () => {
+    expect(getMediaTypeFromPath('notes.txt')).toBeNull();
+    expect(getMediaTypeFromPath('https://cdn.example.com/stream')).toBeNull();
+    expect(getMediaTypeFromPath(null)).toBeNull();
+  });
+});
+
+describe('getMediaTypeFromMimeType', () => {
+  test('maps a Content-Type header to a media type', () => {
+    expect(getMediaTypeFromMimeType('video/webm; codecs="vp9"')).toEqual({
+      extension: 'webm',
+      mimeType: 'video/webm',
+    });
+    expect(getMediaTypeFromMimeType('Audio/MP4')).toEqual({
+      extension: 'm4a',
+      mimeType: 'audio/mp4',
+    });
+  });
+
+  test('accepts aliases servers send for the same container', () => {
+    expect(getMediaTypeFromMimeType('audio/x-m4a').extension).toBe('m4a');
+    expect(getMediaTypeFromMimeType('audio/wave').extension).toBe('wav');
+  });
+
+  test('returns null for unknown types', () => {
+    expect(getMediaTypeFromMimeType('application/octet-stream')).toBeNull();
+    expect(getMediaTypeFromMimeType(undefined)).toBeNull();
+  });
+});
+
+describe('getMediaTypeFromMetadata', () => {
+  test('prefers filetype as a MIME type or an extension', () => {
+    expect(
+      getMediaTypeFromMetadata({
+        filetype: 'video/quicktime',
+        filepath: 'storage/clip.mp4',
+      }).extension,
+    ).toBe('mov');
+    expect(
+      getMediaTypeFromMetadata({
+        filetype: ' mkv ',
+        filepath: 'storage/clip.mp4',
+      }).extension,
+    ).toBe('mkv');
+  });
+
+  test('falls back to filepath and then video_url', () => {
+    expect(
+      getMediaTypeFromMetadata({
+        filetype: 'video',
+        filepath: 'storage/clip.webm',
+        video_url: 'https://cdn.example.com/clip.mp4',
+      }).extension,
+    ).toBe('webm');
+    expect(
+      getMediaTypeFromMetadata({
+        video_url: 'https://cdn.example.com/clip.mp3',
+      }).extension,
+    ).toBe('mp3');
+  });
+
+  test('falls back to the first mirror with a known extension', () => {
+    expect(
+      getMediaTypeFromMetadata({
+        filepath: null,
+        video_url: null,
+        mirrors: [
+          'https://cdn.example.com/stream',
+          { url: 'https://cdn2.example.com/clip_audio.m4a?sig=1' },
+        ],
+      }),
+    ).toEqual({ extension: 'm4a', mimeType: 'audio/mp4' });
+  });
+
+  test('returns null when the metadata declares nothing', () => {
+    expect(getMediaTypeFromMetadata({ filepath: 'storage/clip' })).toBeNull();
+    expect(getMediaTypeFromMetadata(null)).toBeNull();
+  });
+});
+
+describe('resolveMediaType', () => {
+  test('uses metadata before the Content-Type header', () => {
+    expect(
+      resolveMediaType({ filepath: 'storage/clip.webm' }, 'video/mp4')
+        .extension,
+    ).toBe('webm');
+  });
+
+  test('stages an absolute audio rendition without a filetype as m4a', () => {
+    const video = applyRendition(
+      { id: 7, filepath: 'media/clip.mp4', filetype: 'video/mp4' },
+      { quality: 'audio', url: 'https://cdn.example.com/clip_audio.m4a' },
+    );
+    expect(resolveMediaType(video).extension).toBe('m4a');
+  });
+
+  test('falls back to the Content-Type header and then to mp4', () => {
+    expect(resolveMediaType({}, 'audio/mpeg').extension).toBe('mp3');
+    expect(resolveMediaType({}, 'text/html')).toEqual(DEFAULT_MEDIA_TYPE);
+    expect(resolveMediaType(null)).toEqual(DEFAULT_MEDIA_TYPE);
+  });
+});
+
+describe('isMediaFileName', () => {
+  test('recognises media files only', () => {
+    expect(isMediaFileName('video_3.m4a')).toBe(true);
+    expect(isMediaFileName('video_3.m4a.resume.json')).toBe(false);
+    expect(isMediaFileName('video_3.mp4.part')).toBe(false);
+  });
+});
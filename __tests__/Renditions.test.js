@@ -0,0 +1,145 @@
+/**
+ * @format
+ */
+
+import {
+  applyRendition,
+  getRenditions,
+  selectRendition,
+} from '../App/Utils/Renditions';
+
+const rendition = (quality, extra = {}) => ({
+  quality,
+  url: `media/clip_${quality}.mp4`,
+  ...extra,
+});
+
+const videoWith = (...qualities) => ({
+  id: 7,
+  filepath: 'media/clip.mp4',
+  renditions: qualities.map(quality => rendition(quality)),
+});
+
+describe('getRenditions', () => {
+  test('keeps valid renditions, lowest quality first', () => {
+    const video = {
+      renditions: [
+        rendition('high'),
+        rendition('4k'),
+        { quality: 'low', url: '' },
+        null,
+        rendition('audio'),
+        rendition('medium'),
+      ],
+    };
+    expect(getRenditions(video).map(r => r.quality)).toEqual([
+      'audio',
+      'medium',
+      'high',
+    ]);
+  });
+
+  test('returns an empty list without renditions', () => {
+    expect(getRenditions({ filepath: 'media/clip.mp4' })).toEqual([]);
+    expect(getRenditions(null)).toEqual([]);
+  });
+});
+
+describe('selectRendition', () => {
+  test('returns null for a video without renditions', () => {
+    expect(selectRendition({ filepath: 'media/clip.mp4' }, 'high')).toBeNull();
+  });
+
+  test('picks the exact quality when listed', () => {
+    const video = videoWith('audio', 'low', 'medium', 'high');
+    expect(selectRendition(video, 'medium').quality).toBe('medium');
+    expect(selectRendition(video, 'audio').quality).toBe('audio');
+  });
+
+  test('falls back to the next lower video quality', () => {
+    expect(selectRendition(videoWith('low', 'high'), 'medium').quality).toBe(
+      'low',
+    );
+  });
+
+  test('falls back to the next higher quality when none is lower', () => {
+    expect(selectRendition(videoWith('medium', 'high'), 'low').quality).toBe(
+      'medium',
+    );
+  });
+
+  test('never falls back from a video quality to audio only', () => {
+    expect(selectRendition(videoWith('audio', 'high'), 'low').quality).toBe(
+      'high',
+    );
+  });
+
+  test('uses the lowest video quality when audio is not listed', () => {
+    expect(selectRendition(videoWith('medium', 'high'), 'audio').quality).toBe(
+      'medium',
+    );
+  });
+
+  test('uses audio when it is the only rendition', () => {
+    expect(selectRendition(videoWith('audio'), 'high').quality).toBe('audio');
+  });
+});
+
+describe('applyRendition', () => {
+  const video = {
+    id: 7,
+    filepath: 'media/clip.mp4',
+    video_url: 'https://api.example.com/media/clip.mp4',
+    mirrors: ['https://mirror.example.com/clip.mp4'],
+    filesize: '900',
+    filetype: 'video/mp4',
+    sha256: 'original',
+    checksum: 'original',
+  };
+
+  test('keeps the video unchanged without a rendition', () => {
+    expect(applyRendition(video, null)).toEqual({ ...video, rendition: null });
+  });
+
+  test('downloads a relative rendition from the download hosts', () => {
+    const result = applyRendition(
+      video,
+      rendition('audio', {
+        url: 'media/clip_audio.m4a',
+        size: 120,
+        filetype: 'audio/mp4',
+        sha256: 'abc',
+      }),
+    );
+    expect(result).toEqual({
+      ...video,
+      filepath: 'media/clip_audio.m4a',
+      video_url: null,
+      mirrors: [],
+      filesize: '120',
+      filetype: 'audio/mp4',
+      sha256: 'abc',
+      checksum: null,
+      rendition: 'audio',
+    });
+  });
+
+  test('downloads an absolute rendition from its url and mirrors', () => {
+    const result = applyRendition(
+      video,
+      rendition('high', {
+        url: 'https://cdn.example.com/clip_high.mp4',
+        mirrors: ['https://cdn2.example.com/clip_high.mp4'],
+      }),
+    );
+    expect(result.filepath).toBeNull();
+    expect(result.video_url).toBeNull();
+    expect(result.mirrors).toEqual([
+      'https://cdn.example.com/clip_high.mp4',
+      'https://cdn2.example.com/clip_high.mp4',
+    ]);
+    expect(result.filesize).toBeNull();
+    expect(result.sha256).toBeNull();
+    expect(result.rendition).toBe('high');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @format
+ */
+
+import ServerSyncService from '../App/Service/ServerSyncService';
+
+// Only the pure catalog helpers are tested - storage is not touched
+jest.mock('../App/Service/FileSystemService', () => ({}));
+jest.mock('../App/Service/LocalStorageService', () => ({}));
+
+const video = (id, title = `Video ${id}`) => ({ id, title });
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ServerSyncService.applyCatalogDelta', () => {
+  test('keeps the catalog without a delta', () => {
+    const catalog = [video(1), video(2)];
+    expect(ServerSyncService.applyCatalogDelta(catalog, null)).toEqual({
+      videos: catalog,
+      removedVideoIds: [],
+    });
+  });
+
+  test('replaces updated videos in place and appends added ones', () => {
+    const result = ServerSyncService.applyCatalogDelta(
+      [video(1), video(2), video(3)],
+      {
+        added: [video(4)],
+        updated: [video(2, 'Renamed')],
+        removed: [],
+      },
+    );
+    expect(result.videos).toEqual([
+      video(1),
+      video(2, 'Renamed'),
+      video(3),
+      video(4),
+    ]);
+  });
+
+  test('drops removed videos and reports their ids as numbers', () => {
+    const result = ServerSyncService.applyCatalogDelta(
+      [video(1), video(2), video(3)],
+      { removed: ['2', 3, 'x'] },
+    );
+    expect(result.videos).toEqual([video(1)]);
+    expect(result.removedVideoIds).toEqual([2, 3]);
+  });
+
+  test('lets a removal win over an addition of the same video', () => {
+    const result = ServerSyncService.applyCatalogDelta([video(1)], {
+      added: [video(5)],
+      updated: [video(1, 'Renamed')],
+      removed: [1, 5],
+    });
+    expect(result.videos).toEqual([]);
+  });
+
+  test('treats a re-added video like an update', () => {
+    const result = ServerSyncService.applyCatalogDelta([video(1), video(2)], {
+      added: [video(1, 'Again')],
+    });
+    expect(result.videos).toEqual([video(1, 'Again'), video(2)]);
+  });
+
+  test('ignores added entries without an id and a missing catalog', () => {
+    const result = ServerSyncService.applyCatalogDelta(undefined, {
+      added: [null, { title: 'No id' }, video(9)],
+    });
+    expect(result.videos).toEqual([video(9)]);
+  });
+});
+
+describe('ServerSyncService.analyzeDeltaSync', () => {
+  test('reports only removed videos that are stored locally', () => {
+    const localVideos = { 1: { status: 'DOWNLOADED' }, 2: { status: 'NEW' } };
+    const result = ServerSyncService.analyzeDeltaSync([2, 7], localVideos);
+
+    expect(result.deletedVideos).toEqual([
+      { id: 2, localData: { status: 'NEW' } },
+    ]);
+    expect(result.newVideos).toEqual([]);
+    expect(result.syncNeeded).toBe(true);
+    expect(result.analysis).toMatchObject({
+      totalLocalVideos: 2,
+      deletedCount: 1,
+    });
+  });
+
+  test('needs no sync when nothing local was removed', () => {
+    const result = ServerSyncService.analyzeDeltaSync([7], null);
+    expect(result.deletedVideos).toEqual([]);
+    expect(result.syncNeeded).toBe(false);
+    expect(result.analysis.totalLocalVideos).toBe(0);
+  });
+});
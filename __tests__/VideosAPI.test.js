@@ -0,0 +1,93 @@
+/**
+ * @format
+ */
+
+import BaseUrlInstance from '../App/Service/BaseUrlInstance';
+import { getVideos, getVideosPage } from '../App/Features/Videos/VideosAPI';
+
+jest.mock('../App/Service/BaseUrlInstance', () => ({ get: jest.fn() }));
+
+const respond = (data, status = 200, headers = {}) =>
+  BaseUrlInstance.get.mockResolvedValueOnce({ status, data, headers });
+
+const nextPageOf = async body => {
+  respond({ data: [], ...body });
+  return (await getVideosPage({ page: 1 })).nextPage;
+};
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('VideosAPI paging', () => {
+  test('follows a cursor', async () => {
+    expect(await nextPageOf({ next_cursor: 'abc' })).toEqual({
+      cursor: 'abc',
+    });
+  });
+
+  test('counts pages up to last_page', async () => {
+    expect(await nextPageOf({ current_page: 2, last_page: 3 })).toEqual({
+      page: 3,
+    });
+    expect(await nextPageOf({ current_page: '3', last_page: '3' })).toBeNull();
+  });
+
+  test('uses next_page_url without a last_page', async () => {
+    expect(
+      await nextPageOf({ current_page: 1, next_page_url: '/list?page=2' }),
+    ).toEqual({ page: 2 });
+    expect(
+      await nextPageOf({ current_page: 4, next_page_url: null }),
+    ).toBeNull();
+  });
+
+  test('treats a response without paging fields as the whole list', async () => {
+    expect(await nextPageOf({})).toBeNull();
+  });
+
+  test('requests a further page with the page size', async () => {
+    respond({ data: [{ id: 51 }], next_cursor: 'def' });
+
+    const result = await getVideosPage({ cursor: 'abc' });
+
+    expect(BaseUrlInstance.get).toHaveBeenCalledWith(
+      'api/v1/media-files/list',
+      { params: { cursor: 'abc', limit: 50 } },
+    );
+    expect(result).toEqual({
+      data: [{ id: 51 }],
+      nextPage: { cursor: 'def' },
+    });
+  });
+
+  test('returns the next page of a full first response', async () => {
+    respond({ data: [{ id: 1 }], current_page: 1, last_page: 2 }, 200, {
+      etag: '"v1"',
+    });
+
+    const result = await getVideos();
+
+    expect(result).toMatchObject({
+      notModified: false,
+      data: [{ id: 1 }],
+      delta: null,
+      etag: '"v1"',
+      nextPage: { page: 2 },
+    });
+  });
+
+  test('has no next page for a delta response', async () => {
+    respond({ delta: true, added: [{ id: 3 }], removed: [2], cursor: 'c2' });
+
+    const result = await getVideos({ cursor: 'c1' });
+
+    expect(result.nextPage).toBeNull();
+    expect(result.delta).toEqual({
+      added: [{ id: 3 }],
+      updated: [],
+      removed: [2],
+    });
+    expect(result.cursor).toBe('c2');
+  });
+});
@@ -1,3 +1,7 @@
+// Fixed zone with daylight saving time, so date tests behave the same on
+// every machine and can cover DST changes
+process.env.TZ = 'America/New_York';
+
 module.exports = {
   preset: 'react-native',
 };